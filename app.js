@@ -2,15 +2,41 @@ const express = require('express')
 const cors = require('cors')
 const helmet = require('helmet')
 const journalRouter = require('./controllers/journals')
+const importRouter = require('./controllers/imports')
+const revisionsRouter = require('./controllers/revisions')
+const attachmentsRouter = require('./controllers/attachments')
 const authRouter = require('./controllers/auth')
 const insightsRouter = require('./controllers/insights')
+const reportsRouter = require('./controllers/reports')
+const usersRouter = require('./controllers/users')
+const jobsRouter = require('./controllers/jobs')
+const tagsRouter = require('./controllers/tags')
+const draftsRouter = require('./controllers/drafts')
+const devicesRouter = require('./controllers/devices')
+const remindersRouter = require('./controllers/reminders')
+const digestsRouter = require('./controllers/digests')
 const app = express()
-const { pool } = require('./utils/config')
+const { pool, TRUST_PROXY_HOPS } = require('./utils/config')
+const { stopWorker } = require('./utils/services/jobQueue')
 
 require('./utils/services/insights')
+require('./utils/services/reports')
+require('./utils/services/reminders')
+require('./utils/services/digests')
+require('./utils/services/jobs')
+require('./utils/services/trash')
+require('./utils/services/rateLimitStore')
+require('./utils/services/quotas')
 
-app.use(cors())
+// Rate limits are counted per client IP, which is only known behind proxies we trust
+app.set('trust proxy', TRUST_PROXY_HOPS)
+// Let browser clients read the rate limit headers
+app.use(cors({
+  exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}))
 app.use(helmet())
+// Imports upload whole exports from other apps, so they get a larger body limit
+app.use('/api/journals/import', express.json({ limit: '10mb' }))
 app.use(express.json())
 
 
@@ -19,14 +45,26 @@ console.log('Postgress has been intialize.')
 app.get('/', (req, res) => {
   res.send('Hello World')
 })
+app.use('/api/journals/import', importRouter)
+app.use('/api/journals/:id/revisions', revisionsRouter)
+app.use('/api/journals/:id/attachments', attachmentsRouter)
 app.use('/api/journals', journalRouter)
 app.use('/api/auth', authRouter)
+app.use('/api/insights/reports', reportsRouter)
 app.use('/api/insights', insightsRouter)
+app.use('/api/users', usersRouter)
+app.use('/api/jobs', jobsRouter)
+app.use('/api/tags', tagsRouter)
+app.use('/api/drafts', draftsRouter)
+app.use('/api/devices', devicesRouter)
+app.use('/api/reminders', remindersRouter)
+app.use('/api/digests', digestsRouter)
 
 const gracefulShutdown = async (signal) => {
   console.log(`\nReceived ${signal}. Shutting down server gracefully...`)
 
   try {
+    await stopWorker()
     await pool.end()
     console.log('PostgreSQL pool has ended.')
 
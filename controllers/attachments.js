@@ -0,0 +1,261 @@
+const crypto = require('crypto')
+const multer = require('multer')
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const { getStorage } = require('../utils/services/storage')
+const { enqueueOrphanedFileCleanup } = require('../utils/services/jobs')
+const { MAX_ATTACHMENT_BYTES, validateAttachment, createThumbnail } = require('../utils/services/attachments')
+const attachmentsRouter = require('express').Router({ mergeParams: true })
+
+const MAX_ATTACHMENTS_PER_ENTRY = 10
+
+const ATTACHMENT_COLUMNS = `attachment_id, journal_id, kind, content_type, file_name, size_bytes, width, height,
+  thumbnail_key IS NOT NULL AS has_thumbnail, created_at`
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: 1 }
+})
+
+// Accept a single multipart file in the `file` field, answering upload errors as JSON
+const receiveFile = (request, response, next) => {
+  upload.single('file')(request, response, (error) => {
+    if (error instanceof multer.MulterError) {
+      return error.code === 'LIMIT_FILE_SIZE'
+        ? response.status(413).json({ error: `File too large: attachments can be at most ${MAX_ATTACHMENT_BYTES} bytes` })
+        : response.status(400).json({ error: `Invalid upload: ${error.message}` })
+    }
+    next(error)
+  })
+}
+
+// Stream an attachment's file or its thumbnail, or 404 when either is missing
+const sendFile = async (request, response, { thumbnail = false } = {}) => {
+  const firebaseUid = request.user.uid
+  const { id: journalId, attachmentId } = request.params
+
+  const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+  if (userResult.rows.length === 0) {
+    return response.status(404).json({ error: 'User not found' })
+  }
+
+  const userId = userResult.rows[0].user_id
+
+  const attachmentResult = await pool.query(
+    `SELECT a.storage_key, a.thumbnail_key, a.content_type, a.file_name
+     FROM journal_attachments a
+     JOIN journal_entries j ON j.journal_id = a.journal_id
+     WHERE a.attachment_id = $1 AND a.journal_id = $2 AND j.user_id = $3 AND j.deleted_at IS NULL`,
+    [attachmentId, journalId, userId]
+  )
+
+  const attachment = attachmentResult.rows[0]
+  const key = attachment && (thumbnail ? attachment.thumbnail_key : attachment.storage_key)
+  const stream = key ? await getStorage().get(key) : null
+
+  if (!stream) {
+    return response.status(404).json({ error: 'Attachment not found or access denied' })
+  }
+
+  response.set('Content-Type', thumbnail ? 'image/webp' : attachment.content_type)
+  response.set('Cache-Control', 'private, max-age=86400')
+  if (attachment.file_name) {
+    response.set('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`)
+  }
+
+  stream.on('error', (error) => {
+    console.error('Error streaming attachment:', error)
+    response.destroy(error)
+  })
+  stream.pipe(response)
+}
+
+// POST /api/journals/:id/attachments - Upload an image or audio file (multipart field `file`)
+attachmentsRouter.post('/', verifyToken, receiveFile, async (request, response) => {
+  const storedKeys = []
+
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+    const file = request.file
+
+    if (!file) {
+      return response.status(400).json({ error: 'Missing required file field: file' })
+    }
+
+    const { type, status, error: validationError } = validateAttachment(file)
+    if (validationError) {
+      return response.status(status).json({ error: validationError })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const entryResult = await pool.query(
+      `SELECT j.journal_id, COUNT(a.attachment_id)::integer AS attachment_count
+       FROM journal_entries j
+       LEFT JOIN journal_attachments a ON a.journal_id = j.journal_id
+       WHERE j.journal_id = $1 AND j.user_id = $2 AND j.deleted_at IS NULL
+       GROUP BY j.journal_id`,
+      [journalId, userId]
+    )
+
+    if (entryResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found or access denied' })
+    }
+
+    if (entryResult.rows[0].attachment_count >= MAX_ATTACHMENTS_PER_ENTRY) {
+      return response.status(400).json({ error: `An entry can have at most ${MAX_ATTACHMENTS_PER_ENTRY} attachments` })
+    }
+
+    let image = null
+    if (type.kind === 'image') {
+      try {
+        image = await createThumbnail(file.buffer)
+      } catch {
+        return response.status(400).json({ error: 'Image could not be read' })
+      }
+    }
+
+    const storage = getStorage()
+    const baseKey = `attachments/${userId}/${journalId}/${crypto.randomUUID()}`
+    const storageKey = `${baseKey}.${type.extension}`
+    const thumbnailKey = image ? `${baseKey}-thumbnail.webp` : null
+
+    await storage.put(storageKey, file.buffer, file.mimetype)
+    storedKeys.push(storageKey)
+    if (image) {
+      await storage.put(thumbnailKey, image.thumbnail, 'image/webp')
+      storedKeys.push(thumbnailKey)
+    }
+
+    const insertQuery = await pool.query(
+      `INSERT INTO journal_attachments
+       (journal_id, kind, content_type, file_name, size_bytes, width, height, storage_key, thumbnail_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING ${ATTACHMENT_COLUMNS}`,
+      [
+        journalId,
+        type.kind,
+        file.mimetype,
+        file.originalname || null,
+        file.size,
+        image ? image.width : null,
+        image ? image.height : null,
+        storageKey,
+        thumbnailKey
+      ]
+    )
+
+    response.status(201).json(insertQuery.rows[0])
+  } catch (error) {
+    // Do not leave files behind for an attachment that was never saved
+    await Promise.all(storedKeys.map(key => getStorage().remove(key).catch(() => {})))
+    console.error('Error uploading attachment:', error)
+    response.status(500).json({ error: 'Failed to upload attachment' })
+  }
+})
+
+// GET /api/journals/:id/attachments - Attachments of an entry, oldest first
+attachmentsRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const entryResult = await pool.query(
+      'SELECT journal_id FROM journal_entries WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [journalId, userId]
+    )
+
+    if (entryResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found or access denied' })
+    }
+
+    const { rows } = await pool.query(
+      `SELECT ${ATTACHMENT_COLUMNS}
+       FROM journal_attachments
+       WHERE journal_id = $1
+       ORDER BY created_at, attachment_id`,
+      [journalId]
+    )
+
+    response.json({ attachments: rows })
+  } catch (error) {
+    console.error('Error fetching attachments:', error)
+    response.status(500).json({ error: 'Failed to fetch attachments' })
+  }
+})
+
+// GET /api/journals/:id/attachments/:attachmentId - The original file
+attachmentsRouter.get('/:attachmentId', verifyToken, async (request, response) => {
+  try {
+    await sendFile(request, response)
+  } catch (error) {
+    console.error('Error fetching attachment:', error)
+    response.status(500).json({ error: 'Failed to fetch attachment' })
+  }
+})
+
+// GET /api/journals/:id/attachments/:attachmentId/thumbnail - WebP thumbnail of an image
+attachmentsRouter.get('/:attachmentId/thumbnail', verifyToken, async (request, response) => {
+  try {
+    await sendFile(request, response, { thumbnail: true })
+  } catch (error) {
+    console.error('Error fetching attachment thumbnail:', error)
+    response.status(500).json({ error: 'Failed to fetch attachment thumbnail' })
+  }
+})
+
+// DELETE /api/journals/:id/attachments/:attachmentId - Remove an attachment and its files
+attachmentsRouter.delete('/:attachmentId', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { id: journalId, attachmentId } = request.params
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    // The delete trigger queues the stored files for removal
+    const deleteQuery = await pool.query(
+      `DELETE FROM journal_attachments a
+       USING journal_entries j
+       WHERE a.attachment_id = $1 AND a.journal_id = $2
+       AND j.journal_id = a.journal_id AND j.user_id = $3 AND j.deleted_at IS NULL
+       RETURNING a.attachment_id`,
+      [attachmentId, journalId, userId]
+    )
+
+    if (deleteQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Attachment not found or access denied' })
+    }
+
+    await enqueueOrphanedFileCleanup()
+      .catch(error => console.error('Error queueing orphaned file cleanup:', error))
+
+    response.json({ message: 'Attachment deleted successfully', attachment_id: deleteQuery.rows[0].attachment_id })
+  } catch (error) {
+    console.error('Error deleting attachment:', error)
+    response.status(500).json({ error: 'Failed to delete attachment' })
+  }
+})
+
+module.exports = attachmentsRouter
@@ -0,0 +1,75 @@
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const devicesRouter = require('express').Router()
+
+const PLATFORMS = ['android', 'ios', 'web']
+const MAX_TOKEN_LENGTH = 4096
+
+// POST /api/devices - Register the device's FCM token for push notifications.
+// Registering a known token refreshes it and moves it to the current user.
+devicesRouter.post('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { token, platform } = request.body
+
+    if (typeof token !== 'string' || token.trim() === '' || token.length > MAX_TOKEN_LENGTH) {
+      return response.status(400).json({ error: 'Missing or invalid field: token must be a non-empty string' })
+    }
+    if (!PLATFORMS.includes(platform)) {
+      return response.status(400).json({ error: `Missing or invalid field: platform must be one of ${PLATFORMS.join(', ')}` })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `INSERT INTO device_tokens (user_id, token, platform)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (token) DO UPDATE
+       SET user_id = EXCLUDED.user_id, platform = EXCLUDED.platform, last_registered_at = CURRENT_TIMESTAMP
+       RETURNING token_id, token, platform, created_at, last_registered_at`,
+      [userId, token.trim(), platform]
+    )
+
+    response.status(201).json(rows[0])
+  } catch (error) {
+    console.error('Error registering device:', error)
+    response.status(500).json({ error: 'Failed to register device' })
+  }
+})
+
+// DELETE /api/devices/:token - Stop sending push notifications to a device, e.g. on sign out
+devicesRouter.delete('/:token', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const deleteQuery = await pool.query(
+      'DELETE FROM device_tokens WHERE token = $1 AND user_id = $2 RETURNING token_id',
+      [request.params.token, userId]
+    )
+
+    if (deleteQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Device not found or access denied' })
+    }
+
+    response.json({ message: 'Device unregistered successfully' })
+  } catch (error) {
+    console.error('Error unregistering device:', error)
+    response.status(500).json({ error: 'Failed to unregister device' })
+  }
+})
+
+module.exports = devicesRouter
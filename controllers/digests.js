@@ -0,0 +1,158 @@
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const { DIGEST_FREQUENCIES, createUnsubscribeToken } = require('../utils/services/digests')
+const digestsRouter = require('express').Router()
+
+const PREFERENCE_COLUMNS = 'enabled, frequency, weekday, last_sent_on::text AS last_sent_on'
+
+// Users who never changed their preferences get no digests
+const DEFAULT_PREFERENCES = { enabled: false, frequency: 'weekly', weekday: 1, last_sent_on: null }
+
+// Validate the enabled, frequency and weekday (ISO, 1 = Monday) fields.
+// Returns { fields } with only the fields that were sent, or { error } for a 400.
+const parsePreferenceFields = (body) => {
+  const fields = {}
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'Invalid field: enabled must be boolean' }
+    }
+    fields.enabled = body.enabled
+  }
+
+  if (body.frequency !== undefined) {
+    if (!DIGEST_FREQUENCIES.includes(body.frequency)) {
+      return { error: `Invalid field: frequency must be one of ${DIGEST_FREQUENCIES.join(', ')}` }
+    }
+    fields.frequency = body.frequency
+  }
+
+  if (body.weekday !== undefined) {
+    if (!Number.isInteger(body.weekday) || body.weekday < 1 || body.weekday > 7) {
+      return { error: 'Invalid field: weekday must be an ISO weekday from 1 (Monday) to 7 (Sunday)' }
+    }
+    fields.weekday = body.weekday
+  }
+
+  return { fields }
+}
+
+// GET /api/digests/preferences - The user's email digest preferences
+digestsRouter.get('/preferences', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `SELECT ${PREFERENCE_COLUMNS} FROM email_digest_preferences WHERE user_id = $1`,
+      [userId]
+    )
+
+    response.json(rows[0] || DEFAULT_PREFERENCES)
+  } catch (error) {
+    console.error('Error fetching digest preferences:', error)
+    response.status(500).json({ error: 'Failed to fetch digest preferences' })
+  }
+})
+
+// PATCH /api/digests/preferences - Opt in or out and change any of frequency and weekday
+digestsRouter.patch('/preferences', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const { fields, error: fieldsError } = parsePreferenceFields(request.body)
+    if (fieldsError) {
+      return response.status(400).json({ error: fieldsError })
+    }
+    if (Object.keys(fields).length === 0) {
+      return response.status(400).json({ error: 'No updatable fields provided: enabled, frequency, weekday' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `INSERT INTO email_digest_preferences AS p (user_id, enabled, frequency, weekday, unsubscribe_token)
+       VALUES ($1, COALESCE($2::boolean, $6), COALESCE($3, $7), COALESCE($4::integer, $8), $5)
+       ON CONFLICT (user_id) DO UPDATE
+       SET enabled = COALESCE($2, p.enabled),
+         frequency = COALESCE($3, p.frequency),
+         weekday = COALESCE($4, p.weekday),
+         updated_at = CURRENT_TIMESTAMP
+       RETURNING ${PREFERENCE_COLUMNS}`,
+      [
+        userId,
+        fields.enabled ?? null,
+        fields.frequency ?? null,
+        fields.weekday ?? null,
+        createUnsubscribeToken(),
+        DEFAULT_PREFERENCES.enabled,
+        DEFAULT_PREFERENCES.frequency,
+        DEFAULT_PREFERENCES.weekday
+      ]
+    )
+
+    response.json(rows[0])
+  } catch (error) {
+    console.error('Error updating digest preferences:', error)
+    response.status(500).json({ error: 'Failed to update digest preferences' })
+  }
+})
+
+// Turn digests off for the owner of the token in an email's unsubscribe link.
+// Resolves to false when the token is unknown.
+const unsubscribe = async (token) => {
+  if (typeof token !== 'string' || token === '') {
+    return false
+  }
+  const { rows } = await pool.query(
+    `UPDATE email_digest_preferences
+     SET enabled = FALSE, updated_at = CURRENT_TIMESTAMP
+     WHERE unsubscribe_token = $1
+     RETURNING user_id`,
+    [token]
+  )
+  return rows.length > 0
+}
+
+// GET /api/digests/unsubscribe?token= - The unsubscribe link in digest emails.
+// Opened from an email, so it needs no sign-in and answers with a page.
+digestsRouter.get('/unsubscribe', async (request, response) => {
+  try {
+    if (!(await unsubscribe(request.query.token))) {
+      return response.status(404).type('html').send('<p>This unsubscribe link is invalid or has expired.</p>')
+    }
+    response.type('html').send('<p>You have been unsubscribed from Nilai email digests. You can turn them back on in the app.</p>')
+  } catch (error) {
+    console.error('Error unsubscribing from digests:', error)
+    response.status(500).type('html').send('<p>Failed to unsubscribe, please try again later.</p>')
+  }
+})
+
+// POST /api/digests/unsubscribe?token= - One-click unsubscribe (RFC 8058) from
+// the List-Unsubscribe header
+digestsRouter.post('/unsubscribe', async (request, response) => {
+  try {
+    if (!(await unsubscribe(request.query.token))) {
+      return response.status(404).json({ error: 'Unsubscribe token not found' })
+    }
+    response.json({ message: 'Unsubscribed from email digests' })
+  } catch (error) {
+    console.error('Error unsubscribing from digests:', error)
+    response.status(500).json({ error: 'Failed to unsubscribe from digests' })
+  }
+})
+
+module.exports = digestsRouter
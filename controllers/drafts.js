@@ -0,0 +1,315 @@
+const { verifyToken } = require('../utils/auth')
+const { rateLimit } = require('../utils/rateLimit')
+const { pool } = require('../utils/config')
+const { enqueueEmotionAnalysis } = require('../utils/services/jobs')
+const { parseEntryTags, setEntryTags } = require('../utils/tags')
+const { countWords } = require('../utils/journalQuery')
+const { activeDataKey, encryptText, encryptEntry, decryptEntry, decryptEntries, searchVector } = require('../utils/encryption')
+const draftsRouter = require('express').Router()
+
+const MAX_TITLE_LENGTH = 255
+
+const DRAFT_COLUMNS = 'draft_id, title, content, tags, version, created_at, updated_at'
+
+// Validate the optional title, content and tags of a draft body.
+// Returns { fields } with only the fields that were sent, or { error } for a 400.
+const parseDraftFields = (body) => {
+  const fields = {}
+
+  if (body.title !== undefined) {
+    if (typeof body.title !== 'string' || body.title.length > MAX_TITLE_LENGTH) {
+      return { error: `Invalid field: title must be a string of at most ${MAX_TITLE_LENGTH} characters` }
+    }
+    fields.title = body.title
+  }
+
+  if (body.content !== undefined) {
+    if (typeof body.content !== 'string') {
+      return { error: 'Invalid field: content must be a string' }
+    }
+    fields.content = body.content
+  }
+
+  if (body.tags !== undefined) {
+    const { tags, error } = parseEntryTags(body.tags)
+    if (error) {
+      return { error }
+    }
+    fields.tags = tags
+  }
+
+  return { fields }
+}
+
+// GET /api/drafts - The user's drafts, most recently saved first
+draftsRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `SELECT ${DRAFT_COLUMNS}
+       FROM journal_drafts
+       WHERE user_id = $1
+       ORDER BY updated_at DESC, draft_id DESC`,
+      [userId]
+    )
+
+    response.json({ drafts: await decryptEntries(rows) })
+  } catch (error) {
+    console.error('Error fetching drafts:', error)
+    response.status(500).json({ error: 'Failed to fetch drafts' })
+  }
+})
+
+// POST /api/drafts - Start a draft; every field is optional
+draftsRouter.post('/', verifyToken, async (request, response) => {
+  const firebaseUid = request.user.uid
+
+  const { fields, error: fieldsError } = parseDraftFields(request.body)
+  if (fieldsError) {
+    return response.status(400).json({ error: fieldsError })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    const draft = { title: fields.title ?? '', content: fields.content ?? '' }
+    const encrypted = encryptEntry(await activeDataKey(userId, client), draft)
+
+    const insertQuery = await client.query(
+      `INSERT INTO journal_drafts (user_id, title, content, tags)
+       VALUES ($1, $2, $3, $4)
+       RETURNING ${DRAFT_COLUMNS}`,
+      [userId, encrypted.title, encrypted.content, fields.tags ?? []]
+    )
+
+    await client.query('COMMIT')
+
+    response.status(201).json({ ...insertQuery.rows[0], ...draft })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error creating draft:', error)
+    response.status(500).json({ error: 'Failed to create draft' })
+  } finally {
+    client.release()
+  }
+})
+
+// GET /api/drafts/:id
+draftsRouter.get('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const draftId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const draftResult = await pool.query(
+      `SELECT ${DRAFT_COLUMNS} FROM journal_drafts WHERE draft_id = $1 AND user_id = $2`,
+      [draftId, userId]
+    )
+
+    if (draftResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Draft not found or access denied' })
+    }
+
+    response.json(await decryptEntry(draftResult.rows[0]))
+  } catch (error) {
+    console.error('Error fetching draft:', error)
+    response.status(500).json({ error: 'Failed to fetch draft' })
+  }
+})
+
+// PATCH /api/drafts/:id - Autosave. Only the fields sent are changed and no
+// emotion analysis runs. Send the version last read to detect edits made on
+// another device in the meantime; a stale version gets 409 with the newer draft.
+draftsRouter.patch('/:id', verifyToken, async (request, response) => {
+  const firebaseUid = request.user.uid
+  const draftId = request.params.id
+  const { version } = request.body
+
+  if (version !== undefined && !Number.isInteger(version)) {
+    return response.status(400).json({ error: 'Invalid field: version must be an integer' })
+  }
+
+  const { fields, error: fieldsError } = parseDraftFields(request.body)
+  if (fieldsError) {
+    return response.status(400).json({ error: fieldsError })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    const dataKey = await activeDataKey(userId, client)
+    const encrypt = (value) => value === undefined ? null : encryptText(dataKey, value)
+
+    const updateQuery = await client.query(
+      `UPDATE journal_drafts
+       SET title = COALESCE($1, title),
+           content = COALESCE($2, content),
+           tags = COALESCE($3, tags),
+           version = version + 1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE draft_id = $4 AND user_id = $5 AND ($6::integer IS NULL OR version = $6)
+       RETURNING ${DRAFT_COLUMNS}`,
+      [encrypt(fields.title), encrypt(fields.content), fields.tags ?? null, draftId, userId, version ?? null]
+    )
+
+    if (updateQuery.rows.length > 0) {
+      await client.query('COMMIT')
+      return response.json(await decryptEntry(updateQuery.rows[0]))
+    }
+
+    const currentResult = await client.query(
+      `SELECT ${DRAFT_COLUMNS} FROM journal_drafts WHERE draft_id = $1 AND user_id = $2`,
+      [draftId, userId]
+    )
+
+    await client.query('COMMIT')
+
+    if (currentResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Draft not found or access denied' })
+    }
+
+    response.status(409).json({
+      error: 'Draft was changed on another device',
+      draft: await decryptEntry(currentResult.rows[0])
+    })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error saving draft:', error)
+    response.status(500).json({ error: 'Failed to save draft' })
+  } finally {
+    client.release()
+  }
+})
+
+// DELETE /api/drafts/:id - Discard a draft
+draftsRouter.delete('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const draftId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const deleteQuery = await pool.query(
+      'DELETE FROM journal_drafts WHERE draft_id = $1 AND user_id = $2 RETURNING draft_id',
+      [draftId, userId]
+    )
+
+    if (deleteQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Draft not found or access denied' })
+    }
+
+    response.json({ message: 'Draft deleted successfully', draft_id: deleteQuery.rows[0].draft_id })
+  } catch (error) {
+    console.error('Error deleting draft:', error)
+    response.status(500).json({ error: 'Failed to delete draft' })
+  }
+})
+
+// POST /api/drafts/:id/publish - Turn a draft into a journal entry and analyse its emotions
+draftsRouter.post('/:id/publish', verifyToken, rateLimit('journal-write'), async (request, response) => {
+  const firebaseUid = request.user.uid
+  const draftId = request.params.id
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    const dataKey = await activeDataKey(userId, client)
+
+    // Deleting up front locks the draft, so publishing twice cannot create two entries
+    const draftResult = await client.query(
+      'DELETE FROM journal_drafts WHERE draft_id = $1 AND user_id = $2 RETURNING title, content, tags',
+      [draftId, userId]
+    )
+
+    if (draftResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'Draft not found or access denied' })
+    }
+
+    const draft = await decryptEntry(draftResult.rows[0], client)
+
+    if (!draft.title.trim() || !draft.content.trim()) {
+      await client.query('ROLLBACK')
+      return response.status(400).json({ error: 'Draft needs a title and content before it can be published' })
+    }
+
+    const encrypted = encryptEntry(dataKey, draft)
+    const journalQuery = await client.query(
+      `INSERT INTO journal_entries(user_id, title, content, word_count, emotions, emotions_status, search_vector)
+       VALUES ($1, $2, $3, $4, NULL, 'pending', $5::tsvector)
+       RETURNING journal_id, title, content, emotions, emotions_status`,
+      [userId, encrypted.title, encrypted.content, countWords(draft.content), await searchVector(client, dataKey, draft)]
+    )
+
+    const journal = { ...journalQuery.rows[0], title: draft.title, content: draft.content }
+    journal.tags = await setEntryTags(client, userId, journal.journal_id, draft.tags)
+
+    await client.query('COMMIT')
+
+    // The entry is already published, so a failure to queue its analysis only leaves the emotions pending
+    await enqueueEmotionAnalysis(journal.journal_id, userId)
+      .catch(error => console.error('Error queueing emotion analysis:', error))
+
+    response.status(201).json(journal)
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error publishing draft:', error)
+    response.status(500).json({ error: 'Failed to publish draft' })
+  } finally {
+    client.release()
+  }
+})
+
+module.exports = draftsRouter
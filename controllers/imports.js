@@ -0,0 +1,146 @@
+const { verifyToken } = require('../utils/auth')
+const { rateLimit } = require('../utils/rateLimit')
+const { pool } = require('../utils/config')
+const { enqueueEmotionAnalysis } = require('../utils/services/jobs')
+const { IMPORT_PARSERS } = require('../utils/services/importers')
+const { countWords } = require('../utils/journalQuery')
+const { activeDataKey, encryptEntry, decryptText, searchVector } = require('../utils/encryption')
+const importRouter = require('express').Router()
+
+const MAX_IMPORT_ENTRIES = 2000
+
+// POST /api/journals/import - Import entries exported from Day One, Journey or Markdown
+importRouter.post('/', verifyToken, rateLimit('journal-import'), async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { format, data } = request.body
+
+    // hasOwn so names like 'constructor' are not looked up on the prototype
+    const parse = Object.hasOwn(IMPORT_PARSERS, format) ? IMPORT_PARSERS[format] : null
+    if (!parse) {
+      return response.status(400).json({
+        error: `Invalid or missing field: format must be one of ${Object.keys(IMPORT_PARSERS).join(', ')}`
+      })
+    }
+
+    const { candidates, error: parseError } = parse(data)
+    if (parseError) {
+      return response.status(400).json({ error: parseError })
+    }
+
+    if (candidates.length > MAX_IMPORT_ENTRIES) {
+      return response.status(400).json({ error: `Too many entries: at most ${MAX_IMPORT_ENTRIES} can be imported at once` })
+    }
+
+    const userResult = await pool.query(
+      'SELECT user_id, end_to_end_encryption FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const { user_id: userId, end_to_end_encryption: clientEncrypted } = userResult.rows[0]
+
+    // Imported text reaches the server in plain text, which end-to-end encryption rules out
+    if (clientEncrypted) {
+      return response.status(409).json({ error: 'Entries cannot be imported while end-to-end encryption is on' })
+    }
+
+    const results = []
+    // Guards against the same entry appearing twice in one upload
+    const seen = new Set()
+
+    for (const [index, candidate] of candidates.entries()) {
+      if (candidate.error) {
+        results[index] = { index, status: 'failed', error: candidate.error }
+        continue
+      }
+
+      const key = `${candidate.createdAt.toISOString()}\n${candidate.content}`
+      // Content is encrypted, so entries written at the same moment are compared after decrypting
+      const sameTime = await pool.query(
+        'SELECT journal_id, content FROM journal_entries WHERE user_id = $1 AND created_at = $2',
+        [userId, candidate.createdAt]
+      )
+      let existing = null
+      for (const entry of sameTime.rows) {
+        if (await decryptText(entry.content) === candidate.content) {
+          existing = entry
+          break
+        }
+      }
+
+      if (seen.has(key) || existing) {
+        results[index] = {
+          index,
+          status: 'duplicate',
+          title: candidate.title,
+          created_at: candidate.createdAt,
+          journal_id: existing ? existing.journal_id : null
+        }
+        continue
+      }
+
+      seen.add(key)
+
+      // Each entry is written in its own transaction so key rotation can wait for it,
+      // and an entry that cannot be stored fails on its own without undoing the others
+      const client = await pool.connect()
+      let insertQuery
+      try {
+        await client.query('BEGIN')
+        const dataKey = await activeDataKey(userId, client)
+        const encrypted = encryptEntry(dataKey, candidate)
+        insertQuery = await client.query(
+          `INSERT INTO journal_entries(user_id, title, content, word_count, emotions, emotions_status, search_vector, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, NULL, 'pending', $5::tsvector, $6, $6)
+           RETURNING journal_id, title, created_at, emotions_status`,
+          [
+            userId,
+            encrypted.title,
+            encrypted.content,
+            countWords(candidate.content),
+            await searchVector(client, dataKey, candidate),
+            candidate.createdAt
+          ]
+        )
+        await client.query('COMMIT')
+      } catch (error) {
+        await client.query('ROLLBACK')
+        console.error('Error importing journal entry:', error)
+        results[index] = { index, status: 'failed', title: candidate.title, error: 'Entry could not be saved' }
+        continue
+      } finally {
+        client.release()
+      }
+
+      // Emotions are analysed by the background worker, like those of any new entry
+      await enqueueEmotionAnalysis(insertQuery.rows[0].journal_id, userId)
+        .catch(error => console.error('Error queueing emotion analysis:', error))
+
+      results[index] = {
+        index,
+        status: 'imported',
+        ...insertQuery.rows[0],
+        title: candidate.title
+      }
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length
+
+    response.status(201).json({
+      total: candidates.length,
+      imported: count('imported'),
+      duplicates: count('duplicate'),
+      failed: count('failed'),
+      results
+    })
+  } catch (error) {
+    console.error('Error importing journal entries:', error)
+    response.status(500).json({ error: 'Failed to import journal entries' })
+  }
+})
+
+module.exports = importRouter
@@ -1,345 +1,1079 @@
-const express = require("express");
-const { pool } = require("../utils/config");
-const { verifyToken } = require("../utils/auth");
+const express = require('express')
+const { pool, EMOTION_MODEL } = require('../utils/config')
+const { verifyToken } = require('../utils/auth')
+const { rateLimit } = require('../utils/rateLimit')
+const { enqueueJob, findActiveJob } = require('../utils/services/jobQueue')
 const {
-  generateDailyQuote,
-  generateDailySummaryForUser,
-} = require("../utils/services/insights");
+  DAILY_GENERATION_QUOTAS,
+  consumeGenerationQuota,
+} = require('../utils/services/quotas')
+const { getEmotionTaxonomy } = require('../utils/services/emotionTaxonomy')
+const { localDate, shiftDate, formatDate } = require('../utils/timezone')
+const { normalizeTagName } = require('../utils/tags')
+const {
+  parseDateRange,
+  parseGranularity,
+  parseMinConfidence,
+  parseTopN,
+  isValidDate,
+  encodeDateCursor,
+  parseHistoryPagination,
+  defaultSeriesStart,
+  buildBuckets,
+  legacyTrendBuckets,
+} = require('../utils/insightsQuery')
+
+const insightsRouter = express.Router()
 
-const insightsRouter = express.Router();
+// Queue the generation of the user's quote or summary for today unless it is
+// already queued or running. Each new job uses one of the user's daily
+// generations of that kind; resolves to null once they are all used.
+const queueGeneration = async (kind, type, payload, userId, today) => {
+  const dedupeKey = `${type}:${userId}:${today}`
+
+  const activeJob = await findActiveJob(dedupeKey)
+  if (activeJob) {
+    return activeJob
+  }
+
+  const quota = await consumeGenerationQuota(userId, kind, today)
+  if (!quota.allowed) {
+    return null
+  }
+
+  return enqueueJob(type, payload, { userId, dedupeKey })
+}
+
+const quotaExceededMessage = (kind) =>
+  `You have used all ${DAILY_GENERATION_QUOTAS[kind]} of today's ${kind} generations. Try again tomorrow!`
 
 // Get daily quote
-insightsRouter.get("/quote", verifyToken, async (request, response) => {
+insightsRouter.get(
+  '/quote',
+  verifyToken,
+  rateLimit('insights-generation'),
+  async (request, response) => {
+    try {
+      const firebaseUid = request.user.uid
+
+      const userResult = await pool.query(
+        'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
+        [firebaseUid]
+      )
+      if (userResult.rows.length === 0) {
+        return response.status(404).json({ error: 'User not found' })
+      }
+      const { user_id: userId, timezone } = userResult.rows[0]
+
+      // Check if quote already exists for today in the user's timezone
+      const today = localDate(timezone)
+      const existingQuote = await pool.query(
+        'SELECT title, quote, author, citation, explanation, favourite FROM daily_quotes WHERE user_id = $1 AND quote_date = $2',
+        [userId, today]
+      )
+
+      if (existingQuote.rows.length > 0) {
+        return response.json(existingQuote.rows[0])
+      }
+
+      // Quotes are generated from the last 7 days of entries, starting at the user's
+      // local midnight, except end-to-end encrypted ones the NLP service cannot read
+      const recentEntries = await pool.query(
+        'SELECT 1 FROM journal_entries WHERE user_id = $1 AND deleted_at IS NULL AND NOT client_encrypted AND created_at >= ($2::date::timestamp AT TIME ZONE $3) LIMIT 1',
+        [userId, shiftDate(today, -7), timezone]
+      )
+
+      if (recentEntries.rows.length === 0) {
+        return response.json({
+          message: 'Start journaling to receive personalized daily quotes!',
+        })
+      }
+
+      // Generate the quote in the background so the request returns fast
+      const job = await queueGeneration(
+        'quote',
+        'generate-daily-quote',
+        { userId, quoteDate: today },
+        userId,
+        today
+      )
+
+      if (!job) {
+        return response
+          .status(429)
+          .json({ error: quotaExceededMessage('quote') })
+      }
+
+      response.status(202).json({
+        message: 'Your daily quote is being generated. Check back shortly!',
+        job_id: job.job_id,
+      })
+    } catch (error) {
+      console.error('Error fetching daily quote:', error)
+      response.status(500).json({ error: 'Failed to fetch daily quote' })
+    }
+  }
+)
+
+// Get daily summary
+insightsRouter.get(
+  '/summary',
+  verifyToken,
+  rateLimit('insights-generation'),
+  async (request, response) => {
+    try {
+      const firebaseUid = request.user.uid
+
+      const userResult = await pool.query(
+        'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
+        [firebaseUid]
+      )
+      if (userResult.rows.length === 0) {
+        return response.status(404).json({ error: 'User not found' })
+      }
+      const { user_id: userId, timezone } = userResult.rows[0]
+      const today = localDate(timezone)
+
+      // Get the most recent summary
+      const recentSummary = await pool.query(
+        `
+        SELECT summary, key_themes, emotional_trends, entry_count, 
+               analysis_period_start, analysis_period_end, summary_date
+        FROM daily_summaries 
+        WHERE user_id = $1 
+        ORDER BY summary_date DESC 
+        LIMIT 1
+      `,
+        [userId]
+      )
+
+      // Summaries are generated from the past 7 days of entries, starting at the user's
+      // local midnight, that are not end-to-end encrypted
+      const entries = await pool.query(
+        `
+        SELECT 1
+        FROM journal_entries 
+        WHERE user_id = $1 
+        AND deleted_at IS NULL
+        AND NOT client_encrypted
+        AND created_at >= ($2::date::timestamp AT TIME ZONE $3)
+        LIMIT 1
+      `,
+        [userId, shiftDate(today, -7), timezone]
+      )
+
+      const summary = recentSummary.rows[0]
+      const summaryDate = summary ? formatDate(summary.summary_date) : null
+
+      // If there is no summary for today, generate one in the background
+      const wantsGeneration = summaryDate !== today && entries.rows.length > 0
+      let job = null
+      if (wantsGeneration) {
+        job = await queueGeneration(
+          'summary',
+          'generate-daily-summary',
+          { userId, summaryDate: today },
+          userId,
+          today
+        )
+      }
+
+      if (!summary) {
+        // Without a summary to fall back on, a spent quota is an error
+        if (wantsGeneration && !job) {
+          return response
+            .status(429)
+            .json({ error: quotaExceededMessage('summary') })
+        }
+
+        if (!job) {
+          return response.json({
+            message:
+              'No summaries available yet. Keep journaling and check back tomorrow!',
+          })
+        }
+
+        return response.status(202).json({
+          message: 'Your first summary is being generated. Check back shortly!',
+          job_id: job.job_id,
+        })
+      }
+
+      // Return the most recent summary while a newer one may be generating
+      response.json({
+        summary: summary.summary,
+        key_themes: summary.key_themes,
+        emotional_trends: summary.emotional_trends,
+        entry_count: summary.entry_count,
+        analysis_period: {
+          start: summary.analysis_period_start,
+          end: summary.analysis_period_end,
+        },
+        generated_date: summary.summary_date,
+      })
+    } catch (error) {
+      console.error('Error fetching daily summary:', error)
+      response.status(500).json({ error: 'Failed to fetch daily summary' })
+    }
+  }
+)
+
+const SUMMARY_COLUMNS = `
+  summary_date::text AS summary_date, summary, key_themes, emotional_trends,
+  entry_count, analysis_period_start::text AS analysis_period_start,
+  analysis_period_end::text AS analysis_period_end
+`
+
+const QUOTE_COLUMNS = `
+  quote_date::text AS quote_date, title, quote, author, citation, explanation,
+  favourite
+`
+
+const formatSummary = ({
+  analysis_period_start,
+  analysis_period_end,
+  ...summary
+}) => ({
+  ...summary,
+  analysis_period: { start: analysis_period_start, end: analysis_period_end },
+})
+
+// One page of an archive, newest date first, with the cursor of the next page
+const historyPage = (rows, limit, dateColumn) => {
+  const page = rows.slice(0, limit)
+  const hasMore = rows.length > limit
+  return {
+    page,
+    nextCursor: hasMore ? encodeDateCursor(page[page.length - 1][dateColumn]) : null,
+  }
+}
+
+// Past summaries, newest first, paginated with ?limit and ?cursor
+insightsRouter.get('/summaries', verifyToken, async (request, response) => {
   try {
-    const firebaseUid = request.user.uid;
+    const firebaseUid = request.user.uid
+
+    const { pagination, error } = parseHistoryPagination(request.query)
+    if (error) {
+      return response.status(400).json({ error })
+    }
 
     const userResult = await pool.query(
-      "SELECT user_id FROM users WHERE firebase_uid = $1",
+      'SELECT user_id FROM users WHERE firebase_uid = $1',
       [firebaseUid]
-    );
+    )
     if (userResult.rows.length === 0) {
-      return response.status(404).json({ error: "User not found" });
+      return response.status(404).json({ error: 'User not found' })
     }
-    const userId = userResult.rows[0].user_id;
+    const userId = userResult.rows[0].user_id
 
-    // Check if quote already exists for today - let PostgreSQL determine "today"
-    const existingQuote = await pool.query(
-      "SELECT title, quote, author, citation, explanation FROM daily_quotes WHERE user_id = $1 AND quote_date = CURRENT_DATE",
-      [userId]
-    );
+    // Fetch one extra row to know whether another page exists
+    const summaries = await pool.query(
+      `
+      SELECT ${SUMMARY_COLUMNS}
+      FROM daily_summaries
+      WHERE user_id = $1
+      AND ($2::date IS NULL OR summary_date < $2::date)
+      ORDER BY summary_date DESC
+      LIMIT $3
+    `,
+      [userId, pagination.before, pagination.limit + 1]
+    )
 
-    if (existingQuote.rows.length > 0) {
-      return response.json(existingQuote.rows[0]);
-    }
+    const { page, nextCursor } = historyPage(
+      summaries.rows,
+      pagination.limit,
+      'summary_date'
+    )
 
-    // Generate new quote
-    const quote = await generateDailyQuote(userId);
+    response.json({ summaries: page.map(formatSummary), nextCursor })
+  } catch (error) {
+    console.error('Error fetching summary history:', error)
+    response.status(500).json({ error: 'Failed to fetch summary history' })
+  }
+})
 
-    console.log("Generated quote:", quote); // Add this debug line
+// The summary generated on a date (YYYY-MM-DD)
+insightsRouter.get('/summaries/:date', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { date } = request.params
 
-    if (!quote || !quote.quote) {
-      return response.json({
-        message: "Start journaling to receive personalized daily quotes!",
-      });
+    if (!isValidDate(date)) {
+      return response
+        .status(400)
+        .json({ error: 'Invalid date: must be YYYY-MM-DD' })
     }
 
-    // Store the quote - let the DEFAULT CURRENT_DATE handle the date
-    await pool.query(
-      "INSERT INTO daily_quotes (user_id, title, quote, author, citation, explanation) VALUES ($1, $2, $3, $4, $5, $6)",
-      [
-        userId,
-        quote.title,
-        quote.quote,
-        quote.author,
-        quote.citation,
-        quote.explanation,
-      ]
-    );
-
-    const stored = await pool.query(
-      "SELECT title, quote, author, citation, explanation, quote_date FROM daily_quotes WHERE user_id = $1 AND quote_date = CURRENT_DATE",
-      [userId]
-    );
+    const userResult = await pool.query(
+      'SELECT user_id FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const userId = userResult.rows[0].user_id
 
-    console.log("Stored quote:", stored.rows[0]); // Add this debug line
+    const summary = await pool.query(
+      `SELECT ${SUMMARY_COLUMNS} FROM daily_summaries WHERE user_id = $1 AND summary_date = $2`,
+      [userId, date]
+    )
+    if (summary.rows.length === 0) {
+      return response
+        .status(404)
+        .json({ error: `No summary found for ${date}` })
+    }
 
-    response.json(stored.rows[0]);
+    response.json(formatSummary(summary.rows[0]))
   } catch (error) {
-    console.error("Error fetching daily quote:", error);
-    response.status(500).json({ error: "Failed to fetch daily quote" });
+    console.error('Error fetching summary:', error)
+    response.status(500).json({ error: 'Failed to fetch summary' })
   }
-});
+})
 
-// Get daily summary
-insightsRouter.get("/summary", verifyToken, async (request, response) => {
+// Past daily quotes, newest first, paginated with ?limit and ?cursor.
+// ?favourite=true lists only favourited quotes.
+insightsRouter.get('/quotes', verifyToken, async (request, response) => {
   try {
-    const firebaseUid = request.user.uid;
-    const today = new Date().toISOString().split("T")[0];
+    const firebaseUid = request.user.uid
+    const { favourite } = request.query
+
+    if (favourite !== undefined && favourite !== 'true' && favourite !== 'false') {
+      return response.status(400).json({
+        error: 'Invalid query parameter: favourite must be true or false',
+      })
+    }
+
+    const { pagination, error } = parseHistoryPagination(request.query)
+    if (error) {
+      return response.status(400).json({ error })
+    }
 
     const userResult = await pool.query(
-      "SELECT user_id FROM users WHERE firebase_uid = $1",
+      'SELECT user_id FROM users WHERE firebase_uid = $1',
       [firebaseUid]
-    );
+    )
     if (userResult.rows.length === 0) {
-      return response.status(404).json({ error: "User not found" });
+      return response.status(404).json({ error: 'User not found' })
     }
-    const userId = userResult.rows[0].user_id;
+    const userId = userResult.rows[0].user_id
 
-    // Get the most recent summary
-    const recentSummary = await pool.query(
+    const quotes = await pool.query(
       `
-      SELECT summary, key_themes, emotional_trends, entry_count, 
-             analysis_period_start, analysis_period_end, summary_date
-      FROM daily_summaries 
-      WHERE user_id = $1 
-      ORDER BY summary_date DESC 
-      LIMIT 1
+      SELECT ${QUOTE_COLUMNS}
+      FROM daily_quotes
+      WHERE user_id = $1
+      AND ($2::date IS NULL OR quote_date < $2::date)
+      AND ($3::boolean IS NULL OR favourite = $3)
+      ORDER BY quote_date DESC
+      LIMIT $4
     `,
-      [userId]
-    );
+      [
+        userId,
+        pagination.before,
+        favourite === undefined ? null : favourite === 'true',
+        pagination.limit + 1,
+      ]
+    )
 
-    // If no summary exists at all, try to generate one for today
-    if (recentSummary.rows.length === 0) {
-      // Check if user has journal entries to generate summary from
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+    const { page, nextCursor } = historyPage(
+      quotes.rows,
+      pagination.limit,
+      'quote_date'
+    )
 
-      const entries = await pool.query(
-        `
-        SELECT title, content, emotions, created_at 
-        FROM journal_entries 
-        WHERE user_id = $1 
-        AND created_at >= $2
-        ORDER BY created_at DESC
-      `,
-        [userId, sevenDaysAgo]
-      );
+    response.json({ quotes: page, nextCursor })
+  } catch (error) {
+    console.error('Error fetching quote history:', error)
+    response.status(500).json({ error: 'Failed to fetch quote history' })
+  }
+})
 
-      if (entries.rows.length === 0) {
-        return response.json({
-          message:
-            "No summaries available yet. Keep journaling and check back tomorrow!",
-        });
-      }
+// The quote of a date (YYYY-MM-DD)
+insightsRouter.get('/quotes/:date', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { date } = request.params
 
-      // Generate summary for today
-      await generateDailySummaryForUser(userId, today);
+    if (!isValidDate(date)) {
+      return response
+        .status(400)
+        .json({ error: 'Invalid date: must be YYYY-MM-DD' })
+    }
 
-      // Fetch the newly generated summary
-      const newSummary = await pool.query(
-        `
-        SELECT summary, key_themes, emotional_trends, entry_count, 
-               analysis_period_start, analysis_period_end, summary_date
-        FROM daily_summaries 
-        WHERE user_id = $1 AND summary_date = $2
-      `,
-        [userId, today]
-      );
+    const userResult = await pool.query(
+      'SELECT user_id FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const userId = userResult.rows[0].user_id
 
-      if (newSummary.rows.length > 0) {
-        const summary = newSummary.rows[0];
-        return response.json({
-          summary: summary.summary,
-          key_themes: summary.key_themes,
-          emotional_trends: summary.emotional_trends,
-          entry_count: summary.entry_count,
-          analysis_period: {
-            start: summary.analysis_period_start,
-            end: summary.analysis_period_end,
-          },
-          generated_date: summary.summary_date,
-        });
-      }
+    const quote = await pool.query(
+      `SELECT ${QUOTE_COLUMNS} FROM daily_quotes WHERE user_id = $1 AND quote_date = $2`,
+      [userId, date]
+    )
+    if (quote.rows.length === 0) {
+      return response.status(404).json({ error: `No quote found for ${date}` })
     }
 
-    // Check if the most recent summary is from today
-    const summary = recentSummary.rows[0];
-    const summaryDate = new Date(summary.summary_date)
-      .toISOString()
-      .split("T")[0];
+    response.json(quote.rows[0])
+  } catch (error) {
+    console.error('Error fetching quote:', error)
+    response.status(500).json({ error: 'Failed to fetch quote' })
+  }
+})
 
-    // If the most recent summary is not from today, try to generate a new one
-    if (summaryDate !== today) {
-      // Check if user has journal entries from the past 7 days to generate summary from
-      const sevenDaysAgo = new Date();
-      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+// Favourite or unfavourite the quote of a date with { favourite: boolean }
+insightsRouter.patch(
+  '/quotes/:date/favourite',
+  verifyToken,
+  async (request, response) => {
+    try {
+      const firebaseUid = request.user.uid
+      const { date } = request.params
+      const { favourite } = request.body
 
-      const entries = await pool.query(
-        `
-        SELECT title, content, emotions, created_at 
-        FROM journal_entries 
-        WHERE user_id = $1 
-        AND created_at >= $2
-        ORDER BY created_at DESC
-      `,
-        [userId, sevenDaysAgo]
-      );
-
-      if (entries.rows.length > 0) {
-        // Generate summary for today
-        await generateDailySummaryForUser(userId, today);
-
-        // Fetch the newly generated summary
-        const newSummary = await pool.query(
-          `
-          SELECT summary, key_themes, emotional_trends, entry_count, 
-                 analysis_period_start, analysis_period_end, summary_date
-          FROM daily_summaries 
-          WHERE user_id = $1 AND summary_date = $2
-        `,
-          [userId, today]
-        );
-
-        if (newSummary.rows.length > 0) {
-          const todaySummary = newSummary.rows[0];
-          return response.json({
-            summary: todaySummary.summary,
-            key_themes: todaySummary.key_themes,
-            emotional_trends: todaySummary.emotional_trends,
-            entry_count: todaySummary.entry_count,
-            analysis_period: {
-              start: todaySummary.analysis_period_start,
-              end: todaySummary.analysis_period_end,
-            },
-            generated_date: todaySummary.summary_date,
-          });
-        }
+      if (!isValidDate(date)) {
+        return response
+          .status(400)
+          .json({ error: 'Invalid date: must be YYYY-MM-DD' })
+      }
+      if (typeof favourite !== 'boolean') {
+        return response.status(400).json({
+          error: 'Missing or invalid field: favourite must be boolean',
+        })
       }
-    }
 
-    // Return the most recent summary (fallback)
-    response.json({
-      summary: summary.summary,
-      key_themes: summary.key_themes,
-      emotional_trends: summary.emotional_trends,
-      entry_count: summary.entry_count,
-      analysis_period: {
-        start: summary.analysis_period_start,
-        end: summary.analysis_period_end,
-      },
-      generated_date: summary.summary_date,
-    });
-  } catch (error) {
-    console.error("Error fetching daily summary:", error);
-    response.status(500).json({ error: "Failed to fetch daily summary" });
+      const userResult = await pool.query(
+        'SELECT user_id FROM users WHERE firebase_uid = $1',
+        [firebaseUid]
+      )
+      if (userResult.rows.length === 0) {
+        return response.status(404).json({ error: 'User not found' })
+      }
+      const userId = userResult.rows[0].user_id
+
+      const quote = await pool.query(
+        `UPDATE daily_quotes
+         SET favourite = $1
+         WHERE user_id = $2 AND quote_date = $3
+         RETURNING quote_date::text AS quote_date, favourite`,
+        [favourite, userId, date]
+      )
+      if (quote.rows.length === 0) {
+        return response
+          .status(404)
+          .json({ error: `No quote found for ${date}` })
+      }
+
+      response.json(quote.rows[0])
+    } catch (error) {
+      console.error('Error updating quote favourite:', error)
+      response.status(500).json({ error: 'Failed to update quote favourite' })
+    }
   }
-});
+)
 
-insightsRouter.get("/topEmotions", verifyToken, async (request, response) => {
+// Strongest emotions between ?from and ?to (YYYY-MM-DD, inclusive, in the
+// user's timezone; defaults to the last 30 days), top ?limit (default 5).
+// Emotions are ranked by score, the sum of their confidences, so a label
+// detected weakly in many entries does not outrank one detected strongly.
+insightsRouter.get('/topEmotions', verifyToken, async (request, response) => {
   try {
-    const firebaseUid = request.user.uid;
+    const firebaseUid = request.user.uid
+
+    // Optionally limit to entries with a tag, e.g. ?tag=work
+    const tag =
+      request.query.tag === undefined ? null : normalizeTagName(request.query.tag)
+    if (request.query.tag !== undefined && !tag) {
+      return response
+        .status(400)
+        .json({ error: 'Invalid query parameter: tag must be a tag name' })
+    }
+
+    const { limit, error: limitError } = parseTopN(request.query.limit)
+    if (limitError) {
+      return response.status(400).json({ error: limitError })
+    }
+
+    const { minConfidence, error: confidenceError } = parseMinConfidence(
+      request.query.minConfidence
+    )
+    if (confidenceError) {
+      return response.status(400).json({ error: confidenceError })
+    }
 
     // Get user ID
     const userResult = await pool.query(
-      "SELECT user_id FROM users WHERE firebase_uid = $1",
+      'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
       [firebaseUid]
-    );
+    )
     if (userResult.rows.length === 0) {
-      return response.status(404).json({ error: "User not found" });
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const { user_id: userId, timezone } = userResult.rows[0]
+
+    const { range, error: rangeError } = parseDateRange(
+      request.query,
+      timezone,
+      (to) => shiftDate(to, -30)
+    )
+    if (rangeError) {
+      return response.status(400).json({ error: rangeError })
     }
-    const userId = userResult.rows[0].user_id;
+    const defaultRange =
+      request.query.from === undefined && request.query.to === undefined
 
-    // Get top 5 emotions from last 30 days
     const emotionCounts = await pool.query(
       `
       WITH unnested_emotions AS (
         SELECT 
-          jsonb_array_elements(emotions) ->> 'emotion' as emotion
+          emotion ->> 'emotion' as emotion,
+          COALESCE((emotion ->> 'confidence')::float, 1) AS confidence
         FROM journal_entries
+        CROSS JOIN LATERAL jsonb_array_elements(emotions) AS emotion
         WHERE user_id = $1
-        AND created_at >= CURRENT_DATE - INTERVAL '30 days'
+        AND deleted_at IS NULL
+        AND (created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+        AND ($5::text IS NULL OR EXISTS (
+          SELECT 1
+          FROM journal_entry_tags jt
+          JOIN tags t ON t.tag_id = jt.tag_id
+          WHERE jt.journal_id = journal_entries.journal_id AND t.name = $5
+        ))
       )
       SELECT 
-        emotion,
-        COUNT(*) as count 
-      FROM unnested_emotions
-      GROUP BY emotion
-      ORDER BY count DESC
-      LIMIT 5
+        ue.emotion,
+        COALESCE(et.category, (SELECT category FROM emotion_categories WHERE is_fallback)) AS category,
+        COUNT(*) as count,
+        ROUND(SUM(ue.confidence)::numeric, 3)::float AS score
+      FROM unnested_emotions ue
+      LEFT JOIN emotion_taxonomy et ON et.model = $7 AND et.emotion = ue.emotion
+      WHERE ue.confidence >= $8
+      GROUP BY ue.emotion, et.category
+      ORDER BY score DESC, count DESC, ue.emotion
+      LIMIT $6
     `,
-      [userId]
-    );
+      [
+        userId,
+        timezone,
+        range.from,
+        range.to,
+        tag,
+        limit,
+        EMOTION_MODEL,
+        minConfidence,
+      ]
+    )
 
     if (emotionCounts.rows.length === 0) {
+      const period = defaultRange
+        ? 'in the last 30 days'
+        : `between ${range.from} and ${range.to}`
       return response.json({
-        message: "No journal entries found in the last 30 days",
-      });
+        message: tag
+          ? `No journal entries tagged #${tag} found ${period}`
+          : `No journal entries found ${period}`,
+      })
     }
 
     response.json({
+      ...(tag && { tag }),
+      from: range.from,
+      to: range.to,
+      minConfidence,
       topEmotions: emotionCounts.rows,
-    });
+    })
   } catch (error) {
-    console.error("Error fetching emotion analysis:", error);
-    response.status(500).json({ error: "Failed to fetch emotion analysis" });
+    console.error('Error fetching emotion analysis:', error)
+    response.status(500).json({ error: 'Failed to fetch emotion analysis' })
   }
-});
+})
 
-insightsRouter.get("/emotionTrends", verifyToken, async (request, response) => {
+// Entry count and top 3 emotions per tag over the last 30 days
+insightsRouter.get('/tags', verifyToken, async (request, response) => {
   try {
-    const firebaseUid = request.user.uid;
+    const firebaseUid = request.user.uid
 
     const userResult = await pool.query(
-      "SELECT user_id FROM users WHERE firebase_uid = $1",
+      'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
       [firebaseUid]
-    );
+    )
     if (userResult.rows.length === 0) {
-      return response.status(404).json({ error: "User not found" });
+      return response.status(404).json({ error: 'User not found' })
     }
-    const userId = userResult.rows[0].user_id;
+    const { user_id: userId, timezone } = userResult.rows[0]
 
-    const emotionTrends = await pool.query(
+    const tagInsights = await pool.query(
       `
-      WITH RECURSIVE dates AS (
-        SELECT unnest(ARRAY[1, 5, 10, 15, 20, 25, 30]) AS day
+      WITH tagged_entries AS (
+        SELECT t.name AS tag, j.journal_id, j.emotions
+        FROM tags t
+        JOIN journal_entry_tags jt ON jt.tag_id = t.tag_id
+        JOIN journal_entries j ON j.journal_id = jt.journal_id
+        WHERE t.user_id = $1
+        AND j.deleted_at IS NULL
+        AND j.created_at >= (((CURRENT_TIMESTAMP AT TIME ZONE $2)::date - 30)::timestamp AT TIME ZONE $2)
       ),
-      unnested_emotions AS (
-        SELECT 
-          created_at,
-          jsonb_array_elements(emotions) ->> 'emotion' as emotion
-        FROM journal_entries 
-        WHERE user_id = $1
-          AND created_at >= CURRENT_DATE - INTERVAL '30 days'
+      tag_counts AS (
+        SELECT tag, COUNT(*)::integer AS entry_count
+        FROM tagged_entries
+        GROUP BY tag
+      ),
+      ranked_emotions AS (
+        SELECT
+          te.tag,
+          element ->> 'emotion' AS emotion,
+          COALESCE(et.category, (SELECT category FROM emotion_categories WHERE is_fallback)) AS category,
+          COUNT(*)::integer AS count,
+          ROW_NUMBER() OVER (PARTITION BY te.tag ORDER BY COUNT(*) DESC, element ->> 'emotion') AS rank
+        FROM tagged_entries te
+        CROSS JOIN LATERAL jsonb_array_elements(te.emotions) AS element
+        LEFT JOIN emotion_taxonomy et ON et.model = $3 AND et.emotion = element ->> 'emotion'
+        GROUP BY te.tag, element ->> 'emotion', et.category
+      )
+      SELECT
+        tc.tag,
+        tc.entry_count,
+        COALESCE(
+          json_agg(json_build_object('emotion', re.emotion, 'category', re.category, 'count', re.count) ORDER BY re.rank)
+            FILTER (WHERE re.emotion IS NOT NULL),
+          '[]'
+        ) AS top_emotions
+      FROM tag_counts tc
+      LEFT JOIN ranked_emotions re ON re.tag = tc.tag AND re.rank <= 3
+      GROUP BY tc.tag, tc.entry_count
+      ORDER BY tc.entry_count DESC, tc.tag
+    `,
+      [userId, timezone, EMOTION_MODEL]
+    )
+
+    if (tagInsights.rows.length === 0) {
+      return response.json({
+        message: 'No tagged journal entries found in the last 30 days',
+      })
+    }
+
+    response.json({
+      tags: tagInsights.rows,
+    })
+  } catch (error) {
+    console.error('Error fetching tag insights:', error)
+    response.status(500).json({ error: 'Failed to fetch tag insights' })
+  }
+})
+
+// Emotion counts per taxonomy category (positive, negative and ambiguous by
+// default) per bucket, with zeros for empty buckets. Each bucket also has the
+// categories' scores (summed confidences) and average_valence, the
+// confidence-weighted mean valence of its emotions (null when it has none).
+// ?minConfidence leaves out weakly detected emotions. ?granularity=day|week|month with ?from and ?to (YYYY-MM-DD,
+// inclusive) give a calendar series; weeks start on Monday. Without any of
+// them the original seven buckets over the last 30 days are returned.
+insightsRouter.get('/emotionTrends', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { from, to } = request.query
+    const legacy =
+      from === undefined &&
+      to === undefined &&
+      request.query.granularity === undefined
+
+    const { granularity, error: granularityError } = parseGranularity(
+      request.query.granularity
+    )
+    if (granularityError) {
+      return response.status(400).json({ error: granularityError })
+    }
+
+    const { minConfidence, error: confidenceError } = parseMinConfidence(
+      request.query.minConfidence
+    )
+    if (confidenceError) {
+      return response.status(400).json({ error: confidenceError })
+    }
+
+    const userResult = await pool.query(
+      'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const { user_id: userId, timezone } = userResult.rows[0]
+
+    let range = null
+    let buckets
+    if (legacy) {
+      buckets = legacyTrendBuckets(localDate(timezone))
+    } else {
+      const parsed = parseDateRange(
+        request.query,
+        timezone,
+        defaultSeriesStart(granularity)
+      )
+      if (parsed.error) {
+        return response.status(400).json({ error: parsed.error })
+      }
+      range = parsed.range
+
+      const built = buildBuckets(range, granularity)
+      if (built.error) {
+        return response.status(400).json({ error: built.error })
+      }
+      buckets = built.buckets
+    }
+
+    const emotionTrends = await pool.query(
+      `
+      WITH buckets AS (
+        SELECT *
+        FROM unnest($3::text[], $4::date[], $5::date[]) AS b(period, start_date, end_date)
       ),
       categorized_emotions AS (
         SELECT 
-          created_at,
-          CASE 
-            WHEN emotion IN ('gratitude', 'joy', 'love', 'admiration', 'approval', 'caring', 'excitement', 'amusement', 'pride', 'desire', 'optimism', 'relief') THEN 'positive'
-            WHEN emotion IN ('anger', 'sadness', 'fear', 'disgust', 'disappointment', 'annoyance', 'grief', 'remorse', 'disapproval', 'embarrassment', 'nervousness') THEN 'negative'
-            ELSE 'ambiguous'
-          END as category
-        FROM unnested_emotions
+          (j.created_at AT TIME ZONE $2)::date AS entry_date,
+          COALESCE(et.category, (SELECT category FROM emotion_categories WHERE is_fallback)) AS category,
+          COALESCE((element ->> 'confidence')::float, 1) AS confidence,
+          et.valence
+        FROM journal_entries j
+        CROSS JOIN LATERAL jsonb_array_elements(j.emotions) AS element
+        LEFT JOIN emotion_taxonomy et
+          ON et.model = $6 AND et.emotion = element ->> 'emotion'
+        WHERE j.user_id = $1
+          AND j.deleted_at IS NULL
+          AND (j.created_at AT TIME ZONE $2)::date BETWEEN (SELECT MIN(start_date) FROM buckets) AND (SELECT MAX(end_date) FROM buckets)
+          AND COALESCE((element ->> 'confidence')::float, 1) >= $7
+      ),
+      category_counts AS (
+        SELECT
+          b.period,
+          b.start_date,
+          b.end_date,
+          c.category,
+          c.sort_order,
+          COUNT(ce.category)::integer AS count,
+          COALESCE(SUM(ce.confidence), 0) AS score,
+          SUM(ce.confidence * ce.valence) AS valence_sum,
+          SUM(ce.confidence) FILTER (WHERE ce.valence IS NOT NULL) AS valence_weight
+        FROM buckets b
+        CROSS JOIN emotion_categories c
+        LEFT JOIN categorized_emotions ce
+          ON ce.category = c.category
+          AND ce.entry_date BETWEEN b.start_date AND b.end_date
+        GROUP BY b.period, b.start_date, b.end_date, c.category, c.sort_order
       )
       SELECT 
-        dates.day::text as day,
-        COALESCE(COUNT(CASE WHEN ce.category = 'positive' THEN 1 END)::integer, 0) as positive,
-        COALESCE(COUNT(CASE WHEN ce.category = 'negative' THEN 1 END)::integer, 0) as negative,
-        COALESCE(COUNT(CASE WHEN ce.category = 'ambiguous' THEN 1 END)::integer, 0) as ambiguous
-      FROM dates
-      LEFT JOIN categorized_emotions ce 
-        ON CASE 
-          WHEN dates.day = 1 THEN DATE_TRUNC('day', ce.created_at) = CURRENT_DATE
-          WHEN dates.day = 5 THEN ce.created_at > CURRENT_DATE - INTERVAL '5 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '1 day'
-          WHEN dates.day = 10 THEN ce.created_at > CURRENT_DATE - INTERVAL '10 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '5 days'
-          WHEN dates.day = 15 THEN ce.created_at > CURRENT_DATE - INTERVAL '15 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '10 days'
-          WHEN dates.day = 20 THEN ce.created_at > CURRENT_DATE - INTERVAL '20 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '15 days'
-          WHEN dates.day = 25 THEN ce.created_at > CURRENT_DATE - INTERVAL '25 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '20 days'
-          WHEN dates.day = 30 THEN ce.created_at > CURRENT_DATE - INTERVAL '30 days' AND ce.created_at <= CURRENT_DATE - INTERVAL '25 days'
-        END
-      GROUP BY dates.day
-      ORDER BY dates.day;
+        period,
+        start_date::text AS start_date,
+        end_date::text AS end_date,
+        json_object_agg(category, count ORDER BY sort_order) AS counts,
+        json_object_agg(category, ROUND(score::numeric, 3) ORDER BY sort_order) AS scores,
+        ROUND((SUM(valence_sum) / NULLIF(SUM(valence_weight), 0))::numeric, 3)::float AS average_valence
+      FROM category_counts
+      GROUP BY period, start_date, end_date
+      ORDER BY start_date;
+    `,
+      [
+        userId,
+        timezone,
+        buckets.map((bucket) => bucket.period),
+        buckets.map((bucket) => bucket.start_date),
+        buckets.map((bucket) => bucket.end_date),
+        EMOTION_MODEL,
+        minConfidence,
+      ]
+    )
+
+    if (legacy) {
+      // Keep the original shape: day labels ordered from the most recent bucket
+      return response.json({
+        emotionTrends: emotionTrends.rows
+          .map(({ period, counts, scores, average_valence }) => ({
+            day: period,
+            ...counts,
+            scores,
+            average_valence,
+          }))
+          .sort((a, b) => Number(a.day) - Number(b.day)),
+      })
+    }
+
+    // One count per category, e.g. { positive: 2, negative: 0, ambiguous: 1 }
+    const series = emotionTrends.rows.map(({ counts, ...bucket }) => ({
+      ...bucket,
+      ...counts,
+    }))
+
+    response.json({
+      from: range.from,
+      to: range.to,
+      granularity,
+      minConfidence,
+      emotionTrends: series,
+    })
+  } catch (error) {
+    console.error('Error fetching emotion trends:', error)
+    response.status(500).json({ error: 'Failed to fetch emotion trends' })
+  }
+})
+
+// Daily mood between ?from and ?to (default the last 30 days): entry count,
+// average_valence (the confidence-weighted mean valence of the day's emotions,
+// -1 to 1) and dominant_emotion (the label with the highest summed confidence).
+// Days without entries are included with null values. ?minConfidence as above.
+insightsRouter.get('/mood', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const { minConfidence, error: confidenceError } = parseMinConfidence(
+      request.query.minConfidence
+    )
+    if (confidenceError) {
+      return response.status(400).json({ error: confidenceError })
+    }
+
+    const userResult = await pool.query(
+      'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const { user_id: userId, timezone } = userResult.rows[0]
+
+    const { range, error: rangeError } = parseDateRange(
+      request.query,
+      timezone,
+      defaultSeriesStart('day')
+    )
+    if (rangeError) {
+      return response.status(400).json({ error: rangeError })
+    }
+    const { buckets, error: bucketsError } = buildBuckets(range, 'day')
+    if (bucketsError) {
+      return response.status(400).json({ error: bucketsError })
+    }
+
+    const mood = await pool.query(
+      `
+      WITH days AS (
+        SELECT unnest($3::date[]) AS day
+      ),
+      entries AS (
+        SELECT journal_id, emotions, (created_at AT TIME ZONE $2)::date AS day
+        FROM journal_entries
+        WHERE user_id = $1
+          AND deleted_at IS NULL
+          AND (created_at AT TIME ZONE $2)::date BETWEEN $4::date AND $5::date
+      ),
+      entry_emotions AS (
+        SELECT
+          e.day,
+          element ->> 'emotion' AS emotion,
+          COALESCE((element ->> 'confidence')::float, 1) AS confidence,
+          et.valence
+        FROM entries e
+        CROSS JOIN LATERAL jsonb_array_elements(e.emotions) AS element
+        LEFT JOIN emotion_taxonomy et
+          ON et.model = $6 AND et.emotion = element ->> 'emotion'
+        WHERE COALESCE((element ->> 'confidence')::float, 1) >= $7
+      ),
+      ranked_emotions AS (
+        SELECT
+          day,
+          emotion,
+          ROW_NUMBER() OVER (PARTITION BY day ORDER BY SUM(confidence) DESC, emotion) AS rank
+        FROM entry_emotions
+        GROUP BY day, emotion
+      ),
+      day_valence AS (
+        SELECT
+          day,
+          SUM(confidence * valence) / NULLIF(SUM(confidence) FILTER (WHERE valence IS NOT NULL), 0) AS average_valence
+        FROM entry_emotions
+        GROUP BY day
+      )
+      SELECT
+        d.day::text AS date,
+        (SELECT COUNT(*)::integer FROM entries e WHERE e.day = d.day) AS entry_count,
+        ROUND(dv.average_valence::numeric, 3)::float AS average_valence,
+        re.emotion AS dominant_emotion
+      FROM days d
+      LEFT JOIN day_valence dv ON dv.day = d.day
+      LEFT JOIN ranked_emotions re ON re.day = d.day AND re.rank = 1
+      ORDER BY d.day
+    `,
+      [
+        userId,
+        timezone,
+        buckets.map((bucket) => bucket.start_date),
+        range.from,
+        range.to,
+        EMOTION_MODEL,
+        minConfidence,
+      ]
+    )
+
+    response.json({
+      from: range.from,
+      to: range.to,
+      minConfidence,
+      mood: mood.rows,
+    })
+  } catch (error) {
+    console.error('Error fetching mood:', error)
+    response.status(500).json({ error: 'Failed to fetch mood' })
+  }
+})
+
+// Emotion categories and how each label of the configured emotion model maps
+// to them, with valence/arousal scores and display metadata
+insightsRouter.get(
+  '/emotions/taxonomy',
+  verifyToken,
+  async (request, response) => {
+    try {
+      response.json(await getEmotionTaxonomy())
+    } catch (error) {
+      console.error('Error fetching emotion taxonomy:', error)
+      response.status(500).json({ error: 'Failed to fetch emotion taxonomy' })
+    }
+  }
+)
+
+const WEEKDAYS = [
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+  'Sunday',
+]
+
+// Journaling habit: streaks, when the user writes, entry length and monthly
+// counts, all by the user's local calendar
+insightsRouter.get('/streaks', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query(
+      'SELECT user_id, timezone FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+    const { user_id: userId, timezone } = userResult.rows[0]
+
+    // Consecutive local days with at least one entry form a streak. The
+    // current streak is still alive if its last day is today or yesterday.
+    const streaks = await pool.query(
+      `
+      WITH journal_days AS (
+        SELECT DISTINCT (created_at AT TIME ZONE $2)::date AS day
+        FROM journal_entries
+        WHERE user_id = $1 AND deleted_at IS NULL
+      ),
+      streaks AS (
+        SELECT MIN(day) AS start_date, MAX(day) AS end_date, COUNT(*)::integer AS length
+        FROM (
+          SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::integer AS streak_group
+          FROM journal_days
+        ) grouped_days
+        GROUP BY streak_group
+      )
+      SELECT
+        (
+          SELECT json_build_object('length', length, 'start_date', start_date, 'end_date', end_date)
+          FROM streaks
+          WHERE end_date >= (CURRENT_TIMESTAMP AT TIME ZONE $2)::date - 1
+        ) AS current_streak,
+        (
+          SELECT json_build_object('length', length, 'start_date', start_date, 'end_date', end_date)
+          FROM streaks
+          ORDER BY length DESC, end_date DESC
+          LIMIT 1
+        ) AS longest_streak,
+        (SELECT COUNT(*)::integer FROM journal_days) AS days_journaled
+    `,
+      [userId, timezone]
+    )
+
+    const heatmapCells = await pool.query(
+      `
+      SELECT
+        EXTRACT(ISODOW FROM created_at AT TIME ZONE $2)::integer AS weekday,
+        EXTRACT(HOUR FROM created_at AT TIME ZONE $2)::integer AS hour,
+        COUNT(*)::integer AS count
+      FROM journal_entries
+      WHERE user_id = $1 AND deleted_at IS NULL
+      GROUP BY weekday, hour
+    `,
+      [userId, timezone]
+    )
+
+    const totals = await pool.query(
+      `
+      SELECT
+        COUNT(*)::integer AS total_entries,
+        COALESCE(ROUND(AVG(word_count), 1), 0)::float AS average_words
+      FROM journal_entries
+      WHERE user_id = $1 AND deleted_at IS NULL
     `,
       [userId]
-    );
+    )
+
+    // Last 12 local calendar months including the current one, with empty months as 0
+    const monthlyCounts = await pool.query(
+      `
+      WITH months AS (
+        SELECT generate_series(
+          date_trunc('month', CURRENT_TIMESTAMP AT TIME ZONE $2) - INTERVAL '11 months',
+          date_trunc('month', CURRENT_TIMESTAMP AT TIME ZONE $2),
+          INTERVAL '1 month'
+        ) AS month
+      )
+      SELECT to_char(m.month, 'YYYY-MM') AS month, COUNT(j.journal_id)::integer AS count
+      FROM months m
+      LEFT JOIN journal_entries j
+        ON j.user_id = $1
+        AND j.deleted_at IS NULL
+        AND date_trunc('month', j.created_at AT TIME ZONE $2) = m.month
+      GROUP BY m.month
+      ORDER BY m.month
+    `,
+      [userId, timezone]
+    )
+
+    const heatmap = WEEKDAYS.map((weekday) => ({
+      weekday,
+      hours: Array(24).fill(0),
+    }))
+    for (const cell of heatmapCells.rows) {
+      heatmap[cell.weekday - 1].hours[cell.hour] = cell.count
+    }
+
+    const noStreak = { length: 0, start_date: null, end_date: null }
+    const { current_streak, longest_streak, days_journaled } = streaks.rows[0]
 
     response.json({
-      emotionTrends: emotionTrends.rows,
-    });
+      timezone,
+      totalEntries: totals.rows[0].total_entries,
+      daysJournaled: days_journaled,
+      currentStreak: current_streak || noStreak,
+      longestStreak: longest_streak || noStreak,
+      averageWordsPerEntry: totals.rows[0].average_words,
+      heatmap,
+      monthlyCounts: monthlyCounts.rows,
+    })
   } catch (error) {
-    console.error("Error fetching emotion trends:", error);
-    response.status(500).json({ error: "Failed to fetch emotion trends" });
+    console.error('Error fetching journaling streaks:', error)
+    response.status(500).json({ error: 'Failed to fetch journaling streaks' })
   }
-});
+})
 
-module.exports = insightsRouter;
+module.exports = insightsRouter
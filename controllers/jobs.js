@@ -0,0 +1,37 @@
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const { getJob } = require('../utils/services/jobQueue')
+const jobsRouter = require('express').Router()
+
+// GET /api/jobs/:id - Status of a background job started by the user
+jobsRouter.get('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const jobId = Number(request.params.id)
+
+    if (!Number.isInteger(jobId) || jobId < 1) {
+      return response.status(400).json({ error: 'Invalid job id' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const job = await getJob(jobId, userId)
+
+    if (!job) {
+      return response.status(404).json({ error: 'Job not found or access denied' })
+    }
+
+    response.json(job)
+  } catch (error) {
+    console.error('Error fetching job status:', error)
+    response.status(500).json({ error: 'Failed to fetch job status' })
+  }
+})
+
+module.exports = jobsRouter
@@ -1,8 +1,30 @@
 const { verifyToken } = require('../utils/auth')
-const { pool } = require('../utils/config')
-const { getEmotion } = require('../utils/services/emotion')
+const { rateLimit } = require('../utils/rateLimit')
+const { pool, TRASH_RETENTION_DAYS } = require('../utils/config')
+const { enqueueEmotionAnalysis, enqueueOrphanedFileCleanup } = require('../utils/services/jobs')
+const {
+  DOMINANT_EMOTION_COLUMN,
+  countWords,
+  encodeCursor,
+  parseFilters,
+  parsePagination,
+  buildFilterConditions
+} = require('../utils/journalQuery')
+const { recordRevision } = require('../utils/revisions')
+const { activeDataKey, encryptText, decryptEntry, decryptEntries, searchVector, searchQuery } = require('../utils/encryption')
+const { ENTRY_TAGS_COLUMN, parseEntryTags, setEntryTags } = require('../utils/tags')
 const journalRouter = require('express').Router()
 
+const MAX_TITLE_LENGTH = 255
+const MAX_CLIENT_ENCRYPTED_TITLE_LENGTH = 1024
+const MAX_CLIENT_EMOTIONS = 50
+const MAX_EMOTION_LABEL_LENGTH = 50
+
+// SQL escaping the HTML special characters of a text column, so the only
+// markup in a search highlight is the <mark> tags ts_headline adds
+const escapeHtml = (column) =>
+  `replace(replace(replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`
+
 journalRouter.get('/', verifyToken, async (request, response) => {
   try {
     // Get user_id from authenticated user
@@ -16,24 +38,72 @@ journalRouter.get('/', verifyToken, async (request, response) => {
 
     const userId = userResult.rows[0].user_id
 
-    const { rows } = await pool.query('SELECT * FROM journal_entries WHERE user_id = $1 ORDER BY created_at DESC', [userId])
-    response.json(rows)
+    const { filters, error: filterError } = parseFilters(request.query)
+    if (filterError) {
+      return response.status(400).json({ error: filterError })
+    }
+
+    const { pagination, error: paginationError } = parsePagination(request.query)
+    if (paginationError) {
+      return response.status(400).json({ error: paginationError })
+    }
+
+    const params = [userId]
+    const conditions = ['user_id = $1', 'deleted_at IS NULL', ...buildFilterConditions(filters, params)]
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::integer AS total FROM journal_entries WHERE ${conditions.join(' AND ')}`,
+      params
+    )
+
+    // Keyset pagination on (created_at, journal_id) so ties on created_at are stable
+    const direction = pagination.sort === 'asc' ? 'ASC' : 'DESC'
+    if (pagination.cursor) {
+      params.push(pagination.cursor.createdAt, pagination.cursor.journalId)
+      const comparator = pagination.sort === 'asc' ? '>' : '<'
+      conditions.push(`(created_at, journal_id) ${comparator} ($${params.length - 1}, $${params.length})`)
+    }
+
+    // Fetch one extra row to know whether another page exists
+    params.push(pagination.limit + 1)
+    const { rows } = await pool.query(
+      `SELECT *, ${ENTRY_TAGS_COLUMN}, ${DOMINANT_EMOTION_COLUMN}, created_at::text AS cursor_created_at
+       FROM journal_entries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY created_at ${direction}, journal_id ${direction}
+       LIMIT $${params.length}`,
+      params
+    )
+
+    const hasMore = rows.length > pagination.limit
+    const page = rows.slice(0, pagination.limit)
+    const last = page[page.length - 1]
+    const nextCursor = hasMore ? encodeCursor(last.cursor_created_at, last.journal_id) : null
+
+    // The search tokens are only of use to the database
+    const entries = await decryptEntries(page.map(({ cursor_created_at, search_vector, ...entry }) => entry))
+
+    response.json({
+      entries,
+      nextCursor,
+      totalCount: countResult.rows[0].total
+    })
   } catch (error) {
     console.error('Error fetching journals:', error)
     response.status(500).json({ error: 'Failed to fetch journals' })
   }
 })
 
-journalRouter.post('/', verifyToken, async (request, response) => {
+// GET /api/journals/search?q= - Full-text search of titles and content, best matches first
+journalRouter.get('/search', verifyToken, async (request, response) => {
   try {
     const firebaseUid = request.user.uid
-    const { title, content } = request.body
+    const { q } = request.query
 
-    if (!title || !content) {
-      return response.status(400).json({ error: 'Missing required fields: title, content' })
+    if (typeof q !== 'string' || q.trim() === '') {
+      return response.status(400).json({ error: 'Missing required query parameter: q' })
     }
 
-    // Get user_id from authenticated user instead of request body
     const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
 
     if (userResult.rows.length === 0) {
@@ -42,36 +112,110 @@ journalRouter.post('/', verifyToken, async (request, response) => {
 
     const userId = userResult.rows[0].user_id
 
-    // Handle emotions properly for PostgreSQL JSONB
-    const emotions = await getEmotion(content)
+    const { filters, error: filterError } = parseFilters(request.query)
+    if (filterError) {
+      return response.status(400).json({ error: filterError })
+    }
+
+    const { pagination, error: paginationError } = parsePagination({ limit: request.query.limit })
+    if (paginationError) {
+      return response.status(400).json({ error: paginationError })
+    }
+
+    const offset = request.query.offset === undefined ? 0 : Number(request.query.offset)
+    if (!Number.isInteger(offset) || offset < 0) {
+      return response.status(400).json({ error: 'Invalid query parameter: offset must be a non-negative integer' })
+    }
+
+    // The search_vector holds keyed tokens instead of words, so the query is
+    // turned into the same tokens. End-to-end encrypted entries have no tokens
+    // and can only be searched on the user's devices.
+    const params = [userId, await searchQuery(pool, await activeDataKey(userId), q.trim())]
+    const conditions = [
+      'user_id = $1',
+      'deleted_at IS NULL',
+      'search_vector @@ $2::tsquery',
+      ...buildFilterConditions(filters, params)
+    ]
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::integer AS total FROM journal_entries WHERE ${conditions.join(' AND ')}`,
+      params
+    )
 
-    const emotionsJson = emotions ? JSON.stringify(emotions) : null
+    params.push(pagination.limit, offset)
+    const { rows } = await pool.query(
+      `SELECT journal_id, title, content, emotions, favourite, created_at, updated_at, ${ENTRY_TAGS_COLUMN},
+              ${DOMINANT_EMOTION_COLUMN},
+              ts_rank(search_vector, $2::tsquery) AS rank
+       FROM journal_entries
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY rank DESC, created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    )
 
-    const journalQuery = await pool.query(
-      `INSERT INTO journal_entries(user_id, title, content, emotions)
-       VALUES ($1, $2, $3, $4::jsonb)
-       RETURNING journal_id, title, content, emotions`,
-      [userId, title, content, emotionsJson]
+    // Only the entries of this page are decrypted to highlight the matches
+    const page = await decryptEntries(rows)
+    const tsQuery = 'websearch_to_tsquery(\'english\', $3)'
+    const highlights = await pool.query(
+      `SELECT ts_headline('english', ${escapeHtml('d.title')}, ${tsQuery},
+                'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS title_highlight,
+              ts_headline('english', ${escapeHtml('d.content')}, ${tsQuery},
+                'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MaxWords=30, MinWords=10') AS content_snippet
+       FROM unnest($1::text[], $2::text[]) WITH ORDINALITY AS d(title, content, position)
+       ORDER BY position`,
+      [page.map(entry => entry.title), page.map(entry => entry.content), q.trim()]
     )
 
-    response.status(201).json(journalQuery.rows[0])
+    response.json({
+      results: page.map(({ content, ...entry }, index) => ({ ...entry, ...highlights.rows[index] })),
+      totalCount: countResult.rows[0].total
+    })
   } catch (error) {
-    console.error('Error creating journal entry:', error)
-    response.status(500).json({ error: 'Failed to create journal entry' })
+    console.error('Error searching journals:', error)
+    response.status(500).json({ error: 'Failed to search journals' })
   }
 })
 
-journalRouter.put('/:id', verifyToken, async (request, response) => {
+// GET /api/journals/trash - Entries deleted within the retention period, most recently deleted first
+journalRouter.get('/trash', verifyToken, async (request, response) => {
   try {
     const firebaseUid = request.user.uid
-    const journalId = request.params.id
-    const { title, content } = request.body
 
-    if (!title || !content) {
-      return response.status(400).json({ error: 'Missing required fields: title, content' })
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
     }
 
-    // Get user_id from authenticated user
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `SELECT journal_id, title, content, emotions, favourite, created_at, updated_at, deleted_at,
+              ${ENTRY_TAGS_COLUMN},
+              deleted_at + make_interval(days => $2) AS purge_at
+       FROM journal_entries
+       WHERE user_id = $1 AND deleted_at IS NOT NULL
+       ORDER BY deleted_at DESC, journal_id DESC`,
+      [userId, TRASH_RETENTION_DAYS]
+    )
+
+    response.json({
+      entries: await decryptEntries(rows),
+      retentionDays: TRASH_RETENTION_DAYS
+    })
+  } catch (error) {
+    console.error('Error fetching trash:', error)
+    response.status(500).json({ error: 'Failed to fetch trash' })
+  }
+})
+
+// DELETE /api/journals/trash - Permanently delete every entry in the trash
+journalRouter.delete('/trash', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
     const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
 
     if (userResult.rows.length === 0) {
@@ -80,32 +224,263 @@ journalRouter.put('/:id', verifyToken, async (request, response) => {
 
     const userId = userResult.rows[0].user_id
 
-    // Check if journal entry exists and belongs to the user
-    const existingJournal = await pool.query(
-      'SELECT journal_id FROM journal_entries WHERE journal_id = $1 AND user_id = $2',
+    const purgeQuery = await pool.query(
+      'DELETE FROM journal_entries WHERE user_id = $1 AND deleted_at IS NOT NULL',
+      [userId]
+    )
+
+    // Attachment files of purged entries are removed in the background
+    await enqueueOrphanedFileCleanup()
+      .catch(error => console.error('Error queueing orphaned file cleanup:', error))
+
+    response.json({ message: 'Trash emptied successfully', purged: purgeQuery.rowCount })
+  } catch (error) {
+    console.error('Error emptying trash:', error)
+    response.status(500).json({ error: 'Failed to empty trash' })
+  }
+})
+
+// Titles are limited here since the column holds the longer encrypted value.
+// Titles encrypted by the client are longer than the plain text they hide.
+const validateEntryText = (title, content, clientEncrypted) => {
+  if (!title || !content) {
+    return 'Missing required fields: title, content'
+  }
+  const maxTitleLength = clientEncrypted ? MAX_CLIENT_ENCRYPTED_TITLE_LENGTH : MAX_TITLE_LENGTH
+  if (typeof title !== 'string' || title.length > maxTitleLength) {
+    return `Invalid field: title must be a string of at most ${maxTitleLength} characters`
+  }
+  if (typeof content !== 'string') {
+    return 'Invalid field: content must be a string'
+  }
+  return null
+}
+
+// The server cannot read end-to-end encrypted entries, so the client sends the
+// word count and, optionally, the emotions it detected ([{ emotion, confidence }]).
+// Returns { metadata } or { error } for a 400.
+const parseClientMetadata = (body) => {
+  const { wordCount, emotions } = body
+
+  if (!Number.isInteger(wordCount) || wordCount < 0) {
+    return { error: 'Invalid field: wordCount must be a non-negative integer for end-to-end encrypted entries' }
+  }
+
+  if (emotions === undefined || emotions === null) {
+    return { metadata: { wordCount, emotions } }
+  }
+
+  const valid = Array.isArray(emotions) &&
+    emotions.length <= MAX_CLIENT_EMOTIONS &&
+    emotions.every(item =>
+      item !== null && typeof item === 'object' &&
+      typeof item.emotion === 'string' && item.emotion !== '' && item.emotion.length <= MAX_EMOTION_LABEL_LENGTH &&
+      typeof item.confidence === 'number' && item.confidence >= 0 && item.confidence <= 1
+    ) &&
+    new Set(emotions.map(item => item.emotion)).size === emotions.length
+  if (!valid) {
+    return {
+      error: `Invalid field: emotions must be at most ${MAX_CLIENT_EMOTIONS} distinct { emotion, confidence } labels with confidence between 0 and 1`
+    }
+  }
+
+  return { metadata: { wordCount, emotions: emotions.map(({ emotion, confidence }) => ({ emotion, confidence })) } }
+}
+
+journalRouter.post('/', verifyToken, rateLimit('journal-write'), async (request, response) => {
+  const firebaseUid = request.user.uid
+  const { title, content } = request.body
+
+  const { tags, error: tagsError } = parseEntryTags(request.body.tags ?? [])
+  if (tagsError) {
+    return response.status(400).json({ error: tagsError })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    // Get user_id from authenticated user instead of request body
+    const userResult = await client.query(
+      'SELECT user_id, end_to_end_encryption FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const { user_id: userId, end_to_end_encryption: clientEncrypted } = userResult.rows[0]
+
+    const textError = validateEntryText(title, content, clientEncrypted)
+    const { metadata, error: metadataError } = clientEncrypted ? parseClientMetadata(request.body) : {}
+    if (textError || metadataError) {
+      await client.query('ROLLBACK')
+      return response.status(400).json({ error: textError || metadataError })
+    }
+
+    const dataKey = await activeDataKey(userId, client)
+
+    // Emotions are analysed by the background worker so the request returns fast.
+    // End-to-end encrypted entries come with the emotions the client detected instead.
+    const journalQuery = await client.query(
+      `INSERT INTO journal_entries(user_id, title, content, word_count, emotions, emotions_status, client_encrypted, search_vector)
+       VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8::tsvector)
+       RETURNING journal_id, title, content, emotions, emotions_status, client_encrypted`,
+      [
+        userId,
+        encryptText(dataKey, title),
+        encryptText(dataKey, content),
+        clientEncrypted ? metadata.wordCount : countWords(content),
+        metadata?.emotions ? JSON.stringify(metadata.emotions) : null,
+        clientEncrypted ? 'complete' : 'pending',
+        clientEncrypted,
+        clientEncrypted ? '' : await searchVector(client, dataKey, { title, content })
+      ]
+    )
+
+    const journal = { ...journalQuery.rows[0], title, content }
+    journal.tags = await setEntryTags(client, userId, journal.journal_id, tags)
+
+    await client.query('COMMIT')
+
+    // The entry is already saved, so a failure to queue its analysis only leaves the emotions pending
+    if (!clientEncrypted) {
+      await enqueueEmotionAnalysis(journal.journal_id, userId)
+        .catch(error => console.error('Error queueing emotion analysis:', error))
+    }
+
+    response.status(201).json(journal)
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error creating journal entry:', error)
+    response.status(500).json({ error: 'Failed to create journal entry' })
+  } finally {
+    client.release()
+  }
+})
+
+journalRouter.put('/:id', verifyToken, rateLimit('journal-write'), async (request, response) => {
+  const firebaseUid = request.user.uid
+  const journalId = request.params.id
+  const { title, content } = request.body
+
+  // Tags are only replaced when the field is sent
+  const { tags, error: tagsError } = request.body.tags === undefined ? {} : parseEntryTags(request.body.tags)
+  if (tagsError) {
+    return response.status(400).json({ error: tagsError })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    // Get user_id from authenticated user
+    const userResult = await client.query(
+      'SELECT user_id, end_to_end_encryption FROM users WHERE firebase_uid = $1',
+      [firebaseUid]
+    )
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    // Saving an entry in the user's current mode converts it, so turning end-to-end
+    // encryption on or off applies to older entries as the client re-saves them
+    const { user_id: userId, end_to_end_encryption: clientEncrypted } = userResult.rows[0]
+
+    const textError = validateEntryText(title, content, clientEncrypted)
+    const { metadata, error: metadataError } = clientEncrypted ? parseClientMetadata(request.body) : {}
+    if (textError || metadataError) {
+      await client.query('ROLLBACK')
+      return response.status(400).json({ error: textError || metadataError })
+    }
+
+    // Taken before the entry row is locked, in the same order as key rotation
+    const dataKey = await activeDataKey(userId, client)
+
+    // Check if journal entry exists and belongs to the user, locking it while the revision is saved
+    const existingJournal = await client.query(
+      `SELECT journal_id, title, content, word_count, emotions, emotions_status, client_encrypted, updated_at
+       FROM journal_entries
+       WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
       [journalId, userId]
     )
 
     if (existingJournal.rows.length === 0) {
+      await client.query('ROLLBACK')
       return response.status(404).json({ error: 'Journal entry not found or access denied' })
     }
 
-    // Get updated emotions for the new content
-    const emotions = await getEmotion(content)
-    const emotionsJson = emotions ? JSON.stringify(emotions) : null
+    const stored = existingJournal.rows[0]
+    const existing = await decryptEntry(stored, client)
 
-    const updateQuery = await pool.query(
+    // Only re-analyse emotions when the content actually changed
+    const contentChanged = existing.content !== content || stored.client_encrypted !== clientEncrypted
+    const titleChanged = existing.title !== title
+
+    // Keep the previous version, still encrypted, in the entry's revision history
+    if (contentChanged || titleChanged) {
+      await recordRevision(client, stored)
+    }
+
+    let emotions = stored.emotions
+    let emotionsStatus = stored.emotions_status
+    if (clientEncrypted) {
+      // Emotions the client left out are kept while the content stays the same
+      emotions = metadata.emotions !== undefined ? metadata.emotions : contentChanged ? null : stored.emotions
+      emotionsStatus = 'complete'
+    } else if (contentChanged) {
+      emotions = null
+      emotionsStatus = 'pending'
+    }
+
+    // Unchanged fields keep their stored value so the emotion worker sees the same content
+    const updateQuery = await client.query(
       `UPDATE journal_entries 
-       SET title = $1, content = $2, emotions = $3::jsonb, updated_at = CURRENT_TIMESTAMP
-       WHERE journal_id = $4 AND user_id = $5
-       RETURNING journal_id, title, content, emotions, created_at, updated_at`,
-      [title, content, emotionsJson, journalId, userId]
+       SET title = $1, content = $2, word_count = $3, client_encrypted = $4,
+           emotions = $5::jsonb, emotions_status = $6, search_vector = $7::tsvector,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE journal_id = $8 AND user_id = $9
+       RETURNING journal_id, title, content, emotions, emotions_status, client_encrypted,
+                 created_at, updated_at, ${ENTRY_TAGS_COLUMN}`,
+      [
+        titleChanged ? encryptText(dataKey, title) : stored.title,
+        contentChanged ? encryptText(dataKey, content) : stored.content,
+        clientEncrypted ? metadata.wordCount : countWords(content),
+        clientEncrypted,
+        emotions ? JSON.stringify(emotions) : null,
+        emotionsStatus,
+        clientEncrypted ? '' : await searchVector(client, dataKey, { title, content }),
+        journalId,
+        userId
+      ]
     )
 
-    response.json(updateQuery.rows[0])
+    const journal = { ...updateQuery.rows[0], title, content }
+    if (tags) {
+      journal.tags = await setEntryTags(client, userId, journalId, tags)
+    }
+
+    await client.query('COMMIT')
+
+    if (contentChanged && !clientEncrypted) {
+      await enqueueEmotionAnalysis(journalId, userId)
+        .catch(error => console.error('Error queueing emotion analysis:', error))
+    }
+
+    response.json(journal)
   } catch (error) {
+    await client.query('ROLLBACK')
     console.error('Error updating journal entry:', error)
     response.status(500).json({ error: 'Failed to update journal entry' })
+  } finally {
+    client.release()
   }
 })
 
@@ -130,7 +505,7 @@ journalRouter.patch('/:id/favourite', verifyToken, async (request, response) =>
     const updateQuery = await pool.query(
       `UPDATE journal_entries
        SET favourite = $1
-       WHERE journal_id = $2 AND user_id = $3
+       WHERE journal_id = $2 AND user_id = $3 AND deleted_at IS NULL
        RETURNING journal_id, favourite`,
       [favourite, journalId, userId]
     )
@@ -146,6 +521,7 @@ journalRouter.patch('/:id/favourite', verifyToken, async (request, response) =>
   }
 })
 
+// DELETE /api/journals/:id - Move an entry to the trash
 journalRouter.delete('/:id', verifyToken, async (request, response) => {
   try {
     const firebaseUid = request.user.uid
@@ -160,21 +536,91 @@ journalRouter.delete('/:id', verifyToken, async (request, response) => {
 
     const userId = userResult.rows[0].user_id
 
-    // Check if journal entry exists and belongs to the user, then delete
+    // Check if journal entry exists and belongs to the user, then move it to the trash
     const deleteQuery = await pool.query(
-      'DELETE FROM journal_entries WHERE journal_id = $1 AND user_id = $2 RETURNING journal_id',
-      [journalId, userId]
+      `UPDATE journal_entries
+       SET deleted_at = CURRENT_TIMESTAMP
+       WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       RETURNING journal_id, deleted_at, deleted_at + make_interval(days => $3) AS purge_at`,
+      [journalId, userId, TRASH_RETENTION_DAYS]
     )
 
     if (deleteQuery.rows.length === 0) {
       return response.status(404).json({ error: 'Journal entry not found or access denied' })
     }
 
-    response.json({ message: 'Journal entry deleted successfully', journal_id: deleteQuery.rows[0].journal_id })
+    response.json({ message: 'Journal entry moved to trash', ...deleteQuery.rows[0] })
   } catch (error) {
     console.error('Error deleting journal entry:', error)
     response.status(500).json({ error: 'Failed to delete journal entry' })
   }
 })
 
+// POST /api/journals/:id/restore - Move an entry out of the trash
+journalRouter.post('/:id/restore', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const restoreQuery = await pool.query(
+      `UPDATE journal_entries
+       SET deleted_at = NULL
+       WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+       RETURNING journal_id, title, content, emotions, emotions_status, client_encrypted, favourite,
+                 created_at, updated_at, ${ENTRY_TAGS_COLUMN}`,
+      [journalId, userId]
+    )
+
+    if (restoreQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found in trash' })
+    }
+
+    response.json(await decryptEntry(restoreQuery.rows[0]))
+  } catch (error) {
+    console.error('Error restoring journal entry:', error)
+    response.status(500).json({ error: 'Failed to restore journal entry' })
+  }
+})
+
+// DELETE /api/journals/:id/permanent - Permanently delete an entry that is in the trash
+journalRouter.delete('/:id/permanent', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const purgeQuery = await pool.query(
+      'DELETE FROM journal_entries WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING journal_id',
+      [journalId, userId]
+    )
+
+    if (purgeQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found in trash' })
+    }
+
+    await enqueueOrphanedFileCleanup()
+      .catch(error => console.error('Error queueing orphaned file cleanup:', error))
+
+    response.json({ message: 'Journal entry permanently deleted', journal_id: purgeQuery.rows[0].journal_id })
+  } catch (error) {
+    console.error('Error permanently deleting journal entry:', error)
+    response.status(500).json({ error: 'Failed to permanently delete journal entry' })
+  }
+})
+
 module.exports = journalRouter
\ No newline at end of file
@@ -0,0 +1,220 @@
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const { isValidTimeZone } = require('../utils/timezone')
+const remindersRouter = require('express').Router()
+
+const MAX_REMINDERS = 10
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+const REMINDER_COLUMNS = `reminder_id, to_char(time_of_day, 'HH24:MI') AS time_of_day, weekdays, timezone,
+  enabled, last_run_on::text AS last_run_on, created_at, updated_at`
+
+// Validate the timeOfDay (HH:MM), weekdays (ISO, 1 = Monday), timezone (IANA
+// name, or null for the user's timezone) and enabled fields of a reminder body.
+// Returns { fields } with only the fields that were sent, or { error } for a 400.
+const parseReminderFields = (body) => {
+  const fields = {}
+
+  if (body.timeOfDay !== undefined) {
+    if (typeof body.timeOfDay !== 'string' || !TIME_OF_DAY_PATTERN.test(body.timeOfDay)) {
+      return { error: 'Invalid field: timeOfDay must be a time of day such as 20:30' }
+    }
+    fields.time_of_day = body.timeOfDay
+  }
+
+  if (body.weekdays !== undefined) {
+    const { weekdays } = body
+    if (
+      !Array.isArray(weekdays) ||
+      weekdays.length === 0 ||
+      !weekdays.every(day => Number.isInteger(day) && day >= 1 && day <= 7)
+    ) {
+      return { error: 'Invalid field: weekdays must be a non-empty array of ISO weekdays from 1 (Monday) to 7 (Sunday)' }
+    }
+    fields.weekdays = [...new Set(weekdays)].sort()
+  }
+
+  if (body.timezone !== undefined) {
+    if (body.timezone !== null && !isValidTimeZone(body.timezone)) {
+      return { error: 'Invalid field: timezone must be an IANA timezone such as Asia/Manila, or null' }
+    }
+    fields.timezone = body.timezone
+  }
+
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return { error: 'Invalid field: enabled must be boolean' }
+    }
+    fields.enabled = body.enabled
+  }
+
+  return { fields }
+}
+
+const parseReminderId = (value) => {
+  const reminderId = Number(value)
+  return Number.isInteger(reminderId) && reminderId > 0 ? reminderId : null
+}
+
+// GET /api/reminders - The user's journaling reminders, earliest in the day first
+remindersRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `SELECT ${REMINDER_COLUMNS}
+       FROM reminder_schedules
+       WHERE user_id = $1
+       ORDER BY reminder_schedules.time_of_day, reminder_id`,
+      [userId]
+    )
+
+    response.json({ reminders: rows })
+  } catch (error) {
+    console.error('Error fetching reminders:', error)
+    response.status(500).json({ error: 'Failed to fetch reminders' })
+  }
+})
+
+// POST /api/reminders - Add a reminder. timeOfDay is required; weekdays
+// default to every day and timezone to the user's timezone.
+remindersRouter.post('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const { fields, error: fieldsError } = parseReminderFields(request.body)
+    if (fieldsError) {
+      return response.status(400).json({ error: fieldsError })
+    }
+    if (!fields.time_of_day) {
+      return response.status(400).json({ error: 'Missing required field: timeOfDay' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const countResult = await pool.query(
+      'SELECT COUNT(*)::integer AS count FROM reminder_schedules WHERE user_id = $1',
+      [userId]
+    )
+    if (countResult.rows[0].count >= MAX_REMINDERS) {
+      return response.status(400).json({ error: `You can have at most ${MAX_REMINDERS} reminders` })
+    }
+
+    const insertQuery = await pool.query(
+      `INSERT INTO reminder_schedules (user_id, time_of_day, weekdays, timezone, enabled)
+       VALUES ($1, $2, COALESCE($3, '{1,2,3,4,5,6,7}'::smallint[]), $4, COALESCE($5, TRUE))
+       RETURNING ${REMINDER_COLUMNS}`,
+      [userId, fields.time_of_day, fields.weekdays ?? null, fields.timezone ?? null, fields.enabled ?? null]
+    )
+
+    response.status(201).json(insertQuery.rows[0])
+  } catch (error) {
+    console.error('Error creating reminder:', error)
+    response.status(500).json({ error: 'Failed to create reminder' })
+  }
+})
+
+// PATCH /api/reminders/:id - Change any of timeOfDay, weekdays, timezone and enabled
+remindersRouter.patch('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const reminderId = parseReminderId(request.params.id)
+
+    if (!reminderId) {
+      return response.status(400).json({ error: 'Invalid reminder id' })
+    }
+
+    const { fields, error: fieldsError } = parseReminderFields(request.body)
+    if (fieldsError) {
+      return response.status(400).json({ error: fieldsError })
+    }
+    if (Object.keys(fields).length === 0) {
+      return response.status(400).json({ error: 'No updatable fields provided: timeOfDay, weekdays, timezone, enabled' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const params = [reminderId, userId]
+    const updates = Object.entries(fields).map(([column, value]) => {
+      params.push(value)
+      return `${column} = $${params.length}`
+    })
+    // A rescheduled reminder may fire again on the day it already fired
+    if (fields.time_of_day !== undefined || fields.timezone !== undefined) {
+      updates.push('last_run_on = NULL')
+    }
+
+    const updateQuery = await pool.query(
+      `UPDATE reminder_schedules
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE reminder_id = $1 AND user_id = $2
+       RETURNING ${REMINDER_COLUMNS}`,
+      params
+    )
+
+    if (updateQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Reminder not found or access denied' })
+    }
+
+    response.json(updateQuery.rows[0])
+  } catch (error) {
+    console.error('Error updating reminder:', error)
+    response.status(500).json({ error: 'Failed to update reminder' })
+  }
+})
+
+// DELETE /api/reminders/:id
+remindersRouter.delete('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const reminderId = parseReminderId(request.params.id)
+
+    if (!reminderId) {
+      return response.status(400).json({ error: 'Invalid reminder id' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const deleteQuery = await pool.query(
+      'DELETE FROM reminder_schedules WHERE reminder_id = $1 AND user_id = $2 RETURNING reminder_id',
+      [reminderId, userId]
+    )
+
+    if (deleteQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Reminder not found or access denied' })
+    }
+
+    response.json({ message: 'Reminder deleted successfully', reminder_id: deleteQuery.rows[0].reminder_id })
+  } catch (error) {
+    console.error('Error deleting reminder:', error)
+    response.status(500).json({ error: 'Failed to delete reminder' })
+  }
+})
+
+module.exports = remindersRouter
@@ -0,0 +1,189 @@
+const { verifyToken } = require('../utils/auth')
+const { rateLimit } = require('../utils/rateLimit')
+const { pool } = require('../utils/config')
+const { findActiveJob } = require('../utils/services/jobQueue')
+const { DAILY_GENERATION_QUOTAS, consumeGenerationQuota } = require('../utils/services/quotas')
+const { localDate } = require('../utils/timezone')
+const { isValidDate, encodeDateCursor, parseHistoryPagination } = require('../utils/insightsQuery')
+const {
+  REPORT_PERIODS,
+  reportPeriodBounds,
+  lastCompletedPeriod,
+  reportJobKey,
+  enqueueReportGeneration,
+  withHighlightTitles
+} = require('../utils/services/reports')
+const reportsRouter = require('express').Router()
+
+const REPORT_COLUMNS = `report_id, period, period_start::text AS period_start, period_end::text AS period_end,
+  statistics, emotion_distribution, summary, key_themes, highlights, created_at`
+
+const invalidPeriod = `Invalid period: must be one of ${REPORT_PERIODS.join(', ')}`
+
+// Queue a report unless the user has used up today's report generations
+const queueReportGeneration = async (userId, period, start, today) => {
+  const quota = await consumeGenerationQuota(userId, 'report', today)
+  return quota.allowed ? enqueueReportGeneration(userId, period, start) : null
+}
+
+// GET /api/insights/reports - Weekly (default) or ?period=month reports, newest first
+reportsRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { period = 'week' } = request.query
+
+    if (!REPORT_PERIODS.includes(period)) {
+      return response.status(400).json({ error: invalidPeriod })
+    }
+
+    const { pagination, error } = parseHistoryPagination(request.query)
+    if (error) {
+      return response.status(400).json({ error })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    // Fetch one extra row to know whether another page exists
+    const { rows } = await pool.query(
+      `SELECT ${REPORT_COLUMNS}
+       FROM reflection_reports
+       WHERE user_id = $1 AND period = $2
+       AND ($3::date IS NULL OR period_start < $3::date)
+       ORDER BY period_start DESC
+       LIMIT $4`,
+      [userId, period, pagination.before, pagination.limit + 1]
+    )
+
+    const reports = rows.slice(0, pagination.limit)
+    const nextCursor = rows.length > pagination.limit
+      ? encodeDateCursor(reports[reports.length - 1].period_start)
+      : null
+
+    response.json({ reports: await withHighlightTitles(userId, reports), nextCursor })
+  } catch (error) {
+    console.error('Error fetching reflection reports:', error)
+    response.status(500).json({ error: 'Failed to fetch reflection reports' })
+  }
+})
+
+// GET /api/insights/reports/:period/:date - The report of the week or month containing the date
+reportsRouter.get('/:period/:date', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { period, date } = request.params
+
+    if (!REPORT_PERIODS.includes(period)) {
+      return response.status(400).json({ error: invalidPeriod })
+    }
+    if (!isValidDate(date)) {
+      return response.status(400).json({ error: 'Invalid date: must be YYYY-MM-DD' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    const { start } = reportPeriodBounds(period, date)
+
+    const { rows } = await pool.query(
+      `SELECT ${REPORT_COLUMNS} FROM reflection_reports WHERE user_id = $1 AND period = $2 AND period_start = $3`,
+      [userId, period, start]
+    )
+
+    if (rows.length === 0) {
+      return response.status(404).json({ error: `No ${period}ly report found for the ${period} of ${start}` })
+    }
+
+    const [report] = await withHighlightTitles(userId, rows)
+    response.json(report)
+  } catch (error) {
+    console.error('Error fetching reflection report:', error)
+    response.status(500).json({ error: 'Failed to fetch reflection report' })
+  }
+})
+
+// POST /api/insights/reports - Generate the report of a finished week or month on demand.
+// Body: { period, date } where date (YYYY-MM-DD) is any day of the period; it
+// defaults to the most recent finished period. Generating a report that is not
+// already queued uses one of the user's daily report generations.
+reportsRouter.post('/', verifyToken, rateLimit('insights-generation'), async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { period, date } = request.body
+
+    if (!REPORT_PERIODS.includes(period)) {
+      return response.status(400).json({ error: invalidPeriod })
+    }
+    if (date !== undefined && !isValidDate(date)) {
+      return response.status(400).json({ error: 'Invalid field: date must be YYYY-MM-DD' })
+    }
+
+    const userResult = await pool.query('SELECT user_id, timezone FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const { user_id: userId, timezone } = userResult.rows[0]
+    const today = localDate(timezone)
+    const bounds = date === undefined ? lastCompletedPeriod(period, today) : reportPeriodBounds(period, date)
+
+    if (bounds.end >= today) {
+      return response.status(400).json({ error: `The ${period} of ${bounds.start} has not ended yet` })
+    }
+
+    const existing = await pool.query(
+      `SELECT ${REPORT_COLUMNS} FROM reflection_reports WHERE user_id = $1 AND period = $2 AND period_start = $3`,
+      [userId, period, bounds.start]
+    )
+
+    if (existing.rows.length > 0) {
+      const [report] = await withHighlightTitles(userId, existing.rows)
+      return response.json(report)
+    }
+
+    const entries = await pool.query(
+      `SELECT 1 FROM journal_entries
+       WHERE user_id = $1 AND deleted_at IS NULL
+       AND (created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+       LIMIT 1`,
+      [userId, timezone, bounds.start, bounds.end]
+    )
+
+    if (entries.rows.length === 0) {
+      return response.status(404).json({ error: `No journal entries found in the ${period} of ${bounds.start}` })
+    }
+
+    // Generate the report in the background so the request returns fast
+    const job = await findActiveJob(reportJobKey(userId, period, bounds.start))
+      || await queueReportGeneration(userId, period, bounds.start, today)
+
+    if (!job) {
+      return response.status(429).json({
+        error: `You have used all ${DAILY_GENERATION_QUOTAS.report} of today's report generations. Try again tomorrow!`
+      })
+    }
+
+    response.status(202).json({
+      message: 'Your report is being generated. Check back shortly!',
+      period,
+      period_start: bounds.start,
+      period_end: bounds.end,
+      job_id: job.job_id
+    })
+  } catch (error) {
+    console.error('Error generating reflection report:', error)
+    response.status(500).json({ error: 'Failed to generate reflection report' })
+  }
+})
+
+module.exports = reportsRouter
@@ -0,0 +1,264 @@
+const { verifyToken } = require('../utils/auth')
+const { rateLimit } = require('../utils/rateLimit')
+const { pool } = require('../utils/config')
+const { enqueueEmotionAnalysis } = require('../utils/services/jobs')
+const { recordRevision, diffVersions } = require('../utils/revisions')
+const { countWords } = require('../utils/journalQuery')
+const { activeDataKey, encryptEntry, decryptEntry, decryptEntries, searchVector } = require('../utils/encryption')
+const revisionsRouter = require('express').Router({ mergeParams: true })
+
+const parseRevisionNumber = (value) => {
+  const number = Number(value)
+  return Number.isInteger(number) && number >= 1 ? number : null
+}
+
+// A revision number, or 'current' for the entry as it is now
+const loadVersion = async (entry, revision) => {
+  if (revision === 'current') {
+    return entry
+  }
+
+  const revisionNumber = parseRevisionNumber(revision)
+  if (!revisionNumber) {
+    return null
+  }
+
+  const result = await pool.query(
+    'SELECT title, content, emotions, client_encrypted FROM journal_revisions WHERE journal_id = $1 AND revision_number = $2',
+    [entry.journal_id, revisionNumber]
+  )
+  return result.rows.length > 0 ? decryptEntry(result.rows[0]) : null
+}
+
+// GET /api/journals/:id/revisions - Earlier versions of an entry, newest first
+revisionsRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const entryResult = await pool.query(
+      'SELECT journal_id, title, client_encrypted, updated_at FROM journal_entries WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [journalId, userId]
+    )
+
+    if (entryResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found or access denied' })
+    }
+
+    const { rows } = await pool.query(
+      `SELECT revision_number, title, emotions, client_encrypted, saved_at, created_at AS replaced_at
+       FROM journal_revisions
+       WHERE journal_id = $1
+       ORDER BY revision_number DESC`,
+      [journalId]
+    )
+
+    response.json({
+      current: await decryptEntry(entryResult.rows[0]),
+      revisions: await decryptEntries(rows)
+    })
+  } catch (error) {
+    console.error('Error fetching journal revisions:', error)
+    response.status(500).json({ error: 'Failed to fetch journal revisions' })
+  }
+})
+
+// GET /api/journals/:id/revisions/diff?from=1&to=current - Compare two versions of an entry
+revisionsRouter.get('/diff', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+    const { from, to = 'current' } = request.query
+
+    if (from === undefined) {
+      return response.status(400).json({ error: 'Missing required query parameter: from' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const entryResult = await pool.query(
+      'SELECT journal_id, title, content, emotions, client_encrypted FROM journal_entries WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      [journalId, userId]
+    )
+
+    if (entryResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Journal entry not found or access denied' })
+    }
+
+    const entry = await decryptEntry(entryResult.rows[0])
+
+    for (const revision of [from, to]) {
+      if (revision !== 'current' && !parseRevisionNumber(revision)) {
+        return response.status(400).json({ error: 'Invalid query parameter: from and to must be revision numbers or current' })
+      }
+    }
+
+    const [fromVersion, toVersion] = await Promise.all([loadVersion(entry, from), loadVersion(entry, to)])
+
+    if (!fromVersion || !toVersion) {
+      return response.status(404).json({ error: 'Revision not found' })
+    }
+
+    // The server only sees ciphertext of end-to-end encrypted versions
+    if (fromVersion.client_encrypted || toVersion.client_encrypted) {
+      return response.status(409).json({ error: 'End-to-end encrypted versions can only be compared on your devices' })
+    }
+
+    response.json({
+      journal_id: entry.journal_id,
+      from,
+      to,
+      ...diffVersions(fromVersion, toVersion)
+    })
+  } catch (error) {
+    console.error('Error comparing journal revisions:', error)
+    response.status(500).json({ error: 'Failed to compare journal revisions' })
+  }
+})
+
+// GET /api/journals/:id/revisions/:revision - A past version with its emotions
+revisionsRouter.get('/:revision', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const journalId = request.params.id
+    const revisionNumber = parseRevisionNumber(request.params.revision)
+
+    if (!revisionNumber) {
+      return response.status(400).json({ error: 'Invalid revision number' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const revisionResult = await pool.query(
+      `SELECT r.journal_id, r.revision_number, r.title, r.content, r.word_count, r.emotions, r.client_encrypted,
+              r.saved_at, r.created_at AS replaced_at
+       FROM journal_revisions r
+       JOIN journal_entries j ON j.journal_id = r.journal_id
+       WHERE r.journal_id = $1 AND r.revision_number = $2 AND j.user_id = $3 AND j.deleted_at IS NULL`,
+      [journalId, revisionNumber, userId]
+    )
+
+    if (revisionResult.rows.length === 0) {
+      return response.status(404).json({ error: 'Revision not found or access denied' })
+    }
+
+    response.json(await decryptEntry(revisionResult.rows[0]))
+  } catch (error) {
+    console.error('Error fetching journal revision:', error)
+    response.status(500).json({ error: 'Failed to fetch journal revision' })
+  }
+})
+
+// POST /api/journals/:id/revisions/:revision/restore - Make a past version current again.
+// The version being replaced is kept as a new revision, so a restore can itself be undone.
+revisionsRouter.post('/:revision/restore', verifyToken, rateLimit('journal-write'), async (request, response) => {
+  const firebaseUid = request.user.uid
+  const journalId = request.params.id
+  const revisionNumber = parseRevisionNumber(request.params.revision)
+
+  if (!revisionNumber) {
+    return response.status(400).json({ error: 'Invalid revision number' })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    // Taken before the entry row is locked, in the same order as key rotation
+    const dataKey = await activeDataKey(userId, client)
+
+    const entryResult = await client.query(
+      `SELECT journal_id, title, content, word_count, emotions, client_encrypted, updated_at
+       FROM journal_entries
+       WHERE journal_id = $1 AND user_id = $2 AND deleted_at IS NULL
+       FOR UPDATE`,
+      [journalId, userId]
+    )
+
+    if (entryResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'Journal entry not found or access denied' })
+    }
+
+    const revisionResult = await client.query(
+      'SELECT title, content, word_count, emotions, client_encrypted FROM journal_revisions WHERE journal_id = $1 AND revision_number = $2',
+      [journalId, revisionNumber]
+    )
+
+    if (revisionResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'Revision not found' })
+    }
+
+    const revision = await decryptEntry(revisionResult.rows[0], client)
+    const encrypted = encryptEntry(dataKey, revision)
+
+    await recordRevision(client, entryResult.rows[0])
+
+    // The revision's emotions were read from the same content, so they are restored with it.
+    // End-to-end encrypted revisions are never analysed; their client supplied the emotions.
+    const updateQuery = await client.query(
+      `UPDATE journal_entries
+       SET title = $1, content = $2, word_count = $3, emotions = $4::jsonb, client_encrypted = $5,
+           emotions_status = CASE WHEN $4::jsonb IS NULL AND NOT $5 THEN 'pending' ELSE 'complete' END,
+           search_vector = $6::tsvector, updated_at = CURRENT_TIMESTAMP
+       WHERE journal_id = $7
+       RETURNING journal_id, title, content, emotions, emotions_status, client_encrypted, created_at, updated_at`,
+      [
+        encrypted.title,
+        encrypted.content,
+        revision.client_encrypted ? revision.word_count : countWords(revision.content),
+        revision.emotions ? JSON.stringify(revision.emotions) : null,
+        revision.client_encrypted,
+        revision.client_encrypted ? '' : await searchVector(client, dataKey, revision),
+        journalId
+      ]
+    )
+
+    await client.query('COMMIT')
+
+    if (updateQuery.rows[0].emotions_status === 'pending') {
+      await enqueueEmotionAnalysis(updateQuery.rows[0].journal_id, userId)
+        .catch(error => console.error('Error queueing emotion analysis:', error))
+    }
+
+    response.json({ ...updateQuery.rows[0], title: revision.title, content: revision.content })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error restoring journal revision:', error)
+    response.status(500).json({ error: 'Failed to restore journal revision' })
+  } finally {
+    client.release()
+  }
+})
+
+module.exports = revisionsRouter
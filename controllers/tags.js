@@ -0,0 +1,230 @@
+const { verifyToken } = require('../utils/auth')
+const { pool } = require('../utils/config')
+const { MAX_TAG_LENGTH, normalizeTagName } = require('../utils/tags')
+const tagsRouter = require('express').Router()
+
+const INVALID_NAME_ERROR = `Invalid field: name must be up to ${MAX_TAG_LENGTH} letters, numbers, - or _`
+
+// Tags with the number of entries (outside the trash) that use them
+const TAG_WITH_COUNT_QUERY = `
+  SELECT t.tag_id, t.name, t.created_at, COUNT(j.journal_id)::integer AS entry_count
+  FROM tags t
+  LEFT JOIN journal_entry_tags jt ON jt.tag_id = t.tag_id
+  LEFT JOIN journal_entries j ON j.journal_id = jt.journal_id AND j.deleted_at IS NULL
+`
+
+// GET /api/tags - The user's tags, most used first
+tagsRouter.get('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const { rows } = await pool.query(
+      `${TAG_WITH_COUNT_QUERY}
+       WHERE t.user_id = $1
+       GROUP BY t.tag_id
+       ORDER BY entry_count DESC, t.name`,
+      [userId]
+    )
+
+    response.json({ tags: rows })
+  } catch (error) {
+    console.error('Error fetching tags:', error)
+    response.status(500).json({ error: 'Failed to fetch tags' })
+  }
+})
+
+// POST /api/tags - Create a tag
+tagsRouter.post('/', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const name = normalizeTagName(request.body.name)
+
+    if (!name) {
+      return response.status(400).json({ error: INVALID_NAME_ERROR })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const insertQuery = await pool.query(
+      `INSERT INTO tags (user_id, name)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id, name) DO NOTHING
+       RETURNING tag_id, name, created_at`,
+      [userId, name]
+    )
+
+    if (insertQuery.rows.length === 0) {
+      return response.status(409).json({ error: 'A tag with this name already exists' })
+    }
+
+    response.status(201).json({ ...insertQuery.rows[0], entry_count: 0 })
+  } catch (error) {
+    console.error('Error creating tag:', error)
+    response.status(500).json({ error: 'Failed to create tag' })
+  }
+})
+
+// PATCH /api/tags/:id - Rename a tag. Renaming onto an existing tag is a merge.
+tagsRouter.patch('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const tagId = Number(request.params.id)
+    const name = normalizeTagName(request.body.name)
+
+    if (!Number.isInteger(tagId) || tagId < 1) {
+      return response.status(400).json({ error: 'Invalid tag id' })
+    }
+
+    if (!name) {
+      return response.status(400).json({ error: INVALID_NAME_ERROR })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const updateQuery = await pool.query(
+      `UPDATE tags
+       SET name = $1
+       WHERE tag_id = $2 AND user_id = $3
+       RETURNING tag_id, name, created_at`,
+      [name, tagId, userId]
+    )
+
+    if (updateQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Tag not found or access denied' })
+    }
+
+    response.json(updateQuery.rows[0])
+  } catch (error) {
+    if (error.code === '23505') { // Unique constraint violation
+      return response.status(409).json({ error: 'A tag with this name already exists; merge the tags instead' })
+    }
+    console.error('Error renaming tag:', error)
+    response.status(500).json({ error: 'Failed to rename tag' })
+  }
+})
+
+// POST /api/tags/:id/merge - Move every entry from this tag to another and delete this one
+tagsRouter.post('/:id/merge', verifyToken, async (request, response) => {
+  const firebaseUid = request.user.uid
+  const sourceTagId = Number(request.params.id)
+  const targetTagId = Number(request.body.targetTagId)
+
+  if (!Number.isInteger(sourceTagId) || sourceTagId < 1) {
+    return response.status(400).json({ error: 'Invalid tag id' })
+  }
+
+  if (!Number.isInteger(targetTagId)) {
+    return response.status(400).json({ error: 'Missing or invalid field: targetTagId' })
+  }
+
+  if (sourceTagId === targetTagId) {
+    return response.status(400).json({ error: 'A tag cannot be merged into itself' })
+  }
+
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const tagResult = await client.query(
+      'SELECT tag_id FROM tags WHERE tag_id = ANY($1) AND user_id = $2 FOR UPDATE',
+      [[sourceTagId, targetTagId], userId]
+    )
+
+    if (tagResult.rows.length !== 2) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'Tag not found or access denied' })
+    }
+
+    // Entries that already have both tags keep a single assignment
+    await client.query(
+      `INSERT INTO journal_entry_tags (journal_id, tag_id)
+       SELECT journal_id, $2 FROM journal_entry_tags WHERE tag_id = $1
+       ON CONFLICT DO NOTHING`,
+      [sourceTagId, targetTagId]
+    )
+    await client.query('DELETE FROM tags WHERE tag_id = $1', [sourceTagId])
+
+    const mergedResult = await client.query(
+      `${TAG_WITH_COUNT_QUERY}
+       WHERE t.tag_id = $1
+       GROUP BY t.tag_id`,
+      [targetTagId]
+    )
+
+    await client.query('COMMIT')
+
+    response.json(mergedResult.rows[0])
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error merging tags:', error)
+    response.status(500).json({ error: 'Failed to merge tags' })
+  } finally {
+    client.release()
+  }
+})
+
+// DELETE /api/tags/:id - Delete a tag; entries that used it are kept
+tagsRouter.delete('/:id', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const tagId = Number(request.params.id)
+
+    if (!Number.isInteger(tagId) || tagId < 1) {
+      return response.status(400).json({ error: 'Invalid tag id' })
+    }
+
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    const deleteQuery = await pool.query(
+      'DELETE FROM tags WHERE tag_id = $1 AND user_id = $2 RETURNING tag_id',
+      [tagId, userId]
+    )
+
+    if (deleteQuery.rows.length === 0) {
+      return response.status(404).json({ error: 'Tag not found or access denied' })
+    }
+
+    response.json({ message: 'Tag deleted successfully', tag_id: deleteQuery.rows[0].tag_id })
+  } catch (error) {
+    console.error('Error deleting tag:', error)
+    response.status(500).json({ error: 'Failed to delete tag' })
+  }
+})
+
+module.exports = tagsRouter
@@ -0,0 +1,235 @@
+const express = require('express')
+const usersRouter = express.Router()
+const admin = require('../firebaseAdmin')
+const { pool } = require('../utils/config')
+const { verifyToken } = require('../utils/auth')
+const { EXPORT_FORMATS, streamUserExport } = require('../utils/services/export')
+const { isValidTimeZone } = require('../utils/timezone')
+const { enqueueOrphanedFileCleanup } = require('../utils/services/jobs')
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const isHttpUrl = (value) => {
+  try {
+    const url = new URL(value)
+    return url.protocol === 'http:' || url.protocol === 'https:'
+  } catch {
+    return false
+  }
+}
+
+// Remove sensitive data before sending a user in a response
+const toUserResponse = ({ firebase_uid, ...userData }) => userData
+
+// GET /api/users/me - Get the authenticated user's profile
+usersRouter.get('/me', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+
+    const result = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (result.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    response.json({ user: toUserResponse(result.rows[0]) })
+  } catch (error) {
+    console.error('Error fetching user profile:', error)
+    response.status(500).json({ error: 'Failed to fetch user profile' })
+  }
+})
+
+// PATCH /api/users/me - Update name, username, profile picture, timezone, preferences
+// and whether new entries are end-to-end encrypted
+usersRouter.patch('/me', verifyToken, async (request, response) => {
+  try {
+    const firebaseUid = request.user.uid
+    const { name, username, profilePictureUrl, timezone, preferences, endToEndEncryption } = request.body
+
+    const updates = []
+    const params = []
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || name.trim() === '') {
+        return response.status(400).json({ error: 'Invalid field: name must be a non-empty string' })
+      }
+      params.push(name.trim())
+      updates.push(`name = $${params.length}`)
+    }
+
+    if (username !== undefined) {
+      if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+        return response.status(400).json({
+          error: 'Invalid field: username must be 3-30 characters of letters, numbers, dots or underscores'
+        })
+      }
+      params.push(username)
+      updates.push(`username = $${params.length}`)
+    }
+
+    if (profilePictureUrl !== undefined) {
+      if (profilePictureUrl !== null && (typeof profilePictureUrl !== 'string' || !isHttpUrl(profilePictureUrl))) {
+        return response.status(400).json({ error: 'Invalid field: profilePictureUrl must be an http(s) URL or null' })
+      }
+      params.push(profilePictureUrl)
+      updates.push(`profile_picture_url = $${params.length}`)
+    }
+
+    if (timezone !== undefined) {
+      if (!isValidTimeZone(timezone)) {
+        return response.status(400).json({ error: 'Invalid field: timezone must be an IANA timezone such as Asia/Manila' })
+      }
+      params.push(timezone)
+      updates.push(`timezone = $${params.length}`)
+    }
+
+    if (preferences !== undefined) {
+      if (!isPlainObject(preferences)) {
+        return response.status(400).json({ error: 'Invalid field: preferences must be an object' })
+      }
+      // Merge so clients can update one preference without resending the rest
+      params.push(JSON.stringify(preferences))
+      updates.push(`preferences = COALESCE(preferences, '{}'::jsonb) || $${params.length}::jsonb`)
+    }
+
+    // Once on, entries are sent encrypted by the client with their word count and emotions.
+    // Existing entries keep their mode until they are saved again.
+    if (endToEndEncryption !== undefined) {
+      if (typeof endToEndEncryption !== 'boolean') {
+        return response.status(400).json({ error: 'Invalid field: endToEndEncryption must be boolean' })
+      }
+      params.push(endToEndEncryption)
+      updates.push(`end_to_end_encryption = $${params.length}`)
+    }
+
+    if (updates.length === 0) {
+      return response.status(400).json({
+        error: 'No updatable fields provided: name, username, profilePictureUrl, timezone, preferences, endToEndEncryption'
+      })
+    }
+
+    if (username !== undefined) {
+      const existingUsername = await pool.query(
+        'SELECT user_id FROM users WHERE username = $1 AND firebase_uid <> $2',
+        [username, firebaseUid]
+      )
+
+      if (existingUsername.rows.length > 0) {
+        return response.status(409).json({ error: 'Username already taken' })
+      }
+    }
+
+    params.push(firebaseUid)
+    const result = await pool.query(
+      `UPDATE users
+       SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE firebase_uid = $${params.length}
+       RETURNING *`,
+      params
+    )
+
+    if (result.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    response.json({ user: toUserResponse(result.rows[0]) })
+  } catch (error) {
+    console.error('Error updating user profile:', error)
+
+    if (error.code === '23505') { // Unique constraint violation
+      return response.status(409).json({ error: 'Username already taken' })
+    }
+    response.status(500).json({ error: 'Failed to update user profile' })
+  }
+})
+
+// GET /api/users/me/export - Download all of the user's data as a zip archive
+usersRouter.get('/me/export', verifyToken, async (request, response) => {
+  const firebaseUid = request.user.uid
+  const format = request.query.format || 'json'
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return response.status(400).json({ error: `Invalid query parameter: format must be one of ${EXPORT_FORMATS.join(', ')}` })
+  }
+
+  try {
+    const userResult = await pool.query('SELECT user_id FROM users WHERE firebase_uid = $1', [firebaseUid])
+
+    if (userResult.rows.length === 0) {
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+    const today = new Date().toISOString().split('T')[0]
+
+    response.attachment(`nilai-export-${today}-${format}.zip`)
+    response.type('application/zip')
+
+    await streamUserExport(userId, format, response)
+  } catch (error) {
+    console.error('Error exporting user data:', error)
+
+    // Once the archive has started streaming the status can no longer change
+    if (response.headersSent) {
+      return response.destroy(error)
+    }
+    response.status(500).json({ error: 'Failed to export user data' })
+  }
+})
+
+// DELETE /api/users/me - Permanently delete the account and all of its data
+usersRouter.delete('/me', verifyToken, async (request, response) => {
+  const firebaseUid = request.user.uid
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const userResult = await client.query(
+      'SELECT user_id FROM users WHERE firebase_uid = $1 FOR UPDATE',
+      [firebaseUid]
+    )
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK')
+      return response.status(404).json({ error: 'User not found' })
+    }
+
+    const userId = userResult.rows[0].user_id
+
+    await client.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await client.query('DELETE FROM daily_summaries WHERE user_id = $1', [userId])
+    await client.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await client.query('DELETE FROM users WHERE user_id = $1', [userId])
+
+    // Delete the Firebase account before committing so a failure leaves the
+    // account intact and the user can retry with the same credentials
+    try {
+      await admin.auth().deleteUser(firebaseUid)
+    } catch (error) {
+      if (error.code !== 'auth/user-not-found') {
+        throw error
+      }
+    }
+
+    await client.query('COMMIT')
+
+    // Attachment files of the deleted entries are removed in the background. The
+    // account is already gone, so a failure here must not be reported as one to delete it.
+    await enqueueOrphanedFileCleanup()
+      .catch(error => console.error('Error queueing orphaned file cleanup:', error))
+
+    response.json({ message: 'Account deleted successfully' })
+  } catch (error) {
+    await client.query('ROLLBACK')
+    console.error('Error deleting user account:', error)
+    response.status(500).json({ error: 'Failed to delete account' })
+  } finally {
+    client.release()
+  }
+})
+
+module.exports = usersRouter
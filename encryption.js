@@ -0,0 +1,46 @@
+const { pool } = require('./utils/config')
+const { rotateUserKey, decryptUserEntries } = require('./utils/encryption')
+
+// Usage: node encryption.js [rotate | decrypt]
+//   rotate  - give every user a new data key wrapped with the current master
+//             key and re-encrypt their entries, including legacy plain text
+//   decrypt - store every entry in plain text again and delete the data keys
+const COMMANDS = {
+  rotate: rotateUserKey,
+  decrypt: decryptUserEntries
+}
+
+const run = async () => {
+  const [command = 'rotate'] = process.argv.slice(2)
+  const apply = COMMANDS[command]
+
+  if (!apply) {
+    throw new Error(`Unknown command: ${command}. Use rotate or decrypt`)
+  }
+
+  // Users with entries or keys; anyone else has nothing to re-encrypt
+  const users = await pool.query(`
+    SELECT user_id FROM journal_entries
+    UNION
+    SELECT user_id FROM user_data_keys
+    ORDER BY user_id
+  `)
+
+  let entries = 0
+  let revisions = 0
+  for (const { user_id: userId } of users.rows) {
+    const counts = await apply(userId)
+    entries += counts.journal_entries
+    revisions += counts.journal_revisions
+  }
+
+  console.log(`${command === 'rotate' ? 'Re-encrypted' : 'Decrypted'} ${entries} entries and ${revisions} revisions of ${users.rows.length} users`)
+}
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('Encryption command failed:', error.message)
+    await pool.end()
+    process.exit(1)
+  })
@@ -0,0 +1,33 @@
+const { pool } = require('./utils/config')
+const { migrateUp, migrateDown, migrationStatus } = require('./utils/migrations')
+
+// Usage: node migrate.js [up | down [steps] | status]
+const run = async () => {
+  const [command = 'up', steps] = process.argv.slice(2)
+
+  if (command === 'up') {
+    const applied = await migrateUp()
+    console.log(applied.length > 0 ? `Applied ${applied.length} migrations` : 'Database is up to date')
+  } else if (command === 'down') {
+    const count = steps === undefined ? 1 : Number(steps)
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Steps must be a positive integer')
+    }
+    const rolledBack = await migrateDown(count)
+    console.log(`Rolled back ${rolledBack.length} migrations`)
+  } else if (command === 'status') {
+    for (const migration of await migrationStatus()) {
+      console.log(`${migration.applied ? '[x]' : '[ ]'} ${migration.name}`)
+    }
+  } else {
+    throw new Error(`Unknown command: ${command}. Use up, down [steps] or status`)
+  }
+}
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('Migration failed:', error.message)
+    await pool.end()
+    process.exit(1)
+  })
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS daily_quotes;
+DROP TABLE IF EXISTS daily_summaries;
+DROP TABLE IF EXISTS journal_entries;
+DROP TABLE IF EXISTS users;
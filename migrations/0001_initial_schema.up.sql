@@ -0,0 +1,67 @@
+-- Base schema the application was written against. IF NOT EXISTS lets
+-- databases created before migrations existed adopt this migration.
+
+CREATE TABLE IF NOT EXISTS users (
+  user_id SERIAL PRIMARY KEY,
+  firebase_uid VARCHAR(128) NOT NULL,
+  name VARCHAR(255),
+  username VARCHAR(50) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  auth_provider VARCHAR(20) NOT NULL DEFAULT 'email',
+  google_id VARCHAR(255),
+  google_avatar_url TEXT,
+  profile_picture_url TEXT,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_login_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_firebase_uid_idx ON users (firebase_uid);
+CREATE UNIQUE INDEX IF NOT EXISTS users_username_idx ON users (username);
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx ON users (email);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+  journal_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  emotions JSONB,
+  favourite BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Listing is always per user, newest first, with journal_id as the tie-breaker
+CREATE INDEX IF NOT EXISTS journal_entries_user_created_idx
+  ON journal_entries (user_id, created_at DESC, journal_id DESC);
+
+CREATE TABLE IF NOT EXISTS daily_summaries (
+  summary_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  summary TEXT NOT NULL,
+  key_themes JSONB,
+  emotional_trends JSONB,
+  entry_count INTEGER NOT NULL DEFAULT 0,
+  analysis_period_start DATE,
+  analysis_period_end DATE,
+  summary_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS daily_summaries_user_date_idx
+  ON daily_summaries (user_id, summary_date);
+
+CREATE TABLE IF NOT EXISTS daily_quotes (
+  quote_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL,
+  quote TEXT NOT NULL,
+  author VARCHAR(255),
+  citation VARCHAR(500),
+  explanation TEXT,
+  quote_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS daily_quotes_user_date_idx
+  ON daily_quotes (user_id, quote_date);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS journal_entries_search_vector_idx;
+
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS search_vector;
@@ -0,0 +1,10 @@
+-- Full-text search over journal entries (GET /api/journals/search)
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS journal_entries_search_vector_idx
+  ON journal_entries USING GIN (search_vector);
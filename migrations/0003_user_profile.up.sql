@@ -0,0 +1,4 @@
+-- Profile management (GET/PATCH /api/users/me)
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS journal_entries_pending_emotions_idx;
+
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS emotions_status;
@@ -0,0 +1,7 @@
+-- Entries saved while the emotion service was unavailable are analysed later
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS emotions_status TEXT NOT NULL DEFAULT 'complete'
+  CHECK (emotions_status IN ('pending', 'complete'));
+
+CREATE INDEX IF NOT EXISTS journal_entries_pending_emotions_idx
+  ON journal_entries (created_at) WHERE emotions_status = 'pending';
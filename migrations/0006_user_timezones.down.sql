@@ -0,0 +1,2 @@
+-- created_at/updated_at stay TIMESTAMPTZ, which the initial schema already uses
+ALTER TABLE users DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,9 @@
+-- Per-user IANA timezone used for "today" in quotes, summaries and insights.
+-- created_at must be TIMESTAMPTZ for AT TIME ZONE to convert to local time;
+-- existing values are interpreted in the server timezone they were written in.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone TEXT NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE journal_entries
+  ALTER COLUMN created_at TYPE TIMESTAMPTZ,
+  ALTER COLUMN updated_at TYPE TIMESTAMPTZ;
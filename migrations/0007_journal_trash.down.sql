@@ -0,0 +1,6 @@
+-- Without the trash, entries the user deleted must not reappear
+DELETE FROM journal_entries WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS journal_entries_trash_idx;
+
+ALTER TABLE journal_entries DROP COLUMN IF EXISTS deleted_at;
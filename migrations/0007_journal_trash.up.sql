@@ -0,0 +1,7 @@
+-- Deleted entries stay in the trash until restored, purged by the user or
+-- purged automatically once the retention period has passed
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS journal_entries_trash_idx
+  ON journal_entries (user_id, deleted_at) WHERE deleted_at IS NOT NULL;
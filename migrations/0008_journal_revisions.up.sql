@@ -0,0 +1,13 @@
+-- Earlier versions of a journal entry, saved each time it is edited.
+-- saved_at is when that version was written; created_at is when it was replaced.
+CREATE TABLE IF NOT EXISTS journal_revisions (
+  revision_id SERIAL PRIMARY KEY,
+  journal_id INTEGER NOT NULL REFERENCES journal_entries(journal_id) ON DELETE CASCADE,
+  revision_number INTEGER NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  emotions JSONB,
+  saved_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (journal_id, revision_number)
+);
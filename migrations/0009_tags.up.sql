@@ -0,0 +1,16 @@
+-- User-defined tags. Names are stored lowercase without a leading '#'.
+CREATE TABLE IF NOT EXISTS tags (
+  tag_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS journal_entry_tags (
+  journal_id INTEGER NOT NULL REFERENCES journal_entries(journal_id) ON DELETE CASCADE,
+  tag_id INTEGER NOT NULL REFERENCES tags(tag_id) ON DELETE CASCADE,
+  PRIMARY KEY (journal_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS journal_entry_tags_tag_idx ON journal_entry_tags (tag_id);
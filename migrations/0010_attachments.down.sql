@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS journal_attachments;
+DROP FUNCTION IF EXISTS queue_orphaned_attachment_files();
+DROP TABLE IF EXISTS orphaned_files;
@@ -0,0 +1,38 @@
+-- Image and audio attachments. Files live in the storage backend under
+-- storage_key; thumbnail_key is set for images.
+CREATE TABLE IF NOT EXISTS journal_attachments (
+  attachment_id SERIAL PRIMARY KEY,
+  journal_id INTEGER NOT NULL REFERENCES journal_entries(journal_id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('image', 'audio')),
+  content_type TEXT NOT NULL,
+  file_name TEXT,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  storage_key TEXT NOT NULL,
+  thumbnail_key TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS journal_attachments_journal_idx ON journal_attachments (journal_id);
+
+-- Files whose attachment row is gone, however it was deleted (directly, with
+-- its entry, or with the whole account), waiting to be removed from storage
+CREATE TABLE IF NOT EXISTS orphaned_files (
+  storage_key TEXT PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE OR REPLACE FUNCTION queue_orphaned_attachment_files() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO orphaned_files (storage_key)
+  SELECT key FROM unnest(ARRAY[OLD.storage_key, OLD.thumbnail_key]) AS key
+  WHERE key IS NOT NULL
+  ON CONFLICT DO NOTHING;
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER journal_attachments_orphaned_files
+  AFTER DELETE ON journal_attachments
+  FOR EACH ROW EXECUTE FUNCTION queue_orphaned_attachment_files();
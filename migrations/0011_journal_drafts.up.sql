@@ -0,0 +1,15 @@
+-- In-progress entries. Drafts are autosaved without emotion analysis and
+-- become journal entries when published. version increases on every save so
+-- a device holding a stale copy cannot overwrite newer text from another one.
+CREATE TABLE IF NOT EXISTS journal_drafts (
+  draft_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  title VARCHAR(255) NOT NULL DEFAULT '',
+  content TEXT NOT NULL DEFAULT '',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS journal_drafts_user_updated_idx ON journal_drafts (user_id, updated_at DESC);
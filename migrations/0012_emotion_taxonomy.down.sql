@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS emotion_taxonomy;
+DROP TABLE IF EXISTS emotion_categories;
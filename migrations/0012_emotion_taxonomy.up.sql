@@ -0,0 +1,67 @@
+-- Emotion taxonomy used by the insights queries. Each label the emotion model
+-- can return maps to a category with valence (-1 unpleasant to 1 pleasant),
+-- arousal (0 calm to 1 intense) and display metadata. Labels missing from the
+-- taxonomy count toward the fallback category. Rows are keyed by model so a
+-- new emotion model can be added next to the current one and selected with
+-- EMOTION_MODEL.
+CREATE TABLE IF NOT EXISTS emotion_categories (
+  category TEXT PRIMARY KEY CHECK (category ~ '^[a-z_]+$'),
+  label TEXT NOT NULL,
+  color TEXT NOT NULL,
+  sort_order INTEGER NOT NULL,
+  is_fallback BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- At most one category can take labels that are not in the taxonomy
+CREATE UNIQUE INDEX IF NOT EXISTS emotion_categories_fallback_idx
+  ON emotion_categories (is_fallback) WHERE is_fallback;
+
+CREATE TABLE IF NOT EXISTS emotion_taxonomy (
+  model TEXT NOT NULL,
+  emotion TEXT NOT NULL,
+  category TEXT NOT NULL REFERENCES emotion_categories(category) ON UPDATE CASCADE,
+  valence REAL NOT NULL CHECK (valence BETWEEN -1 AND 1),
+  arousal REAL NOT NULL CHECK (arousal BETWEEN 0 AND 1),
+  label TEXT NOT NULL,
+  emoji TEXT,
+  color TEXT,
+  PRIMARY KEY (model, emotion)
+);
+
+INSERT INTO emotion_categories (category, label, color, sort_order, is_fallback) VALUES
+  ('positive', 'Positive', '#4CAF50', 1, FALSE),
+  ('negative', 'Negative', '#E57373', 2, FALSE),
+  ('ambiguous', 'Ambiguous', '#90A4AE', 3, TRUE)
+ON CONFLICT (category) DO NOTHING;
+
+-- The 28 GoEmotions labels returned by the NLP service
+INSERT INTO emotion_taxonomy (model, emotion, category, valence, arousal, label, emoji) VALUES
+  ('goemotions', 'admiration', 'positive', 0.7, 0.5, 'Admiration', '🤩'),
+  ('goemotions', 'amusement', 'positive', 0.8, 0.6, 'Amusement', '😄'),
+  ('goemotions', 'approval', 'positive', 0.6, 0.35, 'Approval', '👍'),
+  ('goemotions', 'caring', 'positive', 0.7, 0.4, 'Caring', '🤗'),
+  ('goemotions', 'desire', 'positive', 0.5, 0.7, 'Desire', '😍'),
+  ('goemotions', 'excitement', 'positive', 0.8, 0.9, 'Excitement', '🎉'),
+  ('goemotions', 'gratitude', 'positive', 0.85, 0.4, 'Gratitude', '🙏'),
+  ('goemotions', 'joy', 'positive', 0.9, 0.7, 'Joy', '😊'),
+  ('goemotions', 'love', 'positive', 0.9, 0.6, 'Love', '❤️'),
+  ('goemotions', 'optimism', 'positive', 0.7, 0.55, 'Optimism', '🌤️'),
+  ('goemotions', 'pride', 'positive', 0.7, 0.6, 'Pride', '🦁'),
+  ('goemotions', 'relief', 'positive', 0.6, 0.25, 'Relief', '😌'),
+  ('goemotions', 'anger', 'negative', -0.8, 0.85, 'Anger', '😠'),
+  ('goemotions', 'annoyance', 'negative', -0.5, 0.6, 'Annoyance', '😒'),
+  ('goemotions', 'disappointment', 'negative', -0.6, 0.35, 'Disappointment', '😞'),
+  ('goemotions', 'disapproval', 'negative', -0.5, 0.45, 'Disapproval', '👎'),
+  ('goemotions', 'disgust', 'negative', -0.75, 0.6, 'Disgust', '🤢'),
+  ('goemotions', 'embarrassment', 'negative', -0.5, 0.6, 'Embarrassment', '😳'),
+  ('goemotions', 'fear', 'negative', -0.8, 0.85, 'Fear', '😨'),
+  ('goemotions', 'grief', 'negative', -0.9, 0.4, 'Grief', '🖤'),
+  ('goemotions', 'nervousness', 'negative', -0.5, 0.75, 'Nervousness', '😬'),
+  ('goemotions', 'remorse', 'negative', -0.6, 0.4, 'Remorse', '😔'),
+  ('goemotions', 'sadness', 'negative', -0.8, 0.3, 'Sadness', '😢'),
+  ('goemotions', 'confusion', 'ambiguous', -0.2, 0.5, 'Confusion', '😕'),
+  ('goemotions', 'curiosity', 'ambiguous', 0.3, 0.6, 'Curiosity', '🤔'),
+  ('goemotions', 'realization', 'ambiguous', 0.1, 0.45, 'Realization', '💡'),
+  ('goemotions', 'surprise', 'ambiguous', 0.1, 0.8, 'Surprise', '😮'),
+  ('goemotions', 'neutral', 'ambiguous', 0.0, 0.2, 'Neutral', '😐')
+ON CONFLICT (model, emotion) DO NOTHING;
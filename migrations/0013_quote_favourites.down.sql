@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS daily_quotes_favourite_idx;
+
+ALTER TABLE daily_quotes
+  DROP COLUMN IF EXISTS favourite;
@@ -0,0 +1,6 @@
+-- Users can favourite daily quotes to find them again in the quote archive
+ALTER TABLE daily_quotes
+  ADD COLUMN IF NOT EXISTS favourite BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS daily_quotes_favourite_idx
+  ON daily_quotes (user_id, quote_date) WHERE favourite;
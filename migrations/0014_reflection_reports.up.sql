@@ -0,0 +1,16 @@
+-- Weekly and monthly reflection reports. Weeks start on Monday; periods are
+-- calendar days in the user's timezone and include both ends.
+CREATE TABLE IF NOT EXISTS reflection_reports (
+  report_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  period TEXT NOT NULL CHECK (period IN ('week', 'month')),
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  statistics JSONB NOT NULL,
+  emotion_distribution JSONB NOT NULL,
+  summary TEXT,
+  key_themes JSONB NOT NULL DEFAULT '[]',
+  highlights JSONB NOT NULL DEFAULT '[]',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, period, period_start)
+);
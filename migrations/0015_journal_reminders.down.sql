@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS reminder_schedules;
+DROP TABLE IF EXISTS device_tokens;
@@ -0,0 +1,30 @@
+-- Firebase Cloud Messaging registration tokens of the user's devices. A token
+-- belongs to one device, so registering it again moves it to the new user.
+CREATE TABLE IF NOT EXISTS device_tokens (
+  token_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  token TEXT NOT NULL UNIQUE,
+  platform TEXT NOT NULL CHECK (platform IN ('android', 'ios', 'web')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_registered_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS device_tokens_user_idx ON device_tokens (user_id);
+
+-- Journaling reminders at a local time of day on ISO weekdays (1 = Monday).
+-- timezone overrides the user's timezone when set. last_run_on is the local
+-- date the reminder last fired, so it fires at most once a day.
+CREATE TABLE IF NOT EXISTS reminder_schedules (
+  reminder_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  time_of_day TIME NOT NULL,
+  weekdays SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5,6,7}'
+    CHECK (weekdays <@ '{1,2,3,4,5,6,7}' AND cardinality(weekdays) > 0),
+  timezone TEXT,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  last_run_on DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS reminder_schedules_user_idx ON reminder_schedules (user_id);
@@ -0,0 +1,14 @@
+-- Opt-in email digests of the user's latest summary, top emotions and quotes.
+-- Weekly digests go out on `weekday` (ISO, 1 = Monday), daily digests every
+-- day. unsubscribe_token authenticates the unsubscribe link in each email and
+-- last_sent_on is the local date the last digest was sent.
+CREATE TABLE IF NOT EXISTS email_digest_preferences (
+  user_id INTEGER PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  frequency TEXT NOT NULL DEFAULT 'weekly' CHECK (frequency IN ('daily', 'weekly')),
+  weekday SMALLINT NOT NULL DEFAULT 1 CHECK (weekday BETWEEN 1 AND 7),
+  unsubscribe_token TEXT NOT NULL UNIQUE,
+  last_sent_on DATE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,27 @@
+-- Run `node encryption.js decrypt` first: the search vector and titles are
+-- only meaningful for entries stored in plain text.
+ALTER TABLE journal_entries
+  DROP COLUMN IF EXISTS word_count;
+
+DROP INDEX IF EXISTS journal_entries_search_vector_idx;
+
+ALTER TABLE journal_entries
+  DROP COLUMN IF EXISTS search_vector;
+
+ALTER TABLE journal_drafts ALTER COLUMN title TYPE VARCHAR(255);
+
+-- The generated search vector needs the title to be VARCHAR again
+ALTER TABLE journal_revisions ALTER COLUMN title TYPE VARCHAR(255);
+ALTER TABLE journal_entries ALTER COLUMN title TYPE VARCHAR(255);
+
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(content, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS journal_entries_search_vector_idx
+  ON journal_entries USING GIN (search_vector);
+
+DROP TABLE IF EXISTS user_data_keys;
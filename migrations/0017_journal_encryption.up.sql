@@ -0,0 +1,52 @@
+-- Per-user data keys that encrypt journal titles and content at rest. Each key
+-- is stored wrapped by the master key named master_key_id; only the active key
+-- encrypts new writes, older ones remain until a rotation re-encrypts their rows.
+CREATE TABLE IF NOT EXISTS user_data_keys (
+  key_id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  wrapped_key TEXT NOT NULL,
+  master_key_id TEXT NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS user_data_keys_active_idx
+  ON user_data_keys (user_id) WHERE active;
+
+-- The generated search vector holds every word of every entry in plain text.
+-- It is generated from the title, so it has to go before the title type can
+-- change; a search vector of keyed tokens replaces it below.
+DROP INDEX IF EXISTS journal_entries_search_vector_idx;
+
+ALTER TABLE journal_entries
+  DROP COLUMN IF EXISTS search_vector;
+
+-- Encrypted titles are longer than the 255 characters a title may have
+ALTER TABLE journal_entries ALTER COLUMN title TYPE TEXT;
+ALTER TABLE journal_revisions ALTER COLUMN title TYPE TEXT;
+ALTER TABLE journal_drafts ALTER COLUMN title TYPE TEXT;
+
+-- Kept with each entry since SQL can no longer count the words of its content
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS word_count INTEGER NOT NULL DEFAULT 0;
+
+-- Written with each entry from its plain text, every lexeme replaced by an HMAC
+-- token (see utils/encryption.js). Existing entries are indexed when
+-- `npm run encryption:rotate` encrypts them.
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS search_vector tsvector NOT NULL DEFAULT ''::tsvector;
+
+CREATE INDEX IF NOT EXISTS journal_entries_search_vector_idx
+  ON journal_entries USING GIN (search_vector);
+
+UPDATE journal_entries
+SET word_count = (
+  SELECT COUNT(*) FROM regexp_split_to_table(content, '\s+') AS word WHERE word <> ''
+);
+
+-- Reports read highlight titles from the encrypted entries instead of storing them
+UPDATE reflection_reports
+SET highlights = (
+  SELECT COALESCE(jsonb_agg(highlight - 'title'), '[]'::jsonb)
+  FROM jsonb_array_elements(highlights) AS highlight
+);
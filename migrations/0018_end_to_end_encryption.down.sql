@@ -0,0 +1,10 @@
+-- Client-encrypted entries stay unreadable to the server after this
+ALTER TABLE journal_revisions
+  DROP COLUMN IF EXISTS word_count,
+  DROP COLUMN IF EXISTS client_encrypted;
+
+ALTER TABLE journal_entries
+  DROP COLUMN IF EXISTS client_encrypted;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS end_to_end_encryption;
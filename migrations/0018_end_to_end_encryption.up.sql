@@ -0,0 +1,13 @@
+-- Opt-in end-to-end encryption. New entries of users who turned it on are
+-- encrypted by their devices; the server stores the ciphertext as it is given
+-- and relies on the word count and emotion labels computed by the client.
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS end_to_end_encryption BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE journal_entries
+  ADD COLUMN IF NOT EXISTS client_encrypted BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Revisions keep their word count since it cannot be recounted from ciphertext
+ALTER TABLE journal_revisions
+  ADD COLUMN IF NOT EXISTS client_encrypted BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS word_count INTEGER;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS generation_quota_usage;
+DROP TABLE IF EXISTS rate_limit_counters;
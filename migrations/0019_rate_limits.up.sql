@@ -0,0 +1,19 @@
+-- Request counters of the Postgres rate limit store: hits of a user or IP
+-- address on one policy during the fixed window starting at window_start
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key TEXT PRIMARY KEY,
+  window_start TIMESTAMPTZ NOT NULL,
+  hits INTEGER NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS rate_limit_counters_expires_idx ON rate_limit_counters (expires_at);
+
+-- Quotes, summaries and reports each user asked to generate on demand per local day
+CREATE TABLE IF NOT EXISTS generation_quota_usage (
+  user_id INTEGER NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('quote', 'summary', 'report')),
+  usage_date DATE NOT NULL,
+  used INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, kind, usage_date)
+);
@@ -0,0 +1,50 @@
+const { test, describe } = require('node:test')
+const assert = require('assert')
+const { createCircuitBreaker } = require('../utils/services/circuitBreaker')
+
+const failing = async () => {
+  throw new Error('service down')
+}
+
+describe('Circuit Breaker', () => {
+  test('should open after consecutive failures and fail fast', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 2, resetTimeout: 60000 })
+
+    await assert.rejects(breaker.execute(failing), /service down/)
+    assert.strictEqual(breaker.getState(), 'closed')
+    await assert.rejects(breaker.execute(failing), /service down/)
+    assert.strictEqual(breaker.getState(), 'open')
+
+    let called = false
+    await assert.rejects(
+      breaker.execute(async () => { called = true }),
+      (error) => error.code === 'CIRCUIT_OPEN' && error.retryAfterMs > 0 && error.retryAfterMs <= 60000
+    )
+    assert.strictEqual(called, false, 'Calls should not reach the service while the circuit is open')
+  })
+
+  test('should close again after a successful trial call', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 1, resetTimeout: 10 })
+
+    await assert.rejects(breaker.execute(failing), /service down/)
+    assert.strictEqual(breaker.getState(), 'open')
+
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    const result = await breaker.execute(async () => 'ok')
+    assert.strictEqual(result, 'ok')
+    assert.strictEqual(breaker.getState(), 'closed')
+  })
+
+  test('should reopen when the trial call fails', async () => {
+    const breaker = createCircuitBreaker({ name: 'test', failureThreshold: 3, resetTimeout: 10 })
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(breaker.execute(failing))
+    }
+    await new Promise(resolve => setTimeout(resolve, 20))
+
+    await assert.rejects(breaker.execute(failing), /service down/)
+    assert.strictEqual(breaker.getState(), 'open')
+  })
+})
@@ -0,0 +1,233 @@
+const { test, beforeEach, after } = require('node:test')
+const supertest = require('supertest')
+const app = require('../app')
+const { pool } = require('../utils/config')
+const admin = require('../firebaseAdmin')
+const assert = require('assert')
+const { createFakeTransport, setMailTransport } = require('../utils/services/mail')
+const { queueDueDigests, sendEmailDigest } = require('../utils/services/digests')
+
+const api = supertest(app)
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-digests-uid-' + Date.now(),
+  email: `digests-test-${Date.now()}@example.com`,
+  name: 'Digests Tester',
+  username: `digeststester${Date.now()}`,
+  authProvider: 'email'
+}
+
+let userId // Will store the database user ID
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM email_digest_preferences WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM jobs WHERE user_id = $1', [userId])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-digests-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified, timezone)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+      [testUser.firebaseUid, testUser.name, testUser.username, testUser.email, testUser.authProvider, true, 'Asia/Manila']
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM jobs WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+test('Digests - should default to off and update preferences', async () => {
+  const defaults = await api
+    .get('/api/digests/preferences')
+    .set('Authorization', 'Bearer mock-digests-token')
+    .expect(200)
+
+  assert.deepStrictEqual(defaults.body, { enabled: false, frequency: 'weekly', weekday: 1, last_sent_on: null })
+
+  const enabled = await api
+    .patch('/api/digests/preferences')
+    .set('Authorization', 'Bearer mock-digests-token')
+    .send({ enabled: true })
+    .expect(200)
+
+  assert.strictEqual(enabled.body.enabled, true)
+  assert.strictEqual(enabled.body.frequency, 'weekly')
+
+  const daily = await api
+    .patch('/api/digests/preferences')
+    .set('Authorization', 'Bearer mock-digests-token')
+    .send({ frequency: 'daily' })
+    .expect(200)
+
+  assert.strictEqual(daily.body.enabled, true)
+  assert.strictEqual(daily.body.frequency, 'daily')
+
+  for (const body of [{}, { frequency: 'monthly' }, { weekday: 0 }, { enabled: 'yes' }]) {
+    await api
+      .patch('/api/digests/preferences')
+      .set('Authorization', 'Bearer mock-digests-token')
+      .send(body)
+      .expect(400)
+  }
+})
+
+test('Digests - should queue weekly digests on the chosen weekday morning once', async () => {
+  await pool.query(
+    'INSERT INTO email_digest_preferences (user_id, enabled, weekday, unsubscribe_token) VALUES ($1, TRUE, 3, $2)',
+    [userId, `token-${userId}`]
+  )
+
+  // 07:00 on Wednesday in Manila is before digests go out
+  const early = await queueDueDigests(new Date('2025-01-14T23:00:00Z'))
+  assert.strictEqual(early.filter(digest => digest.user_id === userId).length, 0)
+
+  // 09:30 on Wednesday in Manila
+  const due = await queueDueDigests(new Date('2025-01-15T01:30:00Z'))
+  assert.deepStrictEqual(due.filter(digest => digest.user_id === userId), [{ user_id: userId, local_date: '2025-01-15' }])
+
+  const again = await queueDueDigests(new Date('2025-01-15T02:30:00Z'))
+  assert.strictEqual(again.filter(digest => digest.user_id === userId).length, 0)
+
+  // Thursday is not the chosen weekday
+  const thursday = await queueDueDigests(new Date('2025-01-16T01:30:00Z'))
+  assert.strictEqual(thursday.filter(digest => digest.user_id === userId).length, 0)
+
+  const jobs = await pool.query('SELECT payload FROM jobs WHERE user_id = $1 AND type = $2', [userId, 'send-email-digest'])
+  assert.deepStrictEqual(jobs.rows.map(job => job.payload), [{ userId, localDate: '2025-01-15' }])
+})
+
+test('Digests - should email the week\'s summary, emotions and quotes with an unsubscribe link', async () => {
+  const transport = createFakeTransport()
+  setMailTransport(transport)
+
+  const token = `token-${userId}`
+  await pool.query(
+    'INSERT INTO email_digest_preferences (user_id, enabled, unsubscribe_token) VALUES ($1, TRUE, $2)',
+    [userId, token]
+  )
+  await pool.query(
+    `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+     VALUES ($1, $2, $3, $4, $5), ($1, $2, $3, $6, $7)`,
+    [
+      userId,
+      'Week entry',
+      'A good week',
+      JSON.stringify([{ emotion: 'joy', confidence: 0.9 }]),
+      '2025-01-10T04:00:00Z',
+      JSON.stringify([{ emotion: 'joy', confidence: 0.8 }, { emotion: 'sadness', confidence: 0.3 }]),
+      '2025-01-12T04:00:00Z'
+    ]
+  )
+  await pool.query(
+    `INSERT INTO daily_summaries (user_id, summary, key_themes, entry_count, summary_date)
+     VALUES ($1, $2, $3, 2, '2025-01-15')`,
+    [userId, 'You found joy in small things.', JSON.stringify(['gratitude', 'rest'])]
+  )
+  await pool.query(
+    `INSERT INTO daily_quotes (user_id, title, quote, author, quote_date)
+     VALUES ($1, $2, $3, $4, '2025-01-12')`,
+    [userId, 'On rest', 'Rest is <not> idleness', 'John Lubbock']
+  )
+
+  assert.strictEqual(await sendEmailDigest(userId, '2025-01-15'), true)
+  assert.strictEqual(transport.sent.length, 1)
+
+  const [message] = transport.sent
+  assert.strictEqual(message.to, testUser.email)
+  assert.strictEqual(message.subject, 'Your week in Nilai: Jan 8 – Jan 14')
+  assert(message.text.includes('You found joy in small things.'))
+  assert(message.text.includes('Key themes: gratitude, rest'))
+  assert(message.text.includes('- 😊 Joy (2)'))
+  assert(message.text.includes('"Rest is <not> idleness" — John Lubbock'))
+  assert(message.html.includes('Rest is &lt;not&gt; idleness'))
+  assert(!message.html.includes('<not>'))
+
+  const unsubscribeUrl = message.headers['List-Unsubscribe'].slice(1, -1)
+  assert(message.html.includes(unsubscribeUrl))
+  assert(message.text.includes(unsubscribeUrl))
+
+  await api
+    .get(`/api/digests/unsubscribe?token=${encodeURIComponent(token)}`)
+    .expect(200)
+    .expect('Content-Type', /html/)
+
+  const preferences = await pool.query('SELECT enabled FROM email_digest_preferences WHERE user_id = $1', [userId])
+  assert.strictEqual(preferences.rows[0].enabled, false)
+
+  assert.strictEqual(await sendEmailDigest(userId, '2025-01-22'), false)
+  assert.strictEqual(transport.sent.length, 1)
+
+  await api
+    .post('/api/digests/unsubscribe?token=unknown-token')
+    .expect(404)
+})
+
+test('Digests - should skip the email when there is nothing to report', async () => {
+  const transport = createFakeTransport()
+  setMailTransport(transport)
+
+  await pool.query(
+    'INSERT INTO email_digest_preferences (user_id, enabled, unsubscribe_token) VALUES ($1, TRUE, $2)',
+    [userId, `token-${userId}`]
+  )
+
+  assert.strictEqual(await sendEmailDigest(userId, '2025-01-15'), false)
+  assert.strictEqual(transport.sent.length, 0)
+})
@@ -0,0 +1,168 @@
+const { test, beforeEach, after } = require('node:test')
+const supertest = require('supertest')
+const app = require('../app')
+const { pool } = require('../utils/config')
+const admin = require('../firebaseAdmin')
+const assert = require('assert')
+const { processJobs } = require('../utils/services/jobQueue')
+
+const api = supertest(app)
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-drafts-uid-' + Date.now(),
+  email: `drafts-test-${Date.now()}@example.com`,
+  name: 'Drafts Tester',
+  username: `draftstester${Date.now()}`,
+  authProvider: 'email'
+}
+
+let userId // Will store the database user ID
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM journal_drafts WHERE user_id = $1', [userId])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-drafts-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [testUser.firebaseUid, testUser.name, testUser.username, testUser.email, testUser.authProvider, true]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+test('Drafts - should autosave without emotion analysis and detect stale saves', async () => {
+  const created = await api
+    .post('/api/drafts')
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .send({ content: 'Started writing on my phone' })
+    .expect(201)
+
+  assert.strictEqual(created.body.title, '')
+  assert.strictEqual(created.body.version, 1)
+
+  const saved = await api
+    .patch(`/api/drafts/${created.body.draft_id}`)
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .send({ title: 'Commute', content: 'Started writing on my phone, finished on the laptop', version: 1 })
+    .expect(200)
+
+  assert.strictEqual(saved.body.version, 2)
+
+  // Another device still holding version 1 must not overwrite the newer text
+  const stale = await api
+    .patch(`/api/drafts/${created.body.draft_id}`)
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .send({ content: 'Older text', version: 1 })
+    .expect(409)
+
+  assert.strictEqual(stale.body.draft.content, 'Started writing on my phone, finished on the laptop')
+
+  const jobs = await pool.query(
+    'SELECT 1 FROM jobs WHERE user_id = $1 AND type = $2 AND status = $3',
+    [userId, 'analyze-emotions', 'queued']
+  )
+  assert.strictEqual(jobs.rows.length, 0, 'Autosaving should not queue emotion analysis')
+
+  const listed = await api
+    .get('/api/drafts')
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .expect(200)
+
+  assert.deepStrictEqual(listed.body.drafts.map(draft => draft.title), ['Commute'])
+})
+
+test('POST /api/drafts/:id/publish - should create a journal entry and analyse its emotions', async () => {
+  const empty = await api
+    .post('/api/drafts')
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .send({ title: 'Untitled thoughts' })
+    .expect(201)
+
+  await api
+    .post(`/api/drafts/${empty.body.draft_id}/publish`)
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .expect(400)
+
+  const draft = await api
+    .post('/api/drafts')
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .send({ title: 'Finished', content: 'A whole entry written over the day.', tags: ['daily'] })
+    .expect(201)
+
+  const published = await api
+    .post(`/api/drafts/${draft.body.draft_id}/publish`)
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .expect(201)
+
+  assert.strictEqual(published.body.title, 'Finished')
+  assert.strictEqual(published.body.emotions_status, 'pending')
+  assert.deepStrictEqual(published.body.tags, ['daily'])
+
+  await api
+    .get(`/api/drafts/${draft.body.draft_id}`)
+    .set('Authorization', 'Bearer mock-drafts-token')
+    .expect(404)
+
+  await processJobs()
+
+  const entry = await pool.query('SELECT emotions_status FROM journal_entries WHERE journal_id = $1', [published.body.journal_id])
+  assert.strictEqual(entry.rows[0].emotions_status, 'complete', 'Published entry should be analysed')
+})
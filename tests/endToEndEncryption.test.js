@@ -0,0 +1,202 @@
+const { test, beforeEach, after } = require('node:test')
+const supertest = require('supertest')
+const app = require('../app')
+const { pool } = require('../utils/config')
+const admin = require('../firebaseAdmin')
+const assert = require('assert')
+
+const api = supertest(app)
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-e2e-uid-' + Date.now(),
+  email: `e2e-test-${Date.now()}@example.com`,
+  name: 'E2E Tester',
+  username: `e2etester${Date.now()}`,
+  authProvider: 'email'
+}
+
+let userId // Will store the database user ID
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM jobs WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('UPDATE users SET end_to_end_encryption = FALSE WHERE user_id = $1', [userId])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-e2e-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [testUser.firebaseUid, testUser.name, testUser.username, testUser.email, testUser.authProvider, true]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM jobs WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+// Opaque strings standing in for what the client's encryption produces
+const ciphertext = (label) => `e2e:${Buffer.from(label).toString('base64')}`
+
+const enableEndToEndEncryption = () => api
+  .patch('/api/users/me')
+  .set('Authorization', 'Bearer mock-e2e-token')
+  .send({ endToEndEncryption: true })
+  .expect(200)
+
+test('End-to-end encryption - should store client ciphertext with client emotions and skip emotion analysis', async () => {
+  const enabled = await enableEndToEndEncryption()
+  assert.strictEqual(enabled.body.user.end_to_end_encryption, true)
+
+  await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({ title: ciphertext('Secret'), content: ciphertext('Work was great today') })
+    .expect(400)
+
+  const created = await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({
+      title: ciphertext('Secret'),
+      content: ciphertext('Work was great today'),
+      wordCount: 4,
+      emotions: [{ emotion: 'joy', confidence: 0.9 }]
+    })
+    .expect(201)
+
+  assert.strictEqual(created.body.client_encrypted, true)
+  assert.strictEqual(created.body.emotions_status, 'complete')
+  assert.strictEqual(created.body.content, ciphertext('Work was great today'))
+  assert.deepStrictEqual(created.body.emotions, [{ emotion: 'joy', confidence: 0.9 }])
+
+  const jobs = await pool.query('SELECT 1 FROM jobs WHERE user_id = $1 AND type = $2', [userId, 'analyze-emotions'])
+  assert.strictEqual(jobs.rows.length, 0, 'The NLP service should never see the entry')
+
+  const stored = await pool.query('SELECT word_count FROM journal_entries WHERE journal_id = $1', [created.body.journal_id])
+  assert.strictEqual(stored.rows[0].word_count, 4)
+
+  const topEmotions = await api
+    .get('/api/insights/topEmotions')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .expect(200)
+
+  assert.deepStrictEqual(topEmotions.body.topEmotions.map(({ emotion }) => emotion), ['joy'])
+
+  const search = await api
+    .get('/api/journals/search?q=work')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .expect(200)
+
+  assert.strictEqual(search.body.totalCount, 0, 'Ciphertext should not be searched')
+
+  await api
+    .post('/api/journals/import')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({ format: 'journey', data: [{ date_journal: 1680000000000, text: 'Readable by the server' }] })
+    .expect(409)
+
+  await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({ title: ciphertext('Bad'), content: ciphertext('Bad'), wordCount: 1, emotions: [{ emotion: 'joy', confidence: 2 }] })
+    .expect(400)
+})
+
+test('End-to-end encryption - should keep revisions opaque and convert entries saved in the new mode', async () => {
+  const plain = await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({ title: 'Before', content: 'Written before turning encryption on' })
+    .expect(201)
+
+  assert.strictEqual(plain.body.client_encrypted, false)
+
+  await enableEndToEndEncryption()
+
+  const converted = await api
+    .put(`/api/journals/${plain.body.journal_id}`)
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .send({ title: ciphertext('Before'), content: ciphertext('Written before turning encryption on'), wordCount: 5 })
+    .expect(200)
+
+  assert.strictEqual(converted.body.client_encrypted, true)
+  assert.strictEqual(converted.body.emotions, null, 'Emotions of the old content should be dropped')
+  assert.strictEqual(converted.body.emotions_status, 'complete')
+
+  await api
+    .get(`/api/journals/${plain.body.journal_id}/revisions/diff?from=1`)
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .expect(409)
+
+  const restored = await api
+    .post(`/api/journals/${plain.body.journal_id}/revisions/1/restore`)
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .expect(200)
+
+  assert.strictEqual(restored.body.client_encrypted, false)
+  assert.strictEqual(restored.body.content, 'Written before turning encryption on')
+
+  const revision = await api
+    .get(`/api/journals/${plain.body.journal_id}/revisions/2`)
+    .set('Authorization', 'Bearer mock-e2e-token')
+    .expect(200)
+
+  assert.strictEqual(revision.body.client_encrypted, true)
+  assert.strictEqual(revision.body.word_count, 5)
+  assert.strictEqual(revision.body.content, ciphertext('Written before turning encryption on'))
+})
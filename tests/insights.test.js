@@ -4,6 +4,8 @@ const app = require('../app')
 const { pool } = require('../utils/config')
 const admin = require('../firebaseAdmin')
 const assert = require('assert')
+const { processJobs } = require('../utils/services/jobQueue')
+const { DAILY_GENERATION_QUOTAS } = require('../utils/services/quotas')
 
 const api = supertest(app)
 
@@ -26,6 +28,7 @@ beforeEach(async () => {
     await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
     await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [userId])
     await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM generation_quota_usage WHERE user_id = $1', [userId])
   }
 
   // Create test user in Firebase if not exists
@@ -133,7 +136,15 @@ describe('Daily Quote Generation', () => {
         .expect(201)
     }
 
-    // Now test quote generation
+    // Now test quote generation, which is queued as a background job
+    const queued = await api
+      .get('/api/insights/quote')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(202)
+
+    assert(queued.body.job_id, 'Should return the generation job id')
+    await processJobs()
+
     const response = await api
       .get('/api/insights/quote')
       .set('Authorization', 'Bearer mock-insights-token')
@@ -168,16 +179,19 @@ describe('Daily Quote Generation', () => {
     assert.strictEqual(dbQuote.rows.length, 1, 'Quote should be stored in database')
     const storedQuote = dbQuote.rows[0]
 
-    const todayResult = await pool.query('SELECT CURRENT_DATE::text as today_string')
-    const dbToday = todayResult.rows[0].today_string
+    const todayResult = await pool.query(
+      'SELECT (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date::text as today_string FROM users WHERE user_id = $1',
+      [userId]
+    )
+    const userToday = todayResult.rows[0].today_string
 
     console.log('Stored date (as text):', storedQuote.quote_date_string)
-    console.log('DB current date (as text):', dbToday)
+    console.log('User current date (as text):', userToday)
 
     assert.strictEqual(
       storedQuote.quote_date_string,
-      dbToday,
-      'Quote date should match database current date'
+      userToday,
+      'Quote date should match the current date in the user timezone'
     )
   })
 
@@ -194,7 +208,14 @@ describe('Daily Quote Generation', () => {
       .send(journal)
       .expect(201)
 
-    // First request should generate new quote
+    // First request should queue quote generation
+    await api
+      .get('/api/insights/quote')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(202)
+
+    await processJobs()
+
     const firstResponse = await api
       .get('/api/insights/quote')
       .set('Authorization', 'Bearer mock-insights-token')
@@ -220,6 +241,31 @@ describe('Daily Quote Generation', () => {
     assert.strictEqual(parseInt(dbQuotes.rows[0].count), 1, 'Should have only one quote in database')
   })
 
+  test('GET /api/insights/quote - should refuse to generate once the daily quota is used', async () => {
+    await pool.query(
+      'INSERT INTO journal_entries (user_id, title, content) VALUES ($1, $2, $3)',
+      [userId, 'Busy day', 'Lots to think about.']
+    )
+    await pool.query('DELETE FROM jobs WHERE user_id = $1', [userId])
+    await pool.query(
+      `INSERT INTO generation_quota_usage (user_id, kind, usage_date, used)
+       SELECT user_id, 'quote', (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date, $2
+       FROM users WHERE user_id = $1`,
+      [userId, DAILY_GENERATION_QUOTAS.quote]
+    )
+
+    const response = await api
+      .get('/api/insights/quote')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(429)
+
+    assert(response.body.error.includes('Try again tomorrow'), 'Should explain when generation is available again')
+    assert(response.headers['ratelimit-remaining'], 'Should send the rate limit headers')
+
+    const jobs = await pool.query('SELECT 1 FROM jobs WHERE user_id = $1', [userId])
+    assert.strictEqual(jobs.rows.length, 0, 'No generation job should be queued')
+  })
+
   test('GET /api/insights/quote - should handle unauthorized access', async () => {
     const response = await api
       .get('/api/insights/quote')
@@ -361,3 +407,100 @@ describe('Daily Summary Generation', () => {
   })
 })
 
+
+describe('Reflection Archive', () => {
+  const insertQuote = (quoteDate, title) => pool.query(
+    `INSERT INTO daily_quotes (user_id, title, quote, author, quote_date)
+     VALUES ($1, $2, 'Test quote', 'Test author', $3)`,
+    [userId, title, quoteDate]
+  )
+
+  test('GET /api/insights/summaries - should page through past summaries newest first', async () => {
+    for (const date of ['2026-01-01', '2026-01-02', '2026-01-03']) {
+      await pool.query(
+        `INSERT INTO daily_summaries (user_id, summary, key_themes, emotional_trends, entry_count, analysis_period_start, analysis_period_end, summary_date)
+         VALUES ($1, $2, '[]', '{}', 1, $3::date - 7, $3, $3)`,
+        [userId, `Summary for ${date}`, date]
+      )
+    }
+
+    const firstPage = await api
+      .get('/api/insights/summaries?limit=2')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(firstPage.body.summaries.map(summary => summary.summary_date), ['2026-01-03', '2026-01-02'])
+    assert.deepStrictEqual(firstPage.body.summaries[0].analysis_period, { start: '2025-12-27', end: '2026-01-03' })
+    assert(firstPage.body.nextCursor, 'Should return a cursor for the next page')
+
+    const secondPage = await api
+      .get(`/api/insights/summaries?limit=2&cursor=${firstPage.body.nextCursor}`)
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(secondPage.body.summaries.map(summary => summary.summary_date), ['2026-01-01'])
+    assert.strictEqual(secondPage.body.nextCursor, null, 'Last page should not have a cursor')
+
+    const byDate = await api
+      .get('/api/insights/summaries/2026-01-02')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(byDate.body.summary, 'Summary for 2026-01-02')
+
+    await api
+      .get('/api/insights/summaries/2025-06-01')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(404)
+  })
+
+  test('PATCH /api/insights/quotes/:date/favourite - should favourite quotes and filter the archive', async () => {
+    await insertQuote('2026-02-01', 'First')
+    await insertQuote('2026-02-02', 'Second')
+
+    const favourited = await api
+      .patch('/api/insights/quotes/2026-02-01/favourite')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .send({ favourite: true })
+      .expect(200)
+
+    assert.deepStrictEqual(favourited.body, { quote_date: '2026-02-01', favourite: true })
+
+    const all = await api
+      .get('/api/insights/quotes')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(all.body.quotes.map(quote => [quote.title, quote.favourite]), [['Second', false], ['First', true]])
+
+    const favourites = await api
+      .get('/api/insights/quotes?favourite=true')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(favourites.body.quotes.map(quote => quote.title), ['First'])
+
+    const byDate = await api
+      .get('/api/insights/quotes/2026-02-02')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(byDate.body.title, 'Second')
+  })
+
+  test('GET /api/insights/quotes - should reject invalid parameters', async () => {
+    await api.get('/api/insights/quotes?limit=0').set('Authorization', 'Bearer mock-insights-token').expect(400)
+    await api.get('/api/insights/quotes?cursor=not-a-cursor').set('Authorization', 'Bearer mock-insights-token').expect(400)
+    await api.get('/api/insights/quotes/yesterday').set('Authorization', 'Bearer mock-insights-token').expect(400)
+    await api
+      .patch('/api/insights/quotes/2026-02-01/favourite')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .send({ favourite: 'yes' })
+      .expect(400)
+    await api
+      .patch('/api/insights/quotes/2026-02-01/favourite')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .send({ favourite: true })
+      .expect(404)
+  })
+})
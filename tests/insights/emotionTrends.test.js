@@ -1,67 +1,67 @@
-const { test, beforeEach, after, describe } = require("node:test");
-const supertest = require("supertest");
-const app = require("../../app");
-const { pool } = require("../../utils/config");
-const admin = require("../../firebaseAdmin");
-const assert = require("assert");
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../../app')
+const { pool } = require('../../utils/config')
+const admin = require('../../firebaseAdmin')
+const assert = require('assert')
 
-const api = supertest(app);
+const api = supertest(app)
 
 // Store original method to restore later
-const originalVerifyIdToken = admin.auth().verifyIdToken;
+const originalVerifyIdToken = admin.auth().verifyIdToken
 
 const testUser = {
-  firebaseUid: "test-insights-uid-" + Date.now(),
+  firebaseUid: 'test-insights-uid-' + Date.now(),
   email: `insights-test-${Date.now()}@example.com`,
-  name: "Insights Tester",
+  name: 'Insights Tester',
   username: `insightstester${Date.now()}`,
-  authProvider: "email",
-};
+  authProvider: 'email',
+}
 
-let userId;
+let userId
 
 beforeEach(async () => {
   // Clean up any existing test data
   if (userId) {
-    await pool.query("DELETE FROM daily_quotes WHERE user_id = $1", [userId]);
-    await pool.query("DELETE FROM daily_summaries WHERE user_id = $1", [
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM journal_entries WHERE user_id = $1", [
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
       userId,
-    ]);
+    ])
   }
 
   // Create test user in Firebase if not exists
   try {
-    await admin.auth().getUser(testUser.firebaseUid);
+    await admin.auth().getUser(testUser.firebaseUid)
   } catch (error) {
-    if (error.code === "auth/user-not-found") {
+    if (error.code === 'auth/user-not-found') {
       await admin.auth().createUser({
         uid: testUser.firebaseUid,
         email: testUser.email,
         emailVerified: true,
-      });
+      })
     }
   }
 
   // Mock token verification
   admin.auth().verifyIdToken = async (token) => {
-    if (token === "mock-insights-token") {
+    if (token === 'mock-insights-token') {
       return {
         uid: testUser.firebaseUid,
         email: testUser.email,
         email_verified: true,
-      };
+      }
     }
-    return originalVerifyIdToken.call(admin.auth(), token);
-  };
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
 
   // Create or get user in database
   const existingUser = await pool.query(
-    "SELECT * FROM users WHERE firebase_uid = $1",
+    'SELECT * FROM users WHERE firebase_uid = $1',
     [testUser.firebaseUid]
-  );
+  )
 
   if (existingUser.rows.length === 0) {
     const result = await pool.query(
@@ -76,115 +76,115 @@ beforeEach(async () => {
         testUser.authProvider,
         true,
       ]
-    );
-    userId = result.rows[0].user_id;
+    )
+    userId = result.rows[0].user_id
   } else {
-    userId = existingUser.rows[0].user_id;
+    userId = existingUser.rows[0].user_id
   }
-});
+})
 
 after(async () => {
   // Cleanup
-  admin.auth().verifyIdToken = originalVerifyIdToken;
+  admin.auth().verifyIdToken = originalVerifyIdToken
 
   // Clean up database
   if (userId) {
-    await pool.query("DELETE FROM daily_quotes WHERE user_id = $1", [userId]);
-    await pool.query("DELETE FROM daily_summaries WHERE user_id = $1", [
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM journal_entries WHERE user_id = $1", [
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM users WHERE firebase_uid = $1", [
+    ])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [
       testUser.firebaseUid,
-    ]);
+    ])
   }
 
   // Clean up Firebase
   try {
-    await admin.auth().deleteUser(testUser.firebaseUid);
+    await admin.auth().deleteUser(testUser.firebaseUid)
   } catch (error) {
-    if (error.code !== "auth/user-not-found") {
-      console.error("Error deleting Firebase user:", error);
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
     }
   }
-});
+})
 
-describe("Emotion Trends Analysis", () => {
-  test("GET /api/insights/emotionTrends - should return emotion trends over 30-day periods", async () => {
+describe('Emotion Trends Analysis', () => {
+  test('GET /api/insights/emotionTrends - should return emotion trends over 30-day periods', async () => {
     // Create test entries for specific days
     const testEntries = [
       {
         // Day 1 entries
         emotions: [
-          { emotion: "joy", confidence: 0.9 },
-          { emotion: "gratitude", confidence: 0.8 },
+          { emotion: 'joy', confidence: 0.9 },
+          { emotion: 'gratitude', confidence: 0.8 },
         ],
-        created_at: `CURRENT_DATE`,
+        created_at: 'CURRENT_DATE',
       },
       {
         // Day 3 entries (should count in day 5 bucket)
         emotions: [
-          { emotion: "sadness", confidence: 0.85 },
-          { emotion: "disappointment", confidence: 0.75 },
+          { emotion: 'sadness', confidence: 0.85 },
+          { emotion: 'disappointment', confidence: 0.75 },
         ],
-        created_at: `CURRENT_DATE - INTERVAL '3 days'`,
+        created_at: 'CURRENT_DATE - INTERVAL \'3 days\'',
       },
       {
         // Day 7 entries (should count in day 10 bucket)
         emotions: [
-          { emotion: "love", confidence: 0.95 },
-          { emotion: "excitement", confidence: 0.85 },
+          { emotion: 'love', confidence: 0.95 },
+          { emotion: 'excitement', confidence: 0.85 },
         ],
-        created_at: `CURRENT_DATE - INTERVAL '7 days'`,
+        created_at: 'CURRENT_DATE - INTERVAL \'7 days\'',
       },
       {
         // Day 12 entries (should count in day 15 bucket)
         emotions: [
-          { emotion: "anger", confidence: 0.8 },
-          { emotion: "fear", confidence: 0.7 },
+          { emotion: 'anger', confidence: 0.8 },
+          { emotion: 'fear', confidence: 0.7 },
         ],
-        created_at: `CURRENT_DATE - INTERVAL '12 days'`,
+        created_at: 'CURRENT_DATE - INTERVAL \'12 days\'',
       },
-    ];
+    ]
 
     // Insert entries into database
     for (const entry of testEntries) {
-      const sent = await pool.query(
+      await pool.query(
         `INSERT INTO journal_entries 
          (user_id, title, content, emotions, created_at)
          VALUES ($1, $2, $3, $4::jsonb, ${entry.created_at})`,
-        [userId, "Test Entry", "Test content", JSON.stringify(entry.emotions)]
-      );
+        [userId, 'Test Entry', 'Test content', JSON.stringify(entry.emotions)]
+      )
     }
 
     const journals = await api
-      .get("/api/journals")
-      .set("Authorization", "Bearer mock-insights-token")
-      .expect(200);
+      .get('/api/journals')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
 
-    console.log("=== Journals ===");
-    console.log(JSON.stringify(journals.body, null, 2));
+    console.log('=== Journals ===')
+    console.log(JSON.stringify(journals.body, null, 2))
 
     const response = await api
-      .get("/api/insights/emotionTrends")
-      .set("Authorization", "Bearer mock-insights-token")
-      .expect(200);
+      .get('/api/insights/emotionTrends')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
 
     // Add detailed logging
-    console.log("\n=== Response Body ===");
-    console.log(JSON.stringify(response.body, null, 2));
+    console.log('\n=== Response Body ===')
+    console.log(JSON.stringify(response.body, null, 2))
 
     // Basic structure assertions
     assert(
       response.body.emotionTrends,
-      "Response should have emotionTrends field"
-    );
+      'Response should have emotionTrends field'
+    )
     assert(
       Array.isArray(response.body.emotionTrends),
-      "emotionTrends should be an array"
-    );
+      'emotionTrends should be an array'
+    )
 
     // Convert the response data for easier testing
     const trendsMap = new Map(
@@ -196,93 +196,287 @@ describe("Emotion Trends Analysis", () => {
           ambiguous: Number(trend.ambiguous),
         },
       ])
-    );
+    )
 
     // Add trendsMap logging
-    console.log("\n=== Trends Map ===");
-    console.log("Map entries:");
+    console.log('\n=== Trends Map ===')
+    console.log('Map entries:')
     trendsMap.forEach((value, key) => {
-      console.log(`Day ${key}:`, value);
-    });
+      console.log(`Day ${key}:`, value)
+    })
 
     // Test each day's bucket
-    const day1 = trendsMap.get("1");
+    const day1 = trendsMap.get('1')
     assert.strictEqual(
       day1.positive,
       2,
-      "Day 1 should have 2 positive emotions (joy, gratitude)"
-    );
+      'Day 1 should have 2 positive emotions (joy, gratitude)'
+    )
 
-    const day5 = trendsMap.get("5");
+    const day5 = trendsMap.get('5')
     assert.strictEqual(
       day5.negative,
       2,
-      "Day 5 should have 2 negative emotions (sadness, disappointment)"
-    );
+      'Day 5 should have 2 negative emotions (sadness, disappointment)'
+    )
 
-    const day10 = trendsMap.get("10");
+    const day10 = trendsMap.get('10')
     assert.strictEqual(
       day10.positive,
       2,
-      "Day 10 should have 2 positive emotions (love, excitement)"
-    );
+      'Day 10 should have 2 positive emotions (love, excitement)'
+    )
 
-    const day15 = trendsMap.get("15");
+    const day15 = trendsMap.get('15')
     assert.strictEqual(
       day15.negative,
       2,
-      "Day 15 should have 2 negative emotions (anger, fear)"
-    );
+      'Day 15 should have 2 negative emotions (anger, fear)'
+    )
 
     // Verify all days are present
-    const expectedDays = ["1", "5", "10", "15", "20", "25", "30"];
+    const expectedDays = ['1', '5', '10', '15', '20', '25', '30']
     expectedDays.forEach((day) => {
-      assert(trendsMap.has(day), `Should have data for day ${day}`);
-    });
-  });
+      assert(trendsMap.has(day), `Should have data for day ${day}`)
+    })
+  })
 
-  test("GET /api/insights/emotionTrends - should handle no entries case", async () => {
+  test('GET /api/insights/emotionTrends - should handle no entries case', async () => {
     const response = await api
-      .get("/api/insights/emotionTrends")
-      .set("Authorization", "Bearer mock-insights-token")
-      .expect(200);
+      .get('/api/insights/emotionTrends')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
 
     assert(
       Array.isArray(response.body.emotionTrends),
-      "Should return array even with no entries"
-    );
+      'Should return array even with no entries'
+    )
     assert(
       response.body.emotionTrends.length > 0,
-      "Should return all date intervals"
-    );
+      'Should return all date intervals'
+    )
 
     // Verify all counts are zero
     response.body.emotionTrends.forEach((trend) => {
       assert.strictEqual(
         Number(trend.positive),
         0,
-        "Positive count should be 0"
-      );
+        'Positive count should be 0'
+      )
       assert.strictEqual(
         Number(trend.negative),
         0,
-        "Negative count should be 0"
-      );
+        'Negative count should be 0'
+      )
       assert.strictEqual(
         Number(trend.ambiguous),
         0,
-        "Ambiguous count should be 0"
-      );
-    });
-  });
+        'Ambiguous count should be 0'
+      )
+    })
+  })
+
+  test('GET /api/insights/emotionTrends - should bucket a range by week with zero-filled weeks', async () => {
+    const entries = [
+      ['2026-03-02T12:00:00Z', [{ emotion: 'joy', confidence: 0.9 }]],
+      ['2026-03-08T12:00:00Z', [{ emotion: 'sadness', confidence: 0.8 }]],
+      ['2026-03-18T12:00:00Z', [{ emotion: 'curiosity', confidence: 0.7 }]],
+    ]
+    for (const [createdAt, emotions] of entries) {
+      await pool.query(
+        `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+         VALUES ($1, $2, $3, $4::jsonb, $5)`,
+        [userId, 'Test Entry', 'Test content', JSON.stringify(emotions), createdAt]
+      )
+    }
+
+    const response = await api
+      .get('/api/insights/emotionTrends')
+      .query({ from: '2026-03-01', to: '2026-03-20', granularity: 'week' })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.granularity, 'week')
+    assert.strictEqual(response.body.from, '2026-03-01')
+    assert.strictEqual(response.body.to, '2026-03-20')
+    assert.deepStrictEqual(response.body.emotionTrends, [
+      { period: '2026-02-23', start_date: '2026-03-01', end_date: '2026-03-01', positive: 0, negative: 0, ambiguous: 0, scores: { positive: 0, negative: 0, ambiguous: 0 }, average_valence: null },
+      { period: '2026-03-02', start_date: '2026-03-02', end_date: '2026-03-08', positive: 1, negative: 1, ambiguous: 0, scores: { positive: 0.9, negative: 0.8, ambiguous: 0 }, average_valence: 0.1 },
+      { period: '2026-03-09', start_date: '2026-03-09', end_date: '2026-03-15', positive: 0, negative: 0, ambiguous: 0, scores: { positive: 0, negative: 0, ambiguous: 0 }, average_valence: null },
+      { period: '2026-03-16', start_date: '2026-03-16', end_date: '2026-03-20', positive: 0, negative: 0, ambiguous: 1, scores: { positive: 0, negative: 0, ambiguous: 0.7 }, average_valence: 0.3 },
+    ])
+  })
+
+  test('GET /api/insights/emotionTrends - should return every month of a yearly view', async () => {
+    await pool.query(
+      `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5)`,
+      [
+        userId,
+        'Test Entry',
+        'Test content',
+        JSON.stringify([{ emotion: 'anger', confidence: 0.9 }]),
+        '2025-06-10T12:00:00Z',
+      ]
+    )
+
+    const response = await api
+      .get('/api/insights/emotionTrends')
+      .query({ from: '2025-01-01', to: '2025-12-31', granularity: 'month' })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    const trends = response.body.emotionTrends
+    assert.strictEqual(trends.length, 12)
+    assert.strictEqual(trends[0].period, '2025-01')
+    assert.strictEqual(trends[11].period, '2025-12')
+    assert.strictEqual(trends[5].negative, 1)
+    assert.strictEqual(
+      trends.reduce((total, trend) => total + trend.negative, 0),
+      1
+    )
+  })
+
+  test('GET /api/insights/emotionTrends - should default a daily series to the last 30 days', async () => {
+    const response = await api
+      .get('/api/insights/emotionTrends')
+      .query({ granularity: 'day' })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.emotionTrends.length, 30)
+    assert.strictEqual(
+      response.body.emotionTrends[29].period,
+      response.body.to
+    )
+  })
+
+  test('GET /api/insights/emotionTrends - should reject invalid parameters', async () => {
+    const invalidQueries = [
+      { granularity: 'hour' },
+      { from: '2026-02-30' },
+      { from: '2026-03-10', to: '2026-03-01' },
+      { from: '2000-01-01', to: '2026-01-01', granularity: 'day' },
+    ]
+
+    for (const query of invalidQueries) {
+      const response = await api
+        .get('/api/insights/emotionTrends')
+        .query(query)
+        .set('Authorization', 'Bearer mock-insights-token')
+        .expect(400)
+      assert(response.body.error, `Should explain why ${JSON.stringify(query)} is invalid`)
+    }
+  })
+
+  test('GET /api/insights/emotionTrends - should categorise emotions from the taxonomy', async () => {
+    await pool.query(
+      `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5)`,
+      [
+        userId,
+        'Test Entry',
+        'Test content',
+        JSON.stringify([
+          { emotion: 'surprise', confidence: 0.9 },
+          { emotion: 'unlisted-emotion', confidence: 0.5 },
+        ]),
+        '2026-04-15T12:00:00Z',
+      ]
+    )
+    const query = { from: '2026-04-15', to: '2026-04-15', granularity: 'day' }
+
+    const fallback = await api
+      .get('/api/insights/emotionTrends')
+      .query(query)
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    // Unlisted labels fall back to the ambiguous category
+    assert.strictEqual(fallback.body.emotionTrends[0].ambiguous, 2)
+    assert.strictEqual(fallback.body.emotionTrends[0].positive, 0)
+
+    await pool.query(
+      'UPDATE emotion_taxonomy SET category = \'positive\' WHERE model = \'goemotions\' AND emotion = \'surprise\''
+    )
+    try {
+      const recategorised = await api
+        .get('/api/insights/emotionTrends')
+        .query(query)
+        .set('Authorization', 'Bearer mock-insights-token')
+        .expect(200)
+
+      assert.strictEqual(recategorised.body.emotionTrends[0].ambiguous, 1)
+      assert.strictEqual(recategorised.body.emotionTrends[0].positive, 1)
+    } finally {
+      await pool.query(
+        'UPDATE emotion_taxonomy SET category = \'ambiguous\' WHERE model = \'goemotions\' AND emotion = \'surprise\''
+      )
+    }
+  })
+
+  test('GET /api/insights/emotionTrends - should leave out emotions below minConfidence', async () => {
+    await pool.query(
+      `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5)`,
+      [
+        userId,
+        'Test Entry',
+        'Test content',
+        JSON.stringify([
+          { emotion: 'joy', confidence: 0.9 },
+          { emotion: 'grief', confidence: 0.1 },
+        ]),
+        '2026-05-04T12:00:00Z',
+      ]
+    )
+
+    const response = await api
+      .get('/api/insights/emotionTrends')
+      .query({ from: '2026-05-04', to: '2026-05-04', minConfidence: 0.5 })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    const [day] = response.body.emotionTrends
+    assert.strictEqual(response.body.minConfidence, 0.5)
+    assert.strictEqual(day.positive, 1)
+    assert.strictEqual(day.negative, 0)
+    assert.strictEqual(day.average_valence, 0.9)
+
+    await api
+      .get('/api/insights/emotionTrends')
+      .query({ minConfidence: 2 })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(400)
+  })
+
+  test('GET /api/insights/emotions/taxonomy - should return categories and emotion metadata', async () => {
+    const response = await api
+      .get('/api/insights/emotions/taxonomy')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.model, 'goemotions')
+    assert.deepStrictEqual(
+      response.body.categories.map((category) => category.category),
+      ['positive', 'negative', 'ambiguous']
+    )
+    assert.strictEqual(response.body.emotions.length, 28)
+
+    const joy = response.body.emotions.find((emotion) => emotion.emotion === 'joy')
+    assert.strictEqual(joy.category, 'positive')
+    assert(joy.valence > 0)
+    assert.strictEqual(joy.label, 'Joy')
+    assert(joy.color)
+  })
 
-  test("GET /api/insights/emotionTrends - should handle unauthorized access", async () => {
-    const response = await api.get("/api/insights/emotionTrends").expect(401);
+  test('GET /api/insights/emotionTrends - should handle unauthorized access', async () => {
+    const response = await api.get('/api/insights/emotionTrends').expect(401)
 
     assert.strictEqual(
       response.body.message,
-      "No token provided",
-      "Should reject unauthorized access"
-    );
-  });
-});
+      'No token provided',
+      'Should reject unauthorized access'
+    )
+  })
+})
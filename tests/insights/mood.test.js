@@ -0,0 +1,192 @@
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../../app')
+const { pool } = require('../../utils/config')
+const admin = require('../../firebaseAdmin')
+const assert = require('assert')
+
+const api = supertest(app)
+
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-mood-uid-' + Date.now(),
+  email: `mood-test-${Date.now()}@example.com`,
+  name: 'Mood Tester',
+  username: `moodtester${Date.now()}`,
+  authProvider: 'email',
+}
+
+let userId
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true,
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-mood-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true,
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query(
+    'SELECT * FROM users WHERE firebase_uid = $1',
+    [testUser.firebaseUid]
+  )
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [
+        testUser.firebaseUid,
+        testUser.name,
+        testUser.username,
+        testUser.email,
+        testUser.authProvider,
+        true,
+      ]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [
+      testUser.firebaseUid,
+    ])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+const insertEntry = async (createdAt, emotions) => {
+  await pool.query(
+    `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+     VALUES ($1, $2, $3, $4::jsonb, $5)`,
+    [userId, 'Test Entry', 'Test content', JSON.stringify(emotions), createdAt]
+  )
+}
+
+describe('Daily Mood', () => {
+  test('GET /api/insights/mood - should return weighted valence and dominant emotion per day', async () => {
+    await insertEntry('2026-06-01T09:00:00Z', [
+      { emotion: 'joy', confidence: 0.6 },
+      { emotion: 'sadness', confidence: 0.2 },
+    ])
+    await insertEntry('2026-06-01T18:00:00Z', [
+      { emotion: 'sadness', confidence: 0.3 },
+    ])
+    await insertEntry('2026-06-03T12:00:00Z', [
+      { emotion: 'grief', confidence: 0.9 },
+    ])
+
+    const response = await api
+      .get('/api/insights/mood')
+      .query({ from: '2026-06-01', to: '2026-06-03' })
+      .set('Authorization', 'Bearer mock-mood-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.from, '2026-06-01')
+    assert.strictEqual(response.body.to, '2026-06-03')
+    assert.deepStrictEqual(
+      response.body.mood.map(({ date, entry_count, dominant_emotion }) => ({
+        date,
+        entry_count,
+        dominant_emotion,
+      })),
+      [
+        { date: '2026-06-01', entry_count: 2, dominant_emotion: 'joy' },
+        { date: '2026-06-02', entry_count: 0, dominant_emotion: null },
+        { date: '2026-06-03', entry_count: 1, dominant_emotion: 'grief' },
+      ]
+    )
+
+    // (0.6 * 0.9 + 0.5 * -0.8) / 1.1
+    assert.strictEqual(response.body.mood[0].average_valence, 0.127)
+    assert.strictEqual(response.body.mood[1].average_valence, null)
+    assert.strictEqual(response.body.mood[2].average_valence, -0.9)
+  })
+
+  test('GET /api/insights/mood - should ignore emotions below minConfidence', async () => {
+    await insertEntry('2026-06-01T09:00:00Z', [
+      { emotion: 'joy', confidence: 0.6 },
+      { emotion: 'sadness', confidence: 0.2 },
+    ])
+
+    const response = await api
+      .get('/api/insights/mood')
+      .query({ from: '2026-06-01', to: '2026-06-01', minConfidence: 0.5 })
+      .set('Authorization', 'Bearer mock-mood-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.mood[0].entry_count, 1)
+    assert.strictEqual(response.body.mood[0].dominant_emotion, 'joy')
+    assert.strictEqual(response.body.mood[0].average_valence, 0.9)
+  })
+
+  test('GET /api/insights/mood - should reject invalid parameters', async () => {
+    for (const query of [{ minConfidence: 'high' }, { from: '2026-13-01' }]) {
+      await api
+        .get('/api/insights/mood')
+        .query(query)
+        .set('Authorization', 'Bearer mock-mood-token')
+        .expect(400)
+    }
+  })
+
+  test('GET /api/insights/mood - should handle unauthorized access', async () => {
+    await api.get('/api/insights/mood').expect(401)
+  })
+})
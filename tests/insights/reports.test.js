@@ -0,0 +1,263 @@
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../../app')
+const { pool } = require('../../utils/config')
+const { DAILY_GENERATION_QUOTAS } = require('../../utils/services/quotas')
+const admin = require('../../firebaseAdmin')
+const assert = require('assert')
+
+const api = supertest(app)
+
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-reports-uid-' + Date.now(),
+  email: `reports-test-${Date.now()}@example.com`,
+  name: 'Reports Tester',
+  username: `reportstester${Date.now()}`,
+  authProvider: 'email',
+}
+
+let userId
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true,
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-reports-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true,
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query(
+    'SELECT * FROM users WHERE firebase_uid = $1',
+    [testUser.firebaseUid]
+  )
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [
+        testUser.firebaseUid,
+        testUser.name,
+        testUser.username,
+        testUser.email,
+        testUser.authProvider,
+        true,
+      ]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [
+      testUser.firebaseUid,
+    ])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+const insertReport = (period, periodStart, periodEnd) =>
+  pool.query(
+    `INSERT INTO reflection_reports (user_id, period, period_start, period_end, statistics, emotion_distribution, summary)
+     VALUES ($1, $2, $3, $4, $5, '{}', $6)`,
+    [
+      userId,
+      period,
+      periodStart,
+      periodEnd,
+      JSON.stringify({ entry_count: 1 }),
+      `Report for ${periodStart}`,
+    ]
+  )
+
+describe('Reflection Reports', () => {
+  test('GET /api/insights/reports - should page through reports of one period newest first', async () => {
+    await pool.query('DELETE FROM reflection_reports WHERE user_id = $1', [userId])
+    await insertReport('week', '2026-03-02', '2026-03-08')
+    await insertReport('week', '2026-03-09', '2026-03-15')
+    await insertReport('month', '2026-03-01', '2026-03-31')
+
+    const firstPage = await api
+      .get('/api/insights/reports')
+      .query({ limit: 1 })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(200)
+
+    assert.deepStrictEqual(
+      firstPage.body.reports.map((report) => report.period_start),
+      ['2026-03-09']
+    )
+    assert(firstPage.body.nextCursor, 'Should return a cursor for the next page')
+
+    const secondPage = await api
+      .get('/api/insights/reports')
+      .query({ limit: 1, cursor: firstPage.body.nextCursor })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(200)
+
+    assert.deepStrictEqual(
+      secondPage.body.reports.map((report) => report.period_start),
+      ['2026-03-02']
+    )
+    assert.strictEqual(secondPage.body.nextCursor, null)
+
+    const monthly = await api
+      .get('/api/insights/reports')
+      .query({ period: 'month' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(200)
+
+    assert.deepStrictEqual(
+      monthly.body.reports.map((report) => report.summary),
+      ['Report for 2026-03-01']
+    )
+  })
+
+  test('GET /api/insights/reports/:period/:date - should find the report of the period containing the date', async () => {
+    await pool.query('DELETE FROM reflection_reports WHERE user_id = $1', [userId])
+    await insertReport('week', '2026-03-02', '2026-03-08')
+
+    const response = await api
+      .get('/api/insights/reports/week/2026-03-05')
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.period_start, '2026-03-02')
+    assert.strictEqual(response.body.period_end, '2026-03-08')
+    assert.deepStrictEqual(response.body.statistics, { entry_count: 1 })
+
+    await api
+      .get('/api/insights/reports/month/2026-03-05')
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(404)
+  })
+
+  test('POST /api/insights/reports - should queue a report for a finished period with entries', async () => {
+    await pool.query('DELETE FROM reflection_reports WHERE user_id = $1', [userId])
+    await pool.query(
+      `INSERT INTO journal_entries (user_id, title, content, created_at)
+       VALUES ($1, 'Entry', 'Test content', '2026-02-10T12:00:00Z')`,
+      [userId]
+    )
+
+    const response = await api
+      .post('/api/insights/reports')
+      .send({ period: 'month', date: '2026-02-10' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(202)
+
+    assert.strictEqual(response.body.period_start, '2026-02-01')
+    assert.strictEqual(response.body.period_end, '2026-02-28')
+    assert(response.body.job_id, 'Should return the id of the queued job')
+
+    await pool.query('DELETE FROM jobs WHERE job_id = $1', [response.body.job_id])
+  })
+
+  test('POST /api/insights/reports - should refuse to generate once the daily quota is used', async () => {
+    await pool.query('DELETE FROM reflection_reports WHERE user_id = $1', [userId])
+    await pool.query(
+      `INSERT INTO journal_entries (user_id, title, content, created_at)
+       VALUES ($1, 'Entry', 'Test content', '2026-03-10T12:00:00Z')`,
+      [userId]
+    )
+    await pool.query(
+      `INSERT INTO generation_quota_usage (user_id, kind, usage_date, used)
+       SELECT user_id, 'report', (CURRENT_TIMESTAMP AT TIME ZONE timezone)::date, $2
+       FROM users WHERE user_id = $1
+       ON CONFLICT (user_id, kind, usage_date) DO UPDATE SET used = EXCLUDED.used`,
+      [userId, DAILY_GENERATION_QUOTAS.report]
+    )
+
+    const response = await api
+      .post('/api/insights/reports')
+      .send({ period: 'month', date: '2026-03-10' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(429)
+
+    assert(response.body.error.includes('Try again tomorrow'), 'Should explain when generation is available again')
+    assert(response.headers['ratelimit-remaining'], 'Should send the rate limit headers')
+
+    const jobs = await pool.query('SELECT 1 FROM jobs WHERE user_id = $1 AND type = $2', [userId, 'generate-reflection-report'])
+    assert.strictEqual(jobs.rows.length, 0, 'No generation job should be queued')
+  })
+
+  test('POST /api/insights/reports - should reject unfinished and empty periods', async () => {
+    await api
+      .post('/api/insights/reports')
+      .send({ period: 'week', date: '2999-01-01' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(400)
+
+    await api
+      .post('/api/insights/reports')
+      .send({ period: 'week', date: '2020-01-01' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(404)
+
+    await api
+      .post('/api/insights/reports')
+      .send({ period: 'year' })
+      .set('Authorization', 'Bearer mock-reports-token')
+      .expect(400)
+  })
+
+  test('GET /api/insights/reports - should handle unauthorized access', async () => {
+    await api.get('/api/insights/reports').expect(401)
+  })
+})
@@ -0,0 +1,184 @@
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../../app')
+const { pool } = require('../../utils/config')
+const admin = require('../../firebaseAdmin')
+const assert = require('assert')
+const { countWords } = require('../../utils/journalQuery')
+
+const api = supertest(app)
+
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-streaks-uid-' + Date.now(),
+  email: `streaks-test-${Date.now()}@example.com`,
+  name: 'Streaks Tester',
+  username: `streakstester${Date.now()}`,
+  authProvider: 'email',
+}
+
+let userId
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true,
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-streaks-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true,
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query(
+    'SELECT * FROM users WHERE firebase_uid = $1',
+    [testUser.firebaseUid]
+  )
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [
+        testUser.firebaseUid,
+        testUser.name,
+        testUser.username,
+        testUser.email,
+        testUser.authProvider,
+        true,
+      ]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
+      userId,
+    ])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [
+      testUser.firebaseUid,
+    ])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+const TIMEZONE = 'Asia/Manila'
+
+// Insert an entry at a local time `daysAgo` days before the user's today
+const insertEntryDaysAgo = async (daysAgo, time, content) => {
+  await pool.query(
+    `INSERT INTO journal_entries (user_id, title, content, word_count, created_at)
+     VALUES ($1, 'Entry', $2, $6,
+       (((CURRENT_TIMESTAMP AT TIME ZONE $3)::date - $4::integer) + $5::time) AT TIME ZONE $3)`,
+    [userId, content, TIMEZONE, daysAgo, time, countWords(content)]
+  )
+}
+
+describe('Journaling Streaks', () => {
+  test('GET /api/insights/streaks - should compute streaks and habits in the user\'s timezone', async () => {
+    await pool.query('UPDATE users SET timezone = $1 WHERE user_id = $2', [
+      TIMEZONE,
+      userId,
+    ])
+
+    // A current streak of 3 days and an older streak of 4 days
+    for (const daysAgo of [0, 0, 1, 2, 10, 11, 12, 13]) {
+      await insertEntryDaysAgo(daysAgo, '21:30', 'one two three four')
+    }
+    // Trashed entries do not count
+    await pool.query(
+      'UPDATE journal_entries SET deleted_at = CURRENT_TIMESTAMP WHERE journal_id = (SELECT MIN(journal_id) FROM journal_entries WHERE user_id = $1)',
+      [userId]
+    )
+    await insertEntryDaysAgo(0, '07:15', 'five words in this entry')
+
+    const response = await api
+      .get('/api/insights/streaks')
+      .set('Authorization', 'Bearer mock-streaks-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.timezone, TIMEZONE)
+    assert.strictEqual(response.body.totalEntries, 8)
+    assert.strictEqual(response.body.daysJournaled, 7)
+    assert.strictEqual(response.body.currentStreak.length, 3)
+    assert.strictEqual(response.body.longestStreak.length, 4)
+    assert.strictEqual(response.body.averageWordsPerEntry, 4.1)
+
+    assert.strictEqual(response.body.heatmap.length, 7)
+    const byHour = (hour) =>
+      response.body.heatmap.reduce((sum, day) => sum + day.hours[hour], 0)
+    assert.strictEqual(byHour(21), 7, 'Entries should be bucketed by local hour')
+    assert.strictEqual(byHour(7), 1)
+
+    assert.strictEqual(response.body.monthlyCounts.length, 12)
+    assert.strictEqual(
+      response.body.monthlyCounts.reduce((sum, month) => sum + month.count, 0),
+      8
+    )
+  })
+
+  test('GET /api/insights/streaks - should return empty statistics without entries', async () => {
+    const response = await api
+      .get('/api/insights/streaks')
+      .set('Authorization', 'Bearer mock-streaks-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.totalEntries, 0)
+    assert.deepStrictEqual(response.body.currentStreak, {
+      length: 0,
+      start_date: null,
+      end_date: null,
+    })
+    assert.strictEqual(response.body.averageWordsPerEntry, 0)
+  })
+})
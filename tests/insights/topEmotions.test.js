@@ -1,67 +1,68 @@
-const { test, beforeEach, after, describe } = require("node:test");
-const supertest = require("supertest");
-const app = require("../../app");
-const { pool } = require("../../utils/config");
-const admin = require("../../firebaseAdmin");
-const assert = require("assert");
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../../app')
+const { pool } = require('../../utils/config')
+const admin = require('../../firebaseAdmin')
+const { processJobs } = require('../../utils/services/jobQueue')
+const assert = require('assert')
 
-const api = supertest(app);
+const api = supertest(app)
 
 // Store original method to restore later
-const originalVerifyIdToken = admin.auth().verifyIdToken;
+const originalVerifyIdToken = admin.auth().verifyIdToken
 
 const testUser = {
-  firebaseUid: "test-insights-uid-" + Date.now(),
+  firebaseUid: 'test-insights-uid-' + Date.now(),
   email: `insights-test-${Date.now()}@example.com`,
-  name: "Insights Tester",
+  name: 'Insights Tester',
   username: `insightstester${Date.now()}`,
-  authProvider: "email",
-};
+  authProvider: 'email',
+}
 
-let userId;
+let userId
 
 beforeEach(async () => {
   // Clean up any existing test data
   if (userId) {
-    await pool.query("DELETE FROM daily_quotes WHERE user_id = $1", [userId]);
-    await pool.query("DELETE FROM daily_summaries WHERE user_id = $1", [
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM journal_entries WHERE user_id = $1", [
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
       userId,
-    ]);
+    ])
   }
 
   // Create test user in Firebase if not exists
   try {
-    await admin.auth().getUser(testUser.firebaseUid);
+    await admin.auth().getUser(testUser.firebaseUid)
   } catch (error) {
-    if (error.code === "auth/user-not-found") {
+    if (error.code === 'auth/user-not-found') {
       await admin.auth().createUser({
         uid: testUser.firebaseUid,
         email: testUser.email,
         emailVerified: true,
-      });
+      })
     }
   }
 
   // Mock token verification
   admin.auth().verifyIdToken = async (token) => {
-    if (token === "mock-insights-token") {
+    if (token === 'mock-insights-token') {
       return {
         uid: testUser.firebaseUid,
         email: testUser.email,
         email_verified: true,
-      };
+      }
     }
-    return originalVerifyIdToken.call(admin.auth(), token);
-  };
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
 
   // Create or get user in database
   const existingUser = await pool.query(
-    "SELECT * FROM users WHERE firebase_uid = $1",
+    'SELECT * FROM users WHERE firebase_uid = $1',
     [testUser.firebaseUid]
-  );
+  )
 
   if (existingUser.rows.length === 0) {
     const result = await pool.query(
@@ -76,147 +77,250 @@ beforeEach(async () => {
         testUser.authProvider,
         true,
       ]
-    );
-    userId = result.rows[0].user_id;
+    )
+    userId = result.rows[0].user_id
   } else {
-    userId = existingUser.rows[0].user_id;
+    userId = existingUser.rows[0].user_id
   }
-});
+})
 
 after(async () => {
   // Cleanup
-  admin.auth().verifyIdToken = originalVerifyIdToken;
+  admin.auth().verifyIdToken = originalVerifyIdToken
 
   // Clean up database
   if (userId) {
-    await pool.query("DELETE FROM daily_quotes WHERE user_id = $1", [userId]);
-    await pool.query("DELETE FROM daily_summaries WHERE user_id = $1", [
+    await pool.query('DELETE FROM daily_quotes WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM daily_summaries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM journal_entries WHERE user_id = $1", [
+    ])
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [
       userId,
-    ]);
-    await pool.query("DELETE FROM users WHERE firebase_uid = $1", [
+    ])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [
       testUser.firebaseUid,
-    ]);
+    ])
   }
 
   // Clean up Firebase
   try {
-    await admin.auth().deleteUser(testUser.firebaseUid);
+    await admin.auth().deleteUser(testUser.firebaseUid)
   } catch (error) {
-    if (error.code !== "auth/user-not-found") {
-      console.error("Error deleting Firebase user:", error);
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
     }
   }
-});
+})
 
-describe("Top Emotions Analysis", () => {
-  test("GET /api/insights/topEmotions - should return top 5 emotions from last 30 days", async () => {
+describe('Top Emotions Analysis', () => {
+  test('GET /api/insights/topEmotions - should return top 5 emotions from last 30 days', async () => {
     // Create test journal entries with emotions
     const testJournals = [
       {
-        title: "Grateful Day",
-        content: "Today I feel incredibly grateful.",
+        title: 'Grateful Day',
+        content: 'Today I feel incredibly grateful.',
       },
       {
-        title: "Joyful Moments",
-        content: "Another happy day!",
+        title: 'Joyful Moments',
+        content: 'Another happy day!',
       },
       {
-        title: "Love and Joy",
-        content: "Feeling blessed.",
+        title: 'Love and Joy',
+        content: 'Feeling blessed.',
       },
-    ];
+    ]
 
     // Create the journal entries with proper JSONB handling
     for (const journal of testJournals) {
       const response = await api
-        .post("/api/journals")
-        .set("Authorization", "Bearer mock-insights-token")
+        .post('/api/journals')
+        .set('Authorization', 'Bearer mock-insights-token')
         .send({
           title: journal.title,
           content: journal.content,
           emotions: JSON.stringify(journal.emotions),
         })
-        .expect(201);
+        .expect(201)
 
-      // Verify emotions were stored correctly
-      assert(
-        response.body.emotions,
-        "Journal entry should have emotions field"
-      );
+      assert.strictEqual(
+        response.body.emotions_status,
+        'pending',
+        'Emotions should be analysed in the background'
+      )
+    }
+
+    // Run the queued emotion analysis jobs
+    await processJobs()
+
+    // Verify emotions were stored correctly
+    const stored = await pool.query(
+      'SELECT emotions FROM journal_entries WHERE user_id = $1',
+      [userId]
+    )
+    for (const entry of stored.rows) {
+      assert(entry.emotions, 'Journal entry should have emotions field')
     }
 
     // Test the topEmotions endpoint
     const response = await api
-      .get("/api/insights/topEmotions")
-      .set("Authorization", "Bearer mock-insights-token")
-      .expect(200);
+      .get('/api/insights/topEmotions')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
 
     // Verify response structure
-    assert(response.body.topEmotions, "Response should have topEmotions field");
+    assert(response.body.topEmotions, 'Response should have topEmotions field')
     assert(
       Array.isArray(response.body.topEmotions),
-      "topEmotions should be an array"
-    );
+      'topEmotions should be an array'
+    )
     assert(
       response.body.topEmotions.length <= 5,
-      "Should return maximum 5 emotions"
-    );
+      'Should return maximum 5 emotions'
+    )
 
     // Verify each emotion entry structure
     response.body.topEmotions.forEach((item) => {
-      assert(item.emotion, "Each item should have emotion field");
+      assert(item.emotion, 'Each item should have emotion field')
       assert(
-        typeof Number(item.count) === "number" && !isNaN(Number(item.count)),
-        "Each item should have count as number or number string"
-      );
-    });
-
-    // Convert all counts to numbers for comparison
-    const emotionsWithCounts = response.body.topEmotions.map((item) => ({
-      emotion: item.emotion,
-      count: Number(item.count),
-    }));
+        typeof Number(item.count) === 'number' && !isNaN(Number(item.count)),
+        'Each item should have count as number or number string'
+      )
+    })
 
     response.body.topEmotions.forEach((item) => {
-      assert(item.emotion, "Each item should have emotion field");
+      assert(item.emotion, 'Each item should have emotion field')
       assert(
-        typeof Number(item.count) === "number",
+        typeof Number(item.count) === 'number',
         `Count should be a number, got ${typeof item.count}`
-      );
-      assert(!isNaN(item.count), "Count should not be NaN");
-    });
+      )
+      assert(!isNaN(item.count), 'Count should not be NaN')
+    })
 
-    // Verify ordering (should be descending by count)
-    const counts = emotionsWithCounts.map((e) => e.count);
+    // Verify ordering (should be descending by confidence-weighted score)
+    const scores = response.body.topEmotions.map((e) => e.score)
     assert(
-      counts.every((val, i) => i === 0 || val <= counts[i - 1]),
-      "Should be ordered by descending count"
-    );
-  });
+      scores.every((val, i) => i === 0 || val <= scores[i - 1]),
+      'Should be ordered by descending score'
+    )
+  })
 
-  test("GET /api/insights/topEmotions - should handle no entries case", async () => {
+  test('GET /api/insights/topEmotions - should handle no entries case', async () => {
     const response = await api
-      .get("/api/insights/topEmotions")
-      .set("Authorization", "Bearer mock-insights-token")
-      .expect(200);
+      .get('/api/insights/topEmotions')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
 
     assert.strictEqual(
       response.body.message,
-      "No journal entries found in the last 30 days",
-      "Should return appropriate message when no entries exist"
-    );
-  });
+      'No journal entries found in the last 30 days',
+      'Should return appropriate message when no entries exist'
+    )
+  })
+
+  test('GET /api/insights/topEmotions - should limit to a date range and top N', async () => {
+    const entries = [
+      ['2026-01-05T12:00:00Z', ['joy', 'sadness', 'fear']],
+      ['2026-01-20T12:00:00Z', ['joy', 'sadness']],
+      ['2026-02-10T12:00:00Z', ['anger', 'anger']],
+    ]
+    for (const [createdAt, emotions] of entries) {
+      await pool.query(
+        `INSERT INTO journal_entries (user_id, title, content, emotions, created_at)
+         VALUES ($1, $2, $3, $4::jsonb, $5)`,
+        [
+          userId,
+          'Test Entry',
+          'Test content',
+          JSON.stringify(emotions.map((emotion) => ({ emotion, confidence: 0.8 }))),
+          createdAt,
+        ]
+      )
+    }
+
+    const response = await api
+      .get('/api/insights/topEmotions')
+      .query({ from: '2026-01-01', to: '2026-01-31', limit: 2 })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.from, '2026-01-01')
+    assert.strictEqual(response.body.to, '2026-01-31')
+    assert.deepStrictEqual(
+      response.body.topEmotions.map((item) => [item.emotion, Number(item.count)]),
+      [
+        ['joy', 2],
+        ['sadness', 2],
+      ]
+    )
+
+    const empty = await api
+      .get('/api/insights/topEmotions')
+      .query({ from: '2025-01-01', to: '2025-12-31' })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.strictEqual(
+      empty.body.message,
+      'No journal entries found between 2025-01-01 and 2025-12-31'
+    )
+  })
+
+  test('GET /api/insights/topEmotions - should weigh emotions by confidence', async () => {
+    const entries = [
+      [{ emotion: 'grief', confidence: 0.2 }, { emotion: 'joy', confidence: 0.9 }],
+      [{ emotion: 'grief', confidence: 0.1 }],
+    ]
+    for (const emotions of entries) {
+      await pool.query(
+        `INSERT INTO journal_entries (user_id, title, content, emotions)
+         VALUES ($1, $2, $3, $4::jsonb)`,
+        [userId, 'Test Entry', 'Test content', JSON.stringify(emotions)]
+      )
+    }
+
+    const response = await api
+      .get('/api/insights/topEmotions')
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(
+      response.body.topEmotions.map((item) => [item.emotion, Number(item.count), item.score]),
+      [
+        ['joy', 1, 0.9],
+        ['grief', 2, 0.3],
+      ]
+    )
+
+    const confident = await api
+      .get('/api/insights/topEmotions')
+      .query({ minConfidence: 0.5 })
+      .set('Authorization', 'Bearer mock-insights-token')
+      .expect(200)
+
+    assert.deepStrictEqual(
+      confident.body.topEmotions.map((item) => item.emotion),
+      ['joy']
+    )
+  })
+
+  test('GET /api/insights/topEmotions - should reject an invalid limit', async () => {
+    for (const limit of ['0', 'abc', '51']) {
+      const response = await api
+        .get('/api/insights/topEmotions')
+        .query({ limit })
+        .set('Authorization', 'Bearer mock-insights-token')
+        .expect(400)
+      assert(response.body.error.includes('limit'))
+    }
+  })
 
-  test("GET /api/insights/topEmotions - should handle unauthorized access", async () => {
-    const response = await api.get("/api/insights/topEmotions").expect(401);
+  test('GET /api/insights/topEmotions - should handle unauthorized access', async () => {
+    const response = await api.get('/api/insights/topEmotions').expect(401)
 
     assert.strictEqual(
       response.body.message,
-      "No token provided",
-      "Should reject unauthorized access"
-    );
-  });
-});
+      'No token provided',
+      'Should reject unauthorized access'
+    )
+  })
+})
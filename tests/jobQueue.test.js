@@ -0,0 +1,114 @@
+const { test, after, describe } = require('node:test')
+const assert = require('assert')
+const { pool } = require('../utils/config')
+const { registerJobHandler, enqueueJob, processJobs, requeueStaleJobs } = require('../utils/services/jobQueue')
+
+// Job types unique to this file so other test files never claim them
+const suffix = Date.now()
+const succeedingType = `test-succeeding-${suffix}`
+const failingType = `test-failing-${suffix}`
+const circuitOpenType = `test-circuit-open-${suffix}`
+// Never registered, so jobs of this type are only touched by the test itself
+const staleType = `test-stale-${suffix}`
+
+const handled = []
+
+registerJobHandler(succeedingType, async (payload) => {
+  handled.push(payload)
+})
+
+registerJobHandler(failingType, async () => {
+  throw new Error('handler failed')
+})
+
+registerJobHandler(circuitOpenType, async () => {
+  const error = new Error('Circuit nlp-service is open')
+  error.code = 'CIRCUIT_OPEN'
+  error.retryAfterMs = 120000
+  throw error
+})
+
+const getJobRow = async (jobId) => {
+  const result = await pool.query('SELECT * FROM jobs WHERE job_id = $1', [jobId])
+  return result.rows[0]
+}
+
+after(async () => {
+  await pool.query('DELETE FROM jobs WHERE type = ANY($1)', [[succeedingType, failingType, circuitOpenType, staleType]])
+})
+
+describe('Job Queue', () => {
+  test('should run queued jobs and mark them completed', async () => {
+    const job = await enqueueJob(succeedingType, { value: 42 })
+    assert.strictEqual(job.status, 'queued')
+
+    await processJobs()
+
+    const stored = await getJobRow(job.job_id)
+    assert.strictEqual(stored.status, 'completed')
+    assert.strictEqual(stored.attempts, 1)
+    assert.deepStrictEqual(handled, [{ value: 42 }])
+  })
+
+  test('should not enqueue a duplicate while a job with the same dedupe key is queued', async () => {
+    const first = await enqueueJob(succeedingType, {}, { dedupeKey: `dedupe-${suffix}`, runAt: new Date(Date.now() + 60000) })
+    const second = await enqueueJob(succeedingType, {}, { dedupeKey: `dedupe-${suffix}` })
+
+    assert.strictEqual(second.job_id, first.job_id, 'Should return the already queued job')
+  })
+
+  test('should retry failed jobs with backoff and dead-letter them after max attempts', async () => {
+    const job = await enqueueJob(failingType, {}, { maxAttempts: 2 })
+
+    await processJobs()
+
+    let stored = await getJobRow(job.job_id)
+    assert.strictEqual(stored.status, 'queued', 'Failed job should be queued for a retry')
+    assert.strictEqual(stored.last_error, 'handler failed')
+    assert(new Date(stored.run_at) > new Date(), 'Retry should be scheduled in the future')
+
+    // Make the retry due now instead of waiting for the backoff
+    await pool.query('UPDATE jobs SET run_at = CURRENT_TIMESTAMP WHERE job_id = $1', [job.job_id])
+    await processJobs()
+
+    stored = await getJobRow(job.job_id)
+    assert.strictEqual(stored.status, 'dead', 'Job should be dead-lettered after its last attempt')
+    assert.strictEqual(stored.attempts, 2)
+  })
+
+  test('should postpone jobs rejected by an open circuit without using up attempts', async () => {
+    const job = await enqueueJob(circuitOpenType, {}, { maxAttempts: 1 })
+
+    await processJobs()
+
+    const stored = await getJobRow(job.job_id)
+    assert.strictEqual(stored.status, 'queued', 'Job should wait for the circuit instead of being dead-lettered')
+    assert.strictEqual(stored.attempts, 0, 'The rejected attempt should be given back')
+    assert(new Date(stored.run_at) > new Date(Date.now() + 60000), 'Job should wait until the circuit may close')
+  })
+
+  test('should retry, supersede or dead-letter jobs left running by a crashed worker', async () => {
+    // Jobs as a crashed worker leaves them: claimed and locked long ago
+    const staleJob = async (options) => {
+      const job = await enqueueJob(staleType, {}, options)
+      await pool.query(
+        `UPDATE jobs SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP - INTERVAL '1 hour'
+         WHERE job_id = $1`,
+        [job.job_id]
+      )
+      return job
+    }
+
+    const retried = await staleJob({ maxAttempts: 2 })
+    const exhausted = await staleJob({ maxAttempts: 1 })
+    const superseded = await staleJob({ dedupeKey: `stale-${suffix}` })
+    const duplicate = await enqueueJob(staleType, {}, { dedupeKey: `stale-${suffix}`, runAt: new Date(Date.now() + 60000) })
+
+    await requeueStaleJobs()
+
+    assert.strictEqual((await getJobRow(retried.job_id)).status, 'queued')
+    assert.strictEqual((await getJobRow(exhausted.job_id)).status, 'dead', 'Jobs out of attempts should be dead-lettered')
+    assert.strictEqual((await getJobRow(superseded.job_id)).status, 'completed', 'The queued duplicate should replace the stale job')
+    assert.strictEqual((await getJobRow(duplicate.job_id)).status, 'queued')
+  })
+})
@@ -0,0 +1,115 @@
+const { test, describe, afterEach } = require('node:test')
+const assert = require('assert')
+const { createMemoryStore, setRateLimitStore } = require('../utils/services/rateLimitStore')
+const { RATE_LIMIT_POLICIES, rateLimit } = require('../utils/rateLimit')
+
+// Just enough of Express's request and response for the middleware
+const fakeRequest = (uid, ip = '203.0.113.7') => ({ user: { uid }, ip })
+
+const fakeResponse = () => ({
+  headers: {},
+  statusCode: 200,
+  body: null,
+  set(field, value) {
+    const fields = typeof field === 'string' ? { [field]: value } : field
+    for (const [name, fieldValue] of Object.entries(fields)) {
+      this.headers[name] = String(fieldValue)
+    }
+    return this
+  },
+  status(code) {
+    this.statusCode = code
+    return this
+  },
+  json(body) {
+    this.body = body
+    return this
+  }
+})
+
+// Run the middleware and report whether it let the request through
+const run = async (middleware, request) => {
+  const response = fakeResponse()
+  let passed = false
+  await middleware(request, response, () => { passed = true })
+  return { response, passed }
+}
+
+describe('Rate limit store', () => {
+  test('should count hits per key and start over in the next window', async () => {
+    let now = 60000
+    const store = createMemoryStore({ now: () => now })
+
+    assert.deepStrictEqual(await store.hit('a', 60000), { hits: 1, resetAt: 120000 })
+    assert.deepStrictEqual(await store.hit('a', 60000), { hits: 2, resetAt: 120000 })
+    assert.deepStrictEqual(await store.hit('b', 60000), { hits: 1, resetAt: 120000 })
+
+    now = 120000
+    assert.deepStrictEqual(await store.hit('a', 60000), { hits: 1, resetAt: 180000 })
+  })
+})
+
+describe('Rate limit middleware', () => {
+  afterEach(() => {
+    setRateLimitStore(null)
+  })
+
+  test('should send RateLimit headers and answer 429 once the user limit is used up', async () => {
+    setRateLimitStore(createMemoryStore())
+    const middleware = rateLimit('insights-generation')
+    const { user: limit } = RATE_LIMIT_POLICIES['insights-generation']
+
+    const first = await run(middleware, fakeRequest('looping-user'))
+    assert.strictEqual(first.passed, true)
+    assert.strictEqual(first.response.headers['RateLimit-Limit'], String(limit))
+    assert.strictEqual(first.response.headers['RateLimit-Remaining'], String(limit - 1))
+    assert.strictEqual(first.response.headers['RateLimit-Policy'], `${limit};w=60`)
+    assert(Number(first.response.headers['RateLimit-Reset']) >= 1)
+
+    for (let i = 1; i < limit; i++) {
+      await run(middleware, fakeRequest('looping-user'))
+    }
+
+    const limited = await run(middleware, fakeRequest('looping-user'))
+    assert.strictEqual(limited.passed, false)
+    assert.strictEqual(limited.response.statusCode, 429)
+    assert.strictEqual(limited.response.headers['RateLimit-Remaining'], '0')
+    assert(limited.response.headers['Retry-After'], 'Should tell the client when to retry')
+
+    const otherUser = await run(middleware, fakeRequest('other-user'))
+    assert.strictEqual(otherUser.passed, true, 'Other users should keep their own limit')
+  })
+
+  test('should limit one IP address across accounts', async () => {
+    setRateLimitStore(createMemoryStore())
+    const middleware = rateLimit('insights-generation')
+    const { ip: limit } = RATE_LIMIT_POLICIES['insights-generation']
+
+    for (let i = 0; i < limit; i++) {
+      const { passed } = await run(middleware, fakeRequest(`account-${i}`))
+      assert.strictEqual(passed, true)
+    }
+
+    const limited = await run(middleware, fakeRequest('one-more-account'))
+    assert.strictEqual(limited.response.statusCode, 429)
+
+    const otherAddress = await run(middleware, fakeRequest('one-more-account', '198.51.100.1'))
+    assert.strictEqual(otherAddress.passed, true)
+  })
+
+  test('should let requests through when the store fails', async () => {
+    setRateLimitStore({
+      async hit() {
+        throw new Error('database down')
+      }
+    })
+
+    const { passed, response } = await run(rateLimit('journal-write'), fakeRequest('any-user'))
+    assert.strictEqual(passed, true)
+    assert.strictEqual(response.headers['RateLimit-Limit'], undefined)
+  })
+
+  test('should reject unknown policies', () => {
+    assert.throws(() => rateLimit('no-such-policy'), /Unknown rate limit policy/)
+  })
+})
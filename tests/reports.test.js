@@ -0,0 +1,89 @@
+const { test, describe } = require('node:test')
+const assert = require('assert')
+const {
+  reportPeriodBounds,
+  lastCompletedPeriod,
+  emotionDistribution,
+  periodHighlights,
+  periodStatistics
+} = require('../utils/services/reports')
+
+const taxonomy = {
+  categories: [
+    { category: 'positive', is_fallback: false },
+    { category: 'negative', is_fallback: false },
+    { category: 'ambiguous', is_fallback: true }
+  ],
+  emotions: [
+    { emotion: 'joy', category: 'positive', valence: 0.9 },
+    { emotion: 'sadness', category: 'negative', valence: -0.8 }
+  ]
+}
+
+const entry = (journalId, createdAt, content, emotions, favourite = false) => ({
+  journal_id: journalId,
+  title: `Entry ${journalId}`,
+  content,
+  word_count: content.split(' ').length,
+  emotions,
+  favourite,
+  created_at: new Date(createdAt)
+})
+
+describe('Reflection report periods', () => {
+  test('reportPeriodBounds - should cover Monday to Sunday and whole months', () => {
+    assert.deepStrictEqual(reportPeriodBounds('week', '2026-03-04'), { start: '2026-03-02', end: '2026-03-08' })
+    assert.deepStrictEqual(reportPeriodBounds('month', '2024-02-10'), { start: '2024-02-01', end: '2024-02-29' })
+  })
+
+  test('lastCompletedPeriod - should return the period before the one containing today', () => {
+    assert.deepStrictEqual(lastCompletedPeriod('week', '2026-03-02'), { start: '2026-02-23', end: '2026-03-01' })
+    assert.deepStrictEqual(lastCompletedPeriod('month', '2026-01-15'), { start: '2025-12-01', end: '2025-12-31' })
+  })
+})
+
+describe('Reflection report contents', () => {
+  const entries = [
+    entry(1, '2026-03-02T10:00:00Z', 'A good day at the park', [{ emotion: 'joy', confidence: 0.9 }], true),
+    entry(2, '2026-03-02T20:00:00Z', 'Tired', [{ emotion: 'sadness', confidence: 0.6 }, { emotion: 'curiosity', confidence: 0.3 }]),
+    entry(3, '2026-03-05T09:00:00Z', 'Short', null)
+  ]
+  const previousEntries = [
+    entry(4, '2026-02-25T10:00:00Z', 'Earlier', [{ emotion: 'sadness', confidence: 1 }])
+  ]
+
+  test('periodStatistics - should count entries, days and words', () => {
+    assert.deepStrictEqual(periodStatistics(entries, previousEntries, 'UTC'), {
+      entry_count: 3,
+      previous_entry_count: 1,
+      days_journaled: 2,
+      total_words: 8,
+      average_words: 2.7,
+      favourite_count: 1
+    })
+  })
+
+  test('emotionDistribution - should compare weighted shares with the previous period', () => {
+    const distribution = emotionDistribution(entries, previousEntries, taxonomy)
+
+    assert.deepStrictEqual(distribution.categories, [
+      { category: 'positive', share: 50, previous_share: 0, shift: 50 },
+      { category: 'negative', share: 33.3, previous_share: 100, shift: -66.7 },
+      { category: 'ambiguous', share: 16.7, previous_share: 0, shift: 16.7 }
+    ])
+    assert.deepStrictEqual(distribution.emotions.map(({ emotion }) => emotion), ['joy', 'sadness', 'curiosity'])
+  })
+
+  test('periodHighlights - should pick favourites, extremes and the longest entry', () => {
+    assert.deepStrictEqual(
+      periodHighlights(entries, taxonomy, 'UTC').map(({ type, journal_id }) => [type, journal_id]),
+      [['favourite', 1], ['most_positive', 1], ['most_negative', 2], ['longest', 1]]
+    )
+  })
+
+  test('periodHighlights - should not store entry titles', () => {
+    for (const highlight of periodHighlights(entries, taxonomy, 'UTC')) {
+      assert.strictEqual(highlight.title, undefined)
+    }
+  })
+})
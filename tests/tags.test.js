@@ -0,0 +1,220 @@
+const { test, beforeEach, after } = require('node:test')
+const supertest = require('supertest')
+const app = require('../app')
+const { pool } = require('../utils/config')
+const admin = require('../firebaseAdmin')
+const assert = require('assert')
+
+const api = supertest(app)
+
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-tags-uid-' + Date.now(),
+  email: `tags-test-${Date.now()}@example.com`,
+  name: 'Tags Tester',
+  username: `tagstester${Date.now()}`,
+  authProvider: 'email'
+}
+
+let userId // Will store the database user ID
+
+beforeEach(async () => {
+  // Clean up any existing test data
+  if (userId) {
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM tags WHERE user_id = $1', [userId])
+  }
+
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-tags-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  // Create or get user in database
+  const existingUser = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+
+  if (existingUser.rows.length === 0) {
+    const result = await pool.query(
+      `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+      [testUser.firebaseUid, testUser.name, testUser.username, testUser.email, testUser.authProvider, true]
+    )
+    userId = result.rows[0].user_id
+  } else {
+    userId = existingUser.rows[0].user_id
+  }
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  if (userId) {
+    await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+    await pool.query('DELETE FROM users WHERE firebase_uid = $1', [testUser.firebaseUid])
+  }
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+const listTags = async () => {
+  const response = await api
+    .get('/api/tags')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .expect(200)
+  return response.body.tags
+}
+
+test('POST /api/journals - should assign tags and list entries by tag', async () => {
+  const created = await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Standup', content: 'Long meeting at the office.', tags: ['#Work', 'meetings', 'work'] })
+    .expect(201)
+
+  assert.deepStrictEqual(created.body.tags, ['meetings', 'work'], 'Tags should be normalized and deduplicated')
+
+  await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Dinner', content: 'Cooked with the family.', tags: ['family'] })
+    .expect(201)
+
+  const byTag = await api
+    .get('/api/journals?tag=work')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .expect(200)
+
+  assert.deepStrictEqual(byTag.body.entries.map(journal => journal.title), ['Standup'])
+  assert.deepStrictEqual(byTag.body.entries[0].tags, ['meetings', 'work'])
+
+  // Updating without tags keeps them, sending tags replaces them
+  const untouched = await api
+    .put(`/api/journals/${created.body.journal_id}`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Standup', content: 'Long meeting at the office.' })
+    .expect(200)
+
+  assert.deepStrictEqual(untouched.body.tags, ['meetings', 'work'])
+
+  const retagged = await api
+    .put(`/api/journals/${created.body.journal_id}`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Standup', content: 'Long meeting at the office.', tags: ['work'] })
+    .expect(200)
+
+  assert.deepStrictEqual(retagged.body.tags, ['work'])
+
+  await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Bad tags', content: 'Tags must be names', tags: ['has space'] })
+    .expect(400)
+})
+
+test('Tag management - should create, rename, merge and delete tags', async () => {
+  const journal = await api
+    .post('/api/journals')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ title: 'Run', content: 'Morning run by the river.', tags: ['running', 'jogging'] })
+    .expect(201)
+
+  const created = await api
+    .post('/api/tags')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ name: 'Fitness' })
+    .expect(201)
+
+  assert.strictEqual(created.body.name, 'fitness')
+
+  await api
+    .post('/api/tags')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ name: 'fitness' })
+    .expect(409)
+
+  const tags = await listTags()
+  const jogging = tags.find(tag => tag.name === 'jogging')
+  const running = tags.find(tag => tag.name === 'running')
+
+  // Renaming onto an existing name must be done as a merge
+  await api
+    .patch(`/api/tags/${jogging.tag_id}`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ name: 'running' })
+    .expect(409)
+
+  const merged = await api
+    .post(`/api/tags/${jogging.tag_id}/merge`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ targetTagId: running.tag_id })
+    .expect(200)
+
+  assert.strictEqual(merged.body.entry_count, 1, 'Entry tagged with both should be counted once')
+
+  const renamed = await api
+    .patch(`/api/tags/${running.tag_id}`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ name: 'cardio' })
+    .expect(200)
+
+  assert.strictEqual(renamed.body.name, 'cardio')
+
+  await api
+    .delete(`/api/tags/${created.body.tag_id}`)
+    .set('Authorization', 'Bearer mock-tags-token')
+    .expect(200)
+
+  assert.deepStrictEqual((await listTags()).map(tag => tag.name), ['cardio'])
+
+  const entry = await pool.query('SELECT 1 FROM journal_entries WHERE journal_id = $1', [journal.body.journal_id])
+  assert.strictEqual(entry.rows.length, 1, 'Entries should be kept when their tags change')
+
+  await api
+    .patch('/api/tags/abc')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ name: 'cardio' })
+    .expect(400)
+
+  await api
+    .post('/api/tags/abc/merge')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .send({ targetTagId: running.tag_id })
+    .expect(400)
+
+  await api
+    .delete('/api/tags/abc')
+    .set('Authorization', 'Bearer mock-tags-token')
+    .expect(400)
+})
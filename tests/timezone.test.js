@@ -0,0 +1,26 @@
+const { test, describe } = require('node:test')
+const assert = require('assert')
+const { isValidTimeZone, localDate, shiftDate } = require('../utils/timezone')
+
+describe('Timezone helpers', () => {
+  test('localDate - should return the calendar date in the user timezone', () => {
+    // 2024-03-10 18:30 UTC is already 2024-03-11 in Manila (UTC+8)
+    const instant = new Date('2024-03-10T18:30:00Z')
+
+    assert.strictEqual(localDate('UTC', instant), '2024-03-10')
+    assert.strictEqual(localDate('Asia/Manila', instant), '2024-03-11')
+    assert.strictEqual(localDate('America/Los_Angeles', instant), '2024-03-10')
+  })
+
+  test('isValidTimeZone - should accept IANA names only', () => {
+    assert.strictEqual(isValidTimeZone('Asia/Manila'), true)
+    assert.strictEqual(isValidTimeZone('Mars/Olympus_Mons'), false)
+    assert.strictEqual(isValidTimeZone(''), false)
+    assert.strictEqual(isValidTimeZone(8), false)
+  })
+
+  test('shiftDate - should move across month boundaries', () => {
+    assert.strictEqual(shiftDate('2024-03-01', -1), '2024-02-29')
+    assert.strictEqual(shiftDate('2024-12-31', 1), '2025-01-01')
+  })
+})
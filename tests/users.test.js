@@ -0,0 +1,220 @@
+const { test, beforeEach, after, describe } = require('node:test')
+const supertest = require('supertest')
+const app = require('../app')
+const { pool } = require('../utils/config')
+const admin = require('../firebaseAdmin')
+const assert = require('assert')
+
+const api = supertest(app)
+
+// Store original method to restore later
+const originalVerifyIdToken = admin.auth().verifyIdToken
+
+const testUser = {
+  firebaseUid: 'test-users-uid-' + Date.now(),
+  email: `users-test-${Date.now()}@example.com`,
+  name: 'Profile Tester',
+  username: `profiletester${Date.now()}`,
+  authProvider: 'email'
+}
+
+const otherUser = {
+  firebaseUid: 'test-users-other-uid-' + Date.now(),
+  email: `users-other-test-${Date.now()}@example.com`,
+  name: 'Other Tester',
+  username: `othertester${Date.now()}`,
+  authProvider: 'email'
+}
+
+let userId // Will store the database user ID
+
+const insertUser = async (user) => {
+  const existingUser = await pool.query('SELECT * FROM users WHERE firebase_uid = $1', [user.firebaseUid])
+
+  if (existingUser.rows.length > 0) {
+    return existingUser.rows[0].user_id
+  }
+
+  const result = await pool.query(
+    `INSERT INTO users (firebase_uid, name, username, email, auth_provider, email_verified)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+    [user.firebaseUid, user.name, user.username, user.email, user.authProvider, true]
+  )
+  return result.rows[0].user_id
+}
+
+beforeEach(async () => {
+  // Create test user in Firebase if not exists
+  try {
+    await admin.auth().getUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      await admin.auth().createUser({
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        emailVerified: true
+      })
+    }
+  }
+
+  // Mock token verification
+  admin.auth().verifyIdToken = async (token) => {
+    if (token === 'mock-users-token') {
+      return {
+        uid: testUser.firebaseUid,
+        email: testUser.email,
+        email_verified: true
+      }
+    }
+    return originalVerifyIdToken.call(admin.auth(), token)
+  }
+
+  userId = await insertUser(testUser)
+  await insertUser(otherUser)
+})
+
+after(async () => {
+  // Cleanup
+  admin.auth().verifyIdToken = originalVerifyIdToken
+
+  // Clean up database
+  await pool.query('DELETE FROM journal_entries WHERE user_id = $1', [userId])
+  await pool.query('DELETE FROM users WHERE firebase_uid = ANY($1)', [[testUser.firebaseUid, otherUser.firebaseUid]])
+
+  // Clean up Firebase
+  try {
+    await admin.auth().deleteUser(testUser.firebaseUid)
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      console.error('Error deleting Firebase user:', error)
+    }
+  }
+})
+
+describe('Profile Management', () => {
+  test('GET /api/users/me - should return the authenticated user without firebase_uid', async () => {
+    const response = await api
+      .get('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .expect(200)
+
+    assert.strictEqual(response.body.user.user_id, userId)
+    assert.strictEqual(response.body.user.username, testUser.username)
+    assert.strictEqual(response.body.user.firebase_uid, undefined, 'Firebase UID should not be exposed')
+  })
+
+  test('PATCH /api/users/me - should update profile fields and merge preferences', async () => {
+    await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({ preferences: { theme: 'dark' } })
+      .expect(200)
+
+    const response = await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({
+        name: 'Renamed Tester',
+        profilePictureUrl: 'https://example.com/avatar.png',
+        preferences: { weekStartsOn: 'monday' }
+      })
+      .expect(200)
+
+    const { user } = response.body
+    assert.strictEqual(user.name, 'Renamed Tester')
+    assert.strictEqual(user.profile_picture_url, 'https://example.com/avatar.png')
+    assert.deepStrictEqual(user.preferences, { theme: 'dark', weekStartsOn: 'monday' })
+  })
+
+  test('PATCH /api/users/me - should validate and store the IANA timezone', async () => {
+    const response = await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({ timezone: 'Asia/Manila' })
+      .expect(200)
+
+    assert.strictEqual(response.body.user.timezone, 'Asia/Manila')
+
+    await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({ timezone: 'Mars/Olympus_Mons' })
+      .expect(400)
+  })
+
+  test('PATCH /api/users/me - should reject a username that is already taken', async () => {
+    await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({ username: otherUser.username })
+      .expect(409)
+  })
+
+  test('PATCH /api/users/me - should reject invalid fields', async () => {
+    await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({ profilePictureUrl: 'not a url' })
+      .expect(400)
+
+    await api
+      .patch('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .send({})
+      .expect(400)
+  })
+
+  test('GET /api/users/me/export - should stream a zip archive in each format', async () => {
+    await pool.query(
+      'INSERT INTO journal_entries (user_id, title, content) VALUES ($1, $2, $3)',
+      [userId, 'Exported entry', 'Content that should be exported']
+    )
+
+    for (const format of ['json', 'markdown', 'csv']) {
+      const response = await api
+        .get(`/api/users/me/export?format=${format}`)
+        .set('Authorization', 'Bearer mock-users-token')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = []
+          res.on('data', chunk => chunks.push(chunk))
+          res.on('end', () => callback(null, Buffer.concat(chunks)))
+        })
+        .expect(200)
+        .expect('Content-Type', /application\/zip/)
+
+      assert.match(response.headers['content-disposition'], new RegExp(`attachment; filename="nilai-export-.*-${format}.zip"`))
+      assert.strictEqual(response.body.subarray(0, 2).toString(), 'PK', 'Response should be a zip archive')
+    }
+
+    await api
+      .get('/api/users/me/export?format=pdf')
+      .set('Authorization', 'Bearer mock-users-token')
+      .expect(400)
+  })
+
+  test('DELETE /api/users/me - should remove the user, their data and the Firebase account', async () => {
+    await pool.query(
+      'INSERT INTO journal_entries (user_id, title, content) VALUES ($1, $2, $3)',
+      [userId, 'To be deleted', 'This entry goes away with the account']
+    )
+
+    await api
+      .delete('/api/users/me')
+      .set('Authorization', 'Bearer mock-users-token')
+      .expect(200)
+
+    const dbUser = await pool.query('SELECT * FROM users WHERE user_id = $1', [userId])
+    assert.strictEqual(dbUser.rows.length, 0, 'User should be removed from database')
+
+    const dbEntries = await pool.query('SELECT * FROM journal_entries WHERE user_id = $1', [userId])
+    assert.strictEqual(dbEntries.rows.length, 0, 'Journal entries should be removed')
+
+    await assert.rejects(
+      admin.auth().getUser(testUser.firebaseUid),
+      (error) => error.code === 'auth/user-not-found',
+      'Firebase account should be deleted'
+    )
+  })
+})
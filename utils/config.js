@@ -5,6 +5,58 @@ require('dotenv').config()
 const PORT = process.env.PORT || 3000
 const DB_URI = process.env.DB_URI_TEST
 
+// NLP service (emotion detection, summaries and quotes)
+const NLP_SERVICE_URL = process.env.NLP_SERVICE_URL || 'http://localhost:8000'
+const NLP_TIMEOUT_MS = Number(process.env.NLP_TIMEOUT_MS) || 10000
+const NLP_EMOTION_TIMEOUT_MS = Number(process.env.NLP_EMOTION_TIMEOUT_MS) || 5000
+const NLP_GENERATION_TIMEOUT_MS = Number(process.env.NLP_GENERATION_TIMEOUT_MS) || 60000
+const NLP_MAX_RETRIES = process.env.NLP_MAX_RETRIES !== undefined ? Number(process.env.NLP_MAX_RETRIES) : 2
+const NLP_RETRY_BASE_DELAY_MS = Number(process.env.NLP_RETRY_BASE_DELAY_MS) || 200
+const NLP_CIRCUIT_FAILURE_THRESHOLD = Number(process.env.NLP_CIRCUIT_FAILURE_THRESHOLD) || 5
+const NLP_CIRCUIT_RESET_MS = Number(process.env.NLP_CIRCUIT_RESET_MS) || 30000
+// Which emotion_taxonomy rows categorise the labels the NLP service returns
+const EMOTION_MODEL = process.env.EMOTION_MODEL || 'goemotions'
+
+// Days a deleted journal entry stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
+
+// Attachment storage: 'local' (filesystem) or 's3' (any S3-compatible service)
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local'
+const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || 'uploads'
+const S3_BUCKET = process.env.S3_BUCKET
+const S3_REGION = process.env.S3_REGION || 'us-east-1'
+const S3_ENDPOINT = process.env.S3_ENDPOINT
+const S3_FORCE_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE === 'true'
+const ATTACHMENT_MAX_IMAGE_BYTES = Number(process.env.ATTACHMENT_MAX_IMAGE_BYTES) || 10 * 1024 * 1024
+const ATTACHMENT_MAX_AUDIO_BYTES = Number(process.env.ATTACHMENT_MAX_AUDIO_BYTES) || 25 * 1024 * 1024
+
+// Outgoing email over SMTP. The defaults point at a local mail catcher such as Mailpit
+const SMTP_HOST = process.env.SMTP_HOST || 'localhost'
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 1025
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true'
+const SMTP_USER = process.env.SMTP_USER
+const SMTP_PASS = process.env.SMTP_PASS
+const MAIL_FROM = process.env.MAIL_FROM || 'Nilai <no-reply@nilai.app>'
+// Public address of this API, used for links in emails
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${PORT}`
+
+// Master key (32 bytes, base64) that wraps each user's journal encryption key.
+// After changing it, list the old one in ENCRYPTION_RETIRED_MASTER_KEYS as
+// id:base64 until `node encryption.js rotate` has re-encrypted every journal.
+const ENCRYPTION_MASTER_KEY = process.env.ENCRYPTION_MASTER_KEY
+const ENCRYPTION_MASTER_KEY_ID = process.env.ENCRYPTION_MASTER_KEY_ID || 'primary'
+const ENCRYPTION_RETIRED_MASTER_KEYS = process.env.ENCRYPTION_RETIRED_MASTER_KEYS
+
+// Rate limits of the endpoints that call the NLP service are counted in
+// 'memory' (one server) or 'postgres' (shared by every server)
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'
+// Reverse proxies in front of the API, so request.ip is the client's address
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0
+// Quotes, summaries and reflection reports each user may generate on demand per local day
+const DAILY_QUOTE_GENERATIONS = Number(process.env.DAILY_QUOTE_GENERATIONS) || 5
+const DAILY_SUMMARY_GENERATIONS = Number(process.env.DAILY_SUMMARY_GENERATIONS) || 5
+const DAILY_REPORT_GENERATIONS = Number(process.env.DAILY_REPORT_GENERATIONS) || 5
+
 const pool = new Pool({
   connectionString: DB_URI
 })
@@ -21,5 +73,38 @@ pool.on('error', (err) => {
 
 module.exports = {
   PORT,
+  NLP_SERVICE_URL,
+  NLP_TIMEOUT_MS,
+  NLP_EMOTION_TIMEOUT_MS,
+  NLP_GENERATION_TIMEOUT_MS,
+  NLP_MAX_RETRIES,
+  NLP_RETRY_BASE_DELAY_MS,
+  NLP_CIRCUIT_FAILURE_THRESHOLD,
+  NLP_CIRCUIT_RESET_MS,
+  EMOTION_MODEL,
+  TRASH_RETENTION_DAYS,
+  STORAGE_DRIVER,
+  STORAGE_LOCAL_DIR,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_FORCE_PATH_STYLE,
+  ATTACHMENT_MAX_IMAGE_BYTES,
+  ATTACHMENT_MAX_AUDIO_BYTES,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  MAIL_FROM,
+  PUBLIC_API_URL,
+  ENCRYPTION_MASTER_KEY,
+  ENCRYPTION_MASTER_KEY_ID,
+  ENCRYPTION_RETIRED_MASTER_KEYS,
+  RATE_LIMIT_STORE,
+  TRUST_PROXY_HOPS,
+  DAILY_QUOTE_GENERATIONS,
+  DAILY_SUMMARY_GENERATIONS,
+  DAILY_REPORT_GENERATIONS,
   pool
 }
\ No newline at end of file
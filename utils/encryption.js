@@ -0,0 +1,343 @@
+const crypto = require('crypto')
+const {
+  pool,
+  ENCRYPTION_MASTER_KEY,
+  ENCRYPTION_MASTER_KEY_ID,
+  ENCRYPTION_RETIRED_MASTER_KEYS
+} = require('./config')
+
+// Envelope encryption of journal titles and content. Each user has a random
+// data key that encrypts their text with AES-256-GCM; the data key is stored
+// in user_data_keys wrapped by a master key from config. Encrypted values look
+// like enc:v1:<key_id>:<base64 iv + tag + ciphertext>; anything else is legacy
+// plain text and is returned as is.
+
+const ALGORITHM = 'aes-256-gcm'
+const KEY_BYTES = 32
+const IV_BYTES = 12
+const TAG_BYTES = 16
+const PREFIX = 'enc:v1:'
+const ENCRYPTED_FIELDS = ['title', 'content']
+
+// Fixed key so development and test databases work without configuration
+const DEVELOPMENT_MASTER_KEY_ID = 'development'
+const DEVELOPMENT_MASTER_KEY = crypto.createHash('sha256').update('nilai-development-master-key').digest()
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')
+}
+
+const open = (key, sealed) => {
+  const data = Buffer.from(sealed, 'base64')
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, IV_BYTES))
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES))
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()])
+}
+
+const parseMasterKey = (id, value) => {
+  const key = Buffer.from(value, 'base64')
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Master key ${id} must be ${KEY_BYTES} bytes encoded as base64`)
+  }
+  return key
+}
+
+let masterKeys = null
+
+// The current master key wraps new data keys; retired ones (id:base64, comma
+// separated) only unwrap data keys that have not been rotated yet
+const getMasterKeys = () => {
+  if (masterKeys) {
+    return masterKeys
+  }
+
+  if (!ENCRYPTION_MASTER_KEY) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_MASTER_KEY must be set in production')
+    }
+    console.warn('ENCRYPTION_MASTER_KEY is not set, using the development master key')
+    masterKeys = {
+      currentId: DEVELOPMENT_MASTER_KEY_ID,
+      keys: new Map([[DEVELOPMENT_MASTER_KEY_ID, DEVELOPMENT_MASTER_KEY]])
+    }
+    return masterKeys
+  }
+
+  const keys = new Map([[ENCRYPTION_MASTER_KEY_ID, parseMasterKey(ENCRYPTION_MASTER_KEY_ID, ENCRYPTION_MASTER_KEY)]])
+  for (const retired of (ENCRYPTION_RETIRED_MASTER_KEYS || '').split(',').filter(Boolean)) {
+    const [id, value] = retired.trim().split(':')
+    if (!id || !value) {
+      throw new Error('ENCRYPTION_RETIRED_MASTER_KEYS must be a comma separated list of id:base64 keys')
+    }
+    keys.set(id, parseMasterKey(id, value))
+  }
+
+  masterKeys = { currentId: ENCRYPTION_MASTER_KEY_ID, keys }
+  return masterKeys
+}
+
+const unwrapDataKey = ({ wrapped_key: wrappedKey, master_key_id: masterKeyId }) => {
+  const masterKey = getMasterKeys().keys.get(masterKeyId)
+  if (!masterKey) {
+    throw new Error(`Master key ${masterKeyId} is not configured`)
+  }
+  return open(masterKey, wrappedKey)
+}
+
+// Create a new active data key for the user, wrapped with the current master key
+async function createDataKey(db, userId) {
+  const { currentId, keys } = getMasterKeys()
+  const key = crypto.randomBytes(KEY_BYTES)
+
+  const result = await db.query(
+    `INSERT INTO user_data_keys (user_id, wrapped_key, master_key_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id) WHERE active DO NOTHING
+     RETURNING key_id`,
+    [userId, seal(keys.get(currentId), key), currentId]
+  )
+  return result.rows.length > 0 ? { keyId: result.rows[0].key_id, key } : null
+}
+
+// Unwrapped data keys by key_id. A key never changes once created, so entries
+// stay valid until the key is deleted by a rotation.
+const dataKeyCache = new Map()
+
+const dataKeyById = async (db, keyId) => {
+  if (!dataKeyCache.has(keyId)) {
+    const result = await db.query('SELECT wrapped_key, master_key_id FROM user_data_keys WHERE key_id = $1', [keyId])
+    if (result.rows.length === 0) {
+      throw new Error(`Data key ${keyId} not found`)
+    }
+    dataKeyCache.set(keyId, unwrapDataKey(result.rows[0]))
+  }
+  return dataKeyCache.get(keyId)
+}
+
+// The user's active data key, created on first use. Call it inside the
+// transaction that writes the encrypted values, before locking any entry rows:
+// FOR SHARE keeps a key rotation from retiring the key until the write commits.
+async function activeDataKey(userId, db = pool) {
+  const select = () => db.query(
+    'SELECT key_id, wrapped_key, master_key_id FROM user_data_keys WHERE user_id = $1 AND active FOR SHARE',
+    [userId]
+  )
+
+  let result = await select()
+  if (result.rows.length === 0) {
+    const created = await createDataKey(db, userId)
+    if (created) {
+      return created
+    }
+    // Another request created the key first
+    result = await select()
+  }
+
+  const { key_id: keyId } = result.rows[0]
+  if (!dataKeyCache.has(keyId)) {
+    dataKeyCache.set(keyId, unwrapDataKey(result.rows[0]))
+  }
+  return { keyId, key: dataKeyCache.get(keyId) }
+}
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX)
+
+const encryptText = (dataKey, plaintext) => `${PREFIX}${dataKey.keyId}:${seal(dataKey.key, plaintext)}`
+
+async function decryptText(value, db = pool) {
+  if (!isEncrypted(value)) {
+    return value
+  }
+  const separator = value.indexOf(':', PREFIX.length)
+  const keyId = Number(value.slice(PREFIX.length, separator))
+  const key = await dataKeyById(db, keyId)
+  return open(key, value.slice(separator + 1)).toString('utf8')
+}
+
+// Encrypted copies of an entry's title and content
+const encryptEntry = (dataKey, { title, content }) => ({
+  title: encryptText(dataKey, title),
+  content: encryptText(dataKey, content)
+})
+
+// Copy of a journal entry or revision row with its title and content decrypted
+async function decryptEntry(row, db = pool) {
+  const decrypted = { ...row }
+  for (const field of ENCRYPTED_FIELDS) {
+    if (decrypted[field] !== undefined && decrypted[field] !== null) {
+      decrypted[field] = await decryptText(decrypted[field], db)
+    }
+  }
+  return decrypted
+}
+
+const decryptEntries = (rows, db = pool) => Promise.all(rows.map(row => decryptEntry(row, db)))
+
+// Full-text search over encrypted entries uses a keyed blind index: Postgres
+// splits the plain text into lexemes without storing it, and each lexeme is
+// stored as an HMAC token under a key derived from the user's data key. The
+// search_vector keeps the positions and weights of the lexemes, so ranking and
+// phrase search still work, but not the words. Equal words give equal tokens,
+// so how often a token appears is not hidden.
+const SEARCH_TOKEN_BYTES = 12
+
+const searchKey = (dataKey) => crypto.createHmac('sha256', dataKey.key).update('search-index').digest()
+
+const searchToken = (key, lexeme) =>
+  crypto.createHmac('sha256', key).update(lexeme).digest().subarray(0, SEARCH_TOKEN_BYTES).toString('base64url')
+
+// The search_vector of an entry's plain title (weight A) and content (weight B)
+async function searchVector(db, dataKey, { title, content }) {
+  const { rows } = await db.query(
+    `SELECT lexeme, positions, weights
+     FROM unnest(setweight(to_tsvector('english', $1), 'A') || setweight(to_tsvector('english', $2), 'B'))`,
+    [title, content]
+  )
+  const key = searchKey(dataKey)
+  return rows
+    .map(({ lexeme, positions, weights }) =>
+      `'${searchToken(key, lexeme)}':${positions.map((position, index) => `${position}${weights[index]}`).join(',')}`)
+    .join(' ')
+}
+
+// The tsquery matching search_vector for free text search. websearch_to_tsquery
+// accepts free text, quoted phrases and -exclusions without syntax errors; its
+// quoted lexemes ('' and \ escaped) are swapped for their tokens.
+async function searchQuery(db, dataKey, text) {
+  const { rows } = await db.query('SELECT websearch_to_tsquery(\'english\', $1)::text AS query', [text])
+  const key = searchKey(dataKey)
+  return rows[0].query.replace(/'((?:[^'\\]|''|\\.)*)'/g, (match, quoted) => {
+    const lexeme = quoted.replace(/''|\\(.)/g, (escape, character) => character ?? '\'')
+    return `'${searchToken(key, lexeme)}'`
+  })
+}
+
+// Rewrite the title and content of every entry, revision and draft of the user
+// with `transform` ({ title, content } in plain text to the values to store), and
+// the search_vector of every entry with `index` (plain text to a search_vector)
+async function rewriteUserEntries(client, userId, transform, index) {
+  const tables = [
+    {
+      table: 'journal_entries',
+      id: 'journal_id',
+      select: 'SELECT journal_id AS id, title, content, client_encrypted FROM journal_entries WHERE user_id = $1'
+    },
+    {
+      table: 'journal_revisions',
+      id: 'revision_id',
+      select: `SELECT r.revision_id AS id, r.title, r.content
+               FROM journal_revisions r
+               JOIN journal_entries j ON j.journal_id = r.journal_id
+               WHERE j.user_id = $1`
+    },
+    {
+      table: 'journal_drafts',
+      id: 'draft_id',
+      select: 'SELECT draft_id AS id, title, content FROM journal_drafts WHERE user_id = $1'
+    }
+  ]
+  const counts = {}
+
+  for (const { table, id, select } of tables) {
+    const { rows } = await client.query(select, [userId])
+    for (const row of rows) {
+      const fields = await decryptEntry(row, client)
+      const { title, content } = transform(fields)
+      await client.query(`UPDATE ${table} SET title = $1, content = $2 WHERE ${id} = $3`, [title, content, row.id])
+      if (table === 'journal_entries') {
+        // End-to-end encrypted text is ciphertext from the client and cannot be indexed
+        const vector = row.client_encrypted ? '' : await index(fields)
+        await client.query('UPDATE journal_entries SET search_vector = $1::tsvector WHERE journal_id = $2', [vector, row.id])
+      }
+    }
+    counts[table] = rows.length
+  }
+
+  return counts
+}
+
+// Lock the user's data keys for the rest of the transaction. Writers take
+// FOR SHARE on the active key first, so this waits for them to commit.
+const lockDataKeys = async (client, userId) => {
+  const { rows } = await client.query('SELECT key_id FROM user_data_keys WHERE user_id = $1 FOR UPDATE', [userId])
+  return rows.map(row => row.key_id)
+}
+
+const deleteDataKeys = async (client, keyIds) => {
+  await client.query('DELETE FROM user_data_keys WHERE key_id = ANY($1)', [keyIds])
+  for (const keyId of keyIds) {
+    dataKeyCache.delete(keyId)
+  }
+}
+
+// Give the user a new data key wrapped with the current master key, re-encrypt
+// their entries, revisions and drafts with it (including legacy plain text), rebuild
+// the search index of their entries and delete the old keys. Resolves to the number
+// of rows rewritten per table.
+async function rotateUserKey(userId) {
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const oldKeyIds = await lockDataKeys(client, userId)
+    await client.query('UPDATE user_data_keys SET active = FALSE WHERE user_id = $1', [userId])
+    const dataKey = await createDataKey(client, userId)
+
+    const counts = await rewriteUserEntries(
+      client,
+      userId,
+      fields => encryptEntry(dataKey, fields),
+      fields => searchVector(client, dataKey, fields)
+    )
+    await deleteDataKeys(client, oldKeyIds)
+
+    await client.query('COMMIT')
+    return counts
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+// Store the user's entries, revisions and drafts in plain text again and delete their
+// data keys, e.g. before rolling back the encryption migration
+async function decryptUserEntries(userId) {
+  const client = await pool.connect()
+
+  try {
+    await client.query('BEGIN')
+
+    const keyIds = await lockDataKeys(client, userId)
+    // The search tokens are keyed by the deleted data keys, so they are cleared
+    const counts = await rewriteUserEntries(client, userId, fields => fields, () => '')
+    await deleteDataKeys(client, keyIds)
+
+    await client.query('COMMIT')
+    return counts
+  } catch (error) {
+    await client.query('ROLLBACK')
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+module.exports = {
+  isEncrypted,
+  activeDataKey,
+  encryptText,
+  decryptText,
+  encryptEntry,
+  decryptEntry,
+  decryptEntries,
+  searchVector,
+  searchQuery,
+  rotateUserKey,
+  decryptUserEntries
+}
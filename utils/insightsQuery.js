@@ -0,0 +1,187 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const { localDate, shiftDate } = require('./timezone')
+
+dayjs.extend(utc)
+
+// Helpers for the date range, bucket and top-N parameters of the insights endpoints.
+// Dates are YYYY-MM-DD calendar days in the user's timezone; ranges include both ends.
+
+const GRANULARITIES = ['day', 'week', 'month']
+const MAX_BUCKETS = 400
+const DEFAULT_TOP_EMOTIONS = 5
+const MAX_TOP_EMOTIONS = 50
+const DEFAULT_HISTORY_LIMIT = 20
+const MAX_HISTORY_LIMIT = 100
+
+// How many buckets a series has when no from date is given
+const DEFAULT_BUCKET_COUNTS = {
+  day: 30,
+  week: 12,
+  month: 12
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const isValidDate = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && dayjs.utc(value).format('YYYY-MM-DD') === value
+
+// Parse from/to, defaulting `to` to the user's today and `from` to
+// defaultFrom(to). Returns { range: { from, to } } or { error } for a 400.
+const parseDateRange = (query, timeZone, defaultFrom) => {
+  const { from, to } = query
+
+  if (from !== undefined && !isValidDate(from)) {
+    return { error: 'Invalid query parameter: from must be a date (YYYY-MM-DD)' }
+  }
+  if (to !== undefined && !isValidDate(to)) {
+    return { error: 'Invalid query parameter: to must be a date (YYYY-MM-DD)' }
+  }
+
+  const range = { to: to || localDate(timeZone) }
+  range.from = from || defaultFrom(range.to)
+
+  if (range.from > range.to) {
+    return { error: 'Invalid query parameters: from must not be after to' }
+  }
+
+  return { range }
+}
+
+const parseGranularity = (value) => {
+  if (value === undefined) {
+    return { granularity: 'day' }
+  }
+  if (!GRANULARITIES.includes(value)) {
+    return { error: `Invalid query parameter: granularity must be one of ${GRANULARITIES.join(', ')}` }
+  }
+  return { granularity: value }
+}
+
+// Emotions the model detected with less confidence than minConfidence (0 to 1,
+// default 0) are left out of the insights
+const parseMinConfidence = (value) => {
+  if (value === undefined) {
+    return { minConfidence: 0 }
+  }
+  const minConfidence = Number(value)
+  if (value === '' || Number.isNaN(minConfidence) || minConfidence < 0 || minConfidence > 1) {
+    return { error: 'Invalid query parameter: minConfidence must be a number between 0 and 1' }
+  }
+  return { minConfidence }
+}
+
+const parseTopN = (value) => {
+  if (value === undefined) {
+    return { limit: DEFAULT_TOP_EMOTIONS }
+  }
+  const limit = Number(value)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP_EMOTIONS) {
+    return { error: `Invalid query parameter: limit must be an integer between 1 and ${MAX_TOP_EMOTIONS}` }
+  }
+  return { limit }
+}
+
+// Summary and quote archives list one row per date, newest first. The cursor
+// is the last date of the previous page; pages continue with earlier dates.
+const encodeDateCursor = (date) => Buffer.from(date).toString('base64url')
+
+const decodeDateCursor = (cursor) => {
+  const date = Buffer.from(String(cursor), 'base64url').toString('utf8')
+  return isValidDate(date) ? date : null
+}
+
+// Parse ?limit and ?cursor for the archives. Returns { pagination: { limit,
+// before } } where before is the exclusive upper date bound, or { error }.
+const parseHistoryPagination = (query) => {
+  const { limit, cursor } = query
+  const pagination = { limit: DEFAULT_HISTORY_LIMIT, before: null }
+
+  if (limit !== undefined) {
+    const parsed = Number(limit)
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_HISTORY_LIMIT) {
+      return { error: `Invalid query parameter: limit must be an integer between 1 and ${MAX_HISTORY_LIMIT}` }
+    }
+    pagination.limit = parsed
+  }
+
+  if (cursor !== undefined) {
+    pagination.before = decodeDateCursor(cursor)
+    if (!pagination.before) {
+      return { error: 'Invalid query parameter: cursor' }
+    }
+  }
+
+  return { pagination }
+}
+
+// Start of the day, ISO week (Monday) or month containing `date`
+const periodStart = (date, granularity) => {
+  const day = dayjs.utc(date)
+  if (granularity === 'week') {
+    return day.subtract((day.day() + 6) % 7, 'day')
+  }
+  return day.startOf(granularity)
+}
+
+// Default from date for a series ending on `to`: the start of the period
+// DEFAULT_BUCKET_COUNTS[granularity] - 1 periods before the one holding `to`
+const defaultSeriesStart = (granularity) => (to) =>
+  periodStart(to, granularity)
+    .subtract(DEFAULT_BUCKET_COUNTS[granularity] - 1, granularity)
+    .format('YYYY-MM-DD')
+
+// Consecutive buckets covering the range, clamped to it at both ends. Periods
+// are labelled YYYY-MM-DD for days and weeks (the Monday) and YYYY-MM for months.
+// Returns { buckets: [{ period, start_date, end_date }] } or { error } when there are too many.
+const buildBuckets = ({ from, to }, granularity) => {
+  const buckets = []
+  let start = periodStart(from, granularity)
+  const last = dayjs.utc(to)
+
+  while (!start.isAfter(last)) {
+    if (buckets.length === MAX_BUCKETS) {
+      return { error: `Range too large: at most ${MAX_BUCKETS} ${granularity} buckets can be requested` }
+    }
+    const startDate = start.format('YYYY-MM-DD')
+    const end = start.add(1, granularity).subtract(1, 'day')
+    buckets.push({
+      period: start.format(granularity === 'month' ? 'YYYY-MM' : 'YYYY-MM-DD'),
+      start_date: startDate < from ? from : startDate,
+      end_date: end.isAfter(last) ? to : end.format('YYYY-MM-DD')
+    })
+    start = start.add(1, granularity)
+  }
+
+  return { buckets }
+}
+
+// The original fixed buckets of /emotionTrends: today, then 1-4, 5-9, ...
+// 25-29 days ago, labelled with the upper bound of each span
+const LEGACY_TREND_DAYS = [1, 5, 10, 15, 20, 25, 30]
+
+const legacyTrendBuckets = (today) =>
+  LEGACY_TREND_DAYS.map((day, index) => {
+    const newest = index === 0 ? 0 : LEGACY_TREND_DAYS[index - 1]
+    return {
+      period: String(day),
+      start_date: shiftDate(today, -(day - 1)),
+      end_date: shiftDate(today, -newest)
+    }
+  })
+
+module.exports = {
+  GRANULARITIES,
+  MAX_BUCKETS,
+  isValidDate,
+  encodeDateCursor,
+  parseHistoryPagination,
+  parseDateRange,
+  parseGranularity,
+  parseMinConfidence,
+  parseTopN,
+  periodStart,
+  defaultSeriesStart,
+  buildBuckets,
+  legacyTrendBuckets
+}
@@ -0,0 +1,165 @@
+// Helpers for building filtered, cursor-paginated journal_entries queries
+
+const { normalizeTagName } = require('./tags')
+
+const DEFAULT_LIMIT = 20
+const MAX_LIMIT = 100
+
+const isValidDate = (value) => !Number.isNaN(Date.parse(value))
+
+// A date without a time, e.g. 2024-05-01
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/
+
+const encodeCursor = (createdAt, journalId) =>
+  Buffer.from(JSON.stringify([createdAt, journalId])).toString('base64url')
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, journalId] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    if (typeof createdAt !== 'string' || !isValidDate(createdAt) || !Number.isInteger(journalId) || journalId < 1) {
+      return null
+    }
+    return { createdAt, journalId }
+  } catch {
+    return null
+  }
+}
+
+// The dominant emotion is the label with the highest confidence in the emotions array
+const DOMINANT_EMOTION = `(
+  SELECT e ->> 'emotion'
+  FROM jsonb_array_elements(emotions) e
+  ORDER BY (e ->> 'confidence')::float DESC NULLS LAST
+  LIMIT 1
+)`
+const DOMINANT_EMOTION_COLUMN = `${DOMINANT_EMOTION} AS dominant_emotion`
+
+// Entries keep their word count in word_count since their content is encrypted
+const countWords = (content) => content.trim().split(/\s+/).filter(Boolean).length
+
+// Parse the date range, emotion and tag filters shared by listing and search.
+// Returns { filters } on success or { error } with a message for a 400.
+const parseFilters = (query) => {
+  const { from, to, emotion, favourite, tag } = query
+  const filters = {}
+
+  if (from !== undefined) {
+    if (!isValidDate(from)) {
+      return { error: 'Invalid query parameter: from must be a date' }
+    }
+    filters.from = from
+  }
+
+  if (to !== undefined) {
+    if (!isValidDate(to)) {
+      return { error: 'Invalid query parameter: to must be a date' }
+    }
+    filters.to = to
+  }
+
+  if (favourite !== undefined) {
+    if (favourite !== 'true' && favourite !== 'false') {
+      return { error: 'Invalid query parameter: favourite must be true or false' }
+    }
+    filters.favourite = favourite === 'true'
+  }
+
+  if (emotion !== undefined) {
+    if (typeof emotion !== 'string' || emotion.trim() === '') {
+      return { error: 'Invalid query parameter: emotion must be a non-empty string' }
+    }
+    filters.emotion = emotion.trim().toLowerCase()
+  }
+
+  if (tag !== undefined) {
+    filters.tag = normalizeTagName(tag)
+    if (!filters.tag) {
+      return { error: 'Invalid query parameter: tag must be a tag name' }
+    }
+  }
+
+  return { filters }
+}
+
+// Parse pagination and sort parameters for GET /api/journals
+const parsePagination = (query) => {
+  const { limit, cursor, sort } = query
+  const pagination = { limit: DEFAULT_LIMIT, sort: 'desc', cursor: null }
+
+  if (limit !== undefined) {
+    const parsed = Number(limit)
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_LIMIT) {
+      return { error: `Invalid query parameter: limit must be an integer between 1 and ${MAX_LIMIT}` }
+    }
+    pagination.limit = parsed
+  }
+
+  if (sort !== undefined) {
+    if (sort !== 'asc' && sort !== 'desc') {
+      return { error: 'Invalid query parameter: sort must be asc or desc' }
+    }
+    pagination.sort = sort
+  }
+
+  if (cursor !== undefined) {
+    pagination.cursor = decodeCursor(cursor)
+    if (!pagination.cursor) {
+      return { error: 'Invalid query parameter: cursor' }
+    }
+  }
+
+  return { pagination }
+}
+
+// Build WHERE conditions for the given filters. `params` is mutated so the
+// caller can keep appending its own placeholders after these.
+const buildFilterConditions = (filters, params) => {
+  const conditions = []
+
+  if (filters.from) {
+    params.push(filters.from)
+    conditions.push(`created_at >= $${params.length}`)
+  }
+
+  if (filters.to) {
+    params.push(filters.to)
+    // A date without a time includes the whole of that day
+    conditions.push(DATE_ONLY.test(filters.to)
+      ? `created_at < $${params.length}::date + 1`
+      : `created_at <= $${params.length}`)
+  }
+
+  if (filters.favourite !== undefined) {
+    params.push(filters.favourite)
+    conditions.push(`favourite = $${params.length}`)
+  }
+
+  if (filters.emotion) {
+    params.push(filters.emotion)
+    conditions.push(`${DOMINANT_EMOTION} = $${params.length}`)
+  }
+
+  if (filters.tag) {
+    params.push(filters.tag)
+    conditions.push(`EXISTS (
+      SELECT 1
+      FROM journal_entry_tags jt
+      JOIN tags t ON t.tag_id = jt.tag_id
+      WHERE jt.journal_id = journal_entries.journal_id AND t.name = $${params.length}
+    )`)
+  }
+
+  return conditions
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  DOMINANT_EMOTION_COLUMN,
+  countWords,
+  encodeCursor,
+  decodeCursor,
+  parseFilters,
+  parsePagination,
+  buildFilterConditions
+}
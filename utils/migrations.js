@@ -0,0 +1,126 @@
+const fs = require('fs/promises')
+const path = require('path')
+const { pool } = require('./config')
+
+// Versioned SQL migrations. Each migration is a pair of files in migrations/
+// named NNNN_description.up.sql and NNNN_description.down.sql, applied in
+// name order inside a transaction and recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations')
+const MIGRATION_FILE = /^(\d+_[\w-]+)\.(up|down)\.sql$/
+// Arbitrary key so concurrent deploys do not run migrations at the same time
+const ADVISORY_LOCK_KEY = 7315046
+
+async function listMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR)
+  const migrations = new Map()
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE)
+    if (!match) {
+      continue
+    }
+    const [, name, direction] = match
+    const migration = migrations.get(name) || { name }
+    migration[direction] = path.join(MIGRATIONS_DIR, file)
+    migrations.set(name, migration)
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.name} must have both an up and a down script`)
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => a.name.localeCompare(b.name))
+}
+
+async function withMigrationLock(fn) {
+  const client = await pool.connect()
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY])
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    return await fn(client)
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY])
+    client.release()
+  }
+}
+
+async function appliedMigrationNames(client) {
+  const result = await client.query('SELECT name FROM schema_migrations ORDER BY name')
+  return result.rows.map(row => row.name)
+}
+
+async function runMigrationScript(client, file, record) {
+  const sql = await fs.readFile(file, 'utf8')
+
+  try {
+    await client.query('BEGIN')
+    await client.query(sql)
+    await record()
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK')
+    error.message = `${path.basename(file)}: ${error.message}`
+    throw error
+  }
+}
+
+// Apply every pending migration. Returns the names that were applied.
+async function migrateUp() {
+  const migrations = await listMigrations()
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await appliedMigrationNames(client))
+    const pending = migrations.filter(migration => !applied.has(migration.name))
+
+    for (const migration of pending) {
+      await runMigrationScript(client, migration.up, () =>
+        client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name])
+      )
+      console.log(`Applied migration ${migration.name}`)
+    }
+
+    return pending.map(migration => migration.name)
+  })
+}
+
+// Roll back the most recently applied migrations. Returns the names rolled back.
+async function migrateDown(steps = 1) {
+  const migrations = new Map((await listMigrations()).map(migration => [migration.name, migration]))
+
+  return withMigrationLock(async (client) => {
+    const toRollBack = (await appliedMigrationNames(client)).reverse().slice(0, steps)
+
+    for (const name of toRollBack) {
+      const migration = migrations.get(name)
+      if (!migration) {
+        throw new Error(`Migration ${name} is applied but its scripts are missing`)
+      }
+      await runMigrationScript(client, migration.down, () =>
+        client.query('DELETE FROM schema_migrations WHERE name = $1', [name])
+      )
+      console.log(`Rolled back migration ${name}`)
+    }
+
+    return toRollBack
+  })
+}
+
+async function migrationStatus() {
+  const migrations = await listMigrations()
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await appliedMigrationNames(client))
+    return migrations.map(migration => ({ name: migration.name, applied: applied.has(migration.name) }))
+  })
+}
+
+module.exports = { listMigrations, migrateUp, migrateDown, migrationStatus }
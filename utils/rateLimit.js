@@ -0,0 +1,65 @@
+const { getRateLimitStore } = require('./services/rateLimitStore')
+
+// Rate limits of the routes that make the NLP service do work. A policy allows
+// `user` requests per window from one signed-in user and `ip` requests from one
+// IP address, so neither one account nor one client looping over several
+// accounts can flood the service.
+const RATE_LIMIT_POLICIES = {
+  // Every saved entry is queued for emotion analysis
+  'journal-write': { windowMs: 60 * 1000, user: 30, ip: 120 },
+  // One import can queue the analysis of thousands of entries
+  'journal-import': { windowMs: 60 * 60 * 1000, user: 10, ip: 30 },
+  // Quotes and summaries generated on demand
+  'insights-generation': { windowMs: 60 * 1000, user: 10, ip: 60 }
+}
+
+// Middleware counting the request against both limits of the named policy.
+// Use after verifyToken. Sends the RateLimit-Policy, RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset headers of the limit closest to
+// being reached, and a 429 with Retry-After once either is exceeded.
+const rateLimit = (policyName) => {
+  const policy = RATE_LIMIT_POLICIES[policyName]
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${policyName}`)
+  }
+
+  const limits = (request) => [
+    { key: `${policyName}:user:${request.user.uid}`, limit: policy.user },
+    { key: `${policyName}:ip:${request.ip}`, limit: policy.ip }
+  ]
+
+  return async (request, response, next) => {
+    let counters
+    try {
+      const store = getRateLimitStore()
+      counters = await Promise.all(limits(request).map(async ({ key, limit }) => ({
+        limit,
+        ...(await store.hit(key, policy.windowMs))
+      })))
+    } catch (error) {
+      // A broken store should not take the whole API down with it
+      console.error('Rate limit store unavailable, allowing the request:', error.message)
+      return next()
+    }
+
+    const remaining = ({ limit, hits }) => limit - hits
+    const closest = counters.reduce((a, b) => remaining(b) < remaining(a) ? b : a)
+    const resetSeconds = Math.max(1, Math.ceil((closest.resetAt - Date.now()) / 1000))
+
+    response.set({
+      'RateLimit-Policy': `${closest.limit};w=${policy.windowMs / 1000}`,
+      'RateLimit-Limit': closest.limit,
+      'RateLimit-Remaining': Math.max(0, remaining(closest)),
+      'RateLimit-Reset': resetSeconds
+    })
+
+    if (remaining(closest) < 0) {
+      response.set('Retry-After', resetSeconds)
+      return response.status(429).json({ error: `Too many requests, please try again in ${resetSeconds} seconds` })
+    }
+
+    next()
+  }
+}
+
+module.exports = { RATE_LIMIT_POLICIES, rateLimit }
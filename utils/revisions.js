@@ -0,0 +1,57 @@
+const { diffWords } = require('diff')
+
+// Helpers for journal entry revision history. A revision is a snapshot of an
+// entry as it was before an edit; the entry row itself is always the current version.
+
+// Save the entry's current version as its next revision. Call inside a
+// transaction after locking the entry row with SELECT ... FOR UPDATE; the row
+// needs journal_id, title, content, word_count, emotions, client_encrypted and updated_at.
+async function recordRevision(client, entry) {
+  const result = await client.query(
+    `INSERT INTO journal_revisions
+       (journal_id, revision_number, title, content, word_count, emotions, client_encrypted, saved_at)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5::jsonb, $6, $7
+     FROM journal_revisions
+     WHERE journal_id = $1
+     RETURNING revision_number`,
+    [
+      entry.journal_id,
+      entry.title,
+      entry.content,
+      entry.word_count,
+      entry.emotions ? JSON.stringify(entry.emotions) : null,
+      entry.client_encrypted,
+      entry.updated_at
+    ]
+  )
+  return result.rows[0].revision_number
+}
+
+const toChanges = (from, to) =>
+  diffWords(from, to).map(part => ({
+    type: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    value: part.value
+  }))
+
+// Confidence of each emotion in both versions, null where a version lacks it
+const compareEmotions = (fromEmotions, toEmotions) => {
+  const byEmotion = new Map()
+
+  for (const { emotion, confidence } of fromEmotions || []) {
+    byEmotion.set(emotion, { emotion, from: confidence, to: null })
+  }
+  for (const { emotion, confidence } of toEmotions || []) {
+    byEmotion.set(emotion, { emotion, from: null, ...byEmotion.get(emotion), to: confidence })
+  }
+
+  return [...byEmotion.values()]
+}
+
+// Word-level diff of two versions of an entry, each { title, content, emotions }
+const diffVersions = (from, to) => ({
+  title: toChanges(from.title, to.title),
+  content: toChanges(from.content, to.content),
+  emotions: compareEmotions(from.emotions, to.emotions)
+})
+
+module.exports = { recordRevision, diffVersions }
@@ -0,0 +1,124 @@
+const sharp = require('sharp')
+const { pool, ATTACHMENT_MAX_IMAGE_BYTES, ATTACHMENT_MAX_AUDIO_BYTES } = require('../config')
+const { getStorage } = require('./storage')
+
+const THUMBNAIL_SIZE = 320
+const ORPHAN_BATCH_SIZE = 100
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0))
+
+// Accepted types, checked against the file's leading bytes so the declared
+// content type cannot be used to store something else
+const ATTACHMENT_TYPES = {
+  'image/jpeg': { kind: 'image', extension: 'jpg', matches: buffer => startsWith(buffer, [0xff, 0xd8, 0xff]) },
+  'image/png': { kind: 'image', extension: 'png', matches: buffer => startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  'image/gif': { kind: 'image', extension: 'gif', matches: buffer => startsWith(buffer, ascii('GIF8')) },
+  'image/webp': { kind: 'image', extension: 'webp', matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+  'audio/mpeg': {
+    kind: 'audio',
+    extension: 'mp3',
+    // ID3 tag or a bare MPEG frame sync
+    matches: buffer => startsWith(buffer, ascii('ID3')) || (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)
+  },
+  'audio/mp4': { kind: 'audio', extension: 'm4a', matches: buffer => startsWith(buffer, ascii('ftyp'), 4) },
+  'audio/x-m4a': { kind: 'audio', extension: 'm4a', matches: buffer => startsWith(buffer, ascii('ftyp'), 4) },
+  'audio/wav': { kind: 'audio', extension: 'wav', matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8) },
+  'audio/x-wav': { kind: 'audio', extension: 'wav', matches: buffer => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8) },
+  'audio/webm': { kind: 'audio', extension: 'webm', matches: buffer => startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3]) },
+  'audio/ogg': { kind: 'audio', extension: 'ogg', matches: buffer => startsWith(buffer, ascii('OggS')) }
+}
+
+const MAX_BYTES = {
+  image: ATTACHMENT_MAX_IMAGE_BYTES,
+  audio: ATTACHMENT_MAX_AUDIO_BYTES
+}
+
+// Largest upload accepted for any type, used as the multipart size limit
+const MAX_ATTACHMENT_BYTES = Math.max(...Object.values(MAX_BYTES))
+
+// Check an uploaded file's type and size. Returns { type } with the matching
+// ATTACHMENT_TYPES entry, or { error, status } for the response.
+const validateAttachment = (file) => {
+  const type = ATTACHMENT_TYPES[file.mimetype]
+
+  if (!type) {
+    return {
+      status: 415,
+      error: `Unsupported file type: must be one of ${Object.keys(ATTACHMENT_TYPES).join(', ')}`
+    }
+  }
+
+  if (!type.matches(file.buffer)) {
+    return { status: 400, error: `File content does not match its type ${file.mimetype}` }
+  }
+
+  if (file.size > MAX_BYTES[type.kind]) {
+    return { status: 413, error: `File too large: ${type.kind} attachments can be at most ${MAX_BYTES[type.kind]} bytes` }
+  }
+
+  return { type }
+}
+
+// Dimensions and a WebP thumbnail that fits in THUMBNAIL_SIZE x THUMBNAIL_SIZE.
+// Rotates by EXIF orientation so the thumbnail matches how the photo was taken.
+async function createThumbnail(buffer) {
+  const image = sharp(buffer, { animated: false })
+  const { width, height, orientation } = await image.metadata()
+
+  const thumbnail = await image
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer()
+
+  // Orientations 5-8 swap width and height
+  return orientation >= 5
+    ? { width: height, height: width, thumbnail }
+    : { width, height, thumbnail }
+}
+
+// Remove files whose attachments were deleted. Files that fail to delete stay
+// queued for the next run. Returns the number of files removed.
+async function deleteOrphanedFiles() {
+  const storage = getStorage()
+  let removed = 0
+
+  for (;;) {
+    const { rows } = await pool.query(
+      'SELECT storage_key FROM orphaned_files ORDER BY created_at LIMIT $1',
+      [ORPHAN_BATCH_SIZE]
+    )
+
+    let failed = 0
+    for (const { storage_key: key } of rows) {
+      try {
+        await storage.remove(key)
+        await pool.query('DELETE FROM orphaned_files WHERE storage_key = $1', [key])
+        removed++
+      } catch (error) {
+        console.error(`Error deleting orphaned file ${key}:`, error)
+        failed++
+      }
+    }
+
+    if (rows.length < ORPHAN_BATCH_SIZE || failed === rows.length) {
+      break
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`Deleted ${removed} orphaned attachment files`)
+  }
+  return removed
+}
+
+module.exports = {
+  ATTACHMENT_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  validateAttachment,
+  createThumbnail,
+  deleteOrphanedFiles
+}
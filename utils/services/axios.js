@@ -1,7 +1,44 @@
 const axios = require('axios')
+const config = require('../config')
+const { createCircuitBreaker } = require('./circuitBreaker')
 
 const apiClient = axios.create({
-  baseURL: 'http://localhost:8000',
+  baseURL: config.NLP_SERVICE_URL,
+  timeout: config.NLP_TIMEOUT_MS,
 })
 
-module.exports = apiClient
\ No newline at end of file
+// One breaker for the whole NLP service so a dead service fails fast everywhere
+const breaker = createCircuitBreaker({
+  name: 'nlp-service',
+  failureThreshold: config.NLP_CIRCUIT_FAILURE_THRESHOLD,
+  resetTimeout: config.NLP_CIRCUIT_RESET_MS,
+})
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Timeouts, network errors, 429 and 5xx are worth retrying; other 4xx are not
+const isRetryable = (error) => {
+  if (!error.response) {
+    return true
+  }
+  return error.response.status === 429 || error.response.status >= 500
+}
+
+// POST to the NLP service with a per-call timeout, retries with exponential
+// backoff and jitter, all behind the circuit breaker
+const post = (url, data, { timeout = config.NLP_TIMEOUT_MS, retries = config.NLP_MAX_RETRIES } = {}) =>
+  breaker.execute(async () => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await apiClient.post(url, data, { timeout })
+      } catch (error) {
+        if (attempt >= retries || !isRetryable(error)) {
+          throw error
+        }
+        const delay = config.NLP_RETRY_BASE_DELAY_MS * 2 ** attempt
+        await sleep(delay + Math.random() * delay)
+      }
+    }
+  })
+
+module.exports = { apiClient, breaker, post }
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Minimal circuit breaker: after `failureThreshold` consecutive failures the
+// circuit opens and calls fail fast with code CIRCUIT_OPEN until `resetTimeout`
+// has passed, then a single trial call decides whether it closes again. The
+// error's retryAfterMs tells how long until the next trial call.
+
+const createCircuitBreaker = ({ name, failureThreshold, resetTimeout }) => {
+  let state = 'closed'
+  let failures = 0
+  let openedAt = 0
+  let trialInFlight = false
+
+  const open = () => {
+    state = 'open'
+    openedAt = Date.now()
+    console.error(`Circuit ${name} opened after ${failures} consecutive failures`)
+  }
+
+  const execute = async (fn) => {
+    if (state === 'open' && Date.now() - openedAt >= resetTimeout) {
+      state = 'half-open'
+    }
+
+    if (state === 'open' || (state === 'half-open' && trialInFlight)) {
+      const error = new Error(`Circuit ${name} is open`)
+      error.code = 'CIRCUIT_OPEN'
+      error.retryAfterMs = state === 'open' ? resetTimeout - (Date.now() - openedAt) : 0
+      throw error
+    }
+
+    const isTrial = state === 'half-open'
+    if (isTrial) {
+      trialInFlight = true
+    }
+
+    try {
+      const result = await fn()
+      if (state !== 'closed') {
+        console.log(`Circuit ${name} closed`)
+      }
+      state = 'closed'
+      failures = 0
+      return result
+    } catch (error) {
+      failures += 1
+      if (isTrial || failures >= failureThreshold) {
+        open()
+      }
+      throw error
+    } finally {
+      if (isTrial) {
+        trialInFlight = false
+      }
+    }
+  }
+
+  return {
+    execute,
+    getState: () => state
+  }
+}
+
+module.exports = { createCircuitBreaker }
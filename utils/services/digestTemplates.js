@@ -0,0 +1,111 @@
+const dayjs = require('dayjs')
+
+// HTML and plain-text bodies of the email digest. `digest` is built by
+// buildDigest() in ./digests; every value from it is user or model text and
+// is escaped in the HTML body.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;')
+
+const formatDay = (date) => dayjs(date).format('MMM D')
+
+const periodLabel = ({ frequency, periodStart, periodEnd }) =>
+  frequency === 'daily'
+    ? formatDay(periodEnd)
+    : `${formatDay(periodStart)} – ${formatDay(periodEnd)}`
+
+const emotionLabel = ({ emotion, label, emoji }) => [emoji, label || emotion].filter(Boolean).join(' ')
+
+const quoteAttribution = ({ author }) => (author ? ` — ${author}` : '')
+
+const keyThemes = ({ summary }) => (Array.isArray(summary.key_themes) ? summary.key_themes : [])
+
+const renderSubject = (digest) =>
+  `Your ${digest.frequency === 'daily' ? 'day' : 'week'} in Nilai: ${periodLabel(digest)}`
+
+const renderText = (digest, { unsubscribeUrl, preferencesNote }) => {
+  const lines = [`Hi ${digest.name || 'there'},`, '']
+
+  lines.push(`You wrote ${digest.entryCount} ${digest.entryCount === 1 ? 'entry' : 'entries'} (${periodLabel(digest)}).`, '')
+
+  if (digest.summary) {
+    lines.push('SUMMARY', digest.summary.summary)
+    if (keyThemes(digest).length > 0) {
+      lines.push(`Key themes: ${keyThemes(digest).join(', ')}`)
+    }
+    lines.push('')
+  }
+
+  if (digest.topEmotions.length > 0) {
+    lines.push('TOP EMOTIONS')
+    for (const emotion of digest.topEmotions) {
+      lines.push(`- ${emotionLabel(emotion)} (${emotion.count})`)
+    }
+    lines.push('')
+  }
+
+  if (digest.quotes.length > 0) {
+    lines.push('QUOTES')
+    for (const quote of digest.quotes) {
+      lines.push(`"${quote.quote}"${quoteAttribution(quote)}`)
+    }
+    lines.push('')
+  }
+
+  lines.push('--', preferencesNote, `Unsubscribe: ${unsubscribeUrl}`)
+  return lines.join('\n')
+}
+
+const renderHtml = (digest, { unsubscribeUrl, preferencesNote }) => {
+  const sections = []
+
+  if (digest.summary) {
+    const themes = keyThemes(digest).length > 0
+      ? `<p style="color:#666">Key themes: ${keyThemes(digest).map(escapeHtml).join(', ')}</p>`
+      : ''
+    sections.push(`<h2>Summary</h2><p>${escapeHtml(digest.summary.summary)}</p>${themes}`)
+  }
+
+  if (digest.topEmotions.length > 0) {
+    const items = digest.topEmotions
+      .map(emotion => `<li>${escapeHtml(emotionLabel(emotion))} (${emotion.count})</li>`)
+      .join('')
+    sections.push(`<h2>Top emotions</h2><ul>${items}</ul>`)
+  }
+
+  if (digest.quotes.length > 0) {
+    const items = digest.quotes
+      .map(quote => `<blockquote>“${escapeHtml(quote.quote)}”${escapeHtml(quoteAttribution(quote))}</blockquote>`)
+      .join('')
+    sections.push(`<h2>Quotes</h2>${items}`)
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:sans-serif;line-height:1.5;max-width:600px;margin:0 auto">
+<p>Hi ${escapeHtml(digest.name || 'there')},</p>
+<p>You wrote ${digest.entryCount} ${digest.entryCount === 1 ? 'entry' : 'entries'} (${escapeHtml(periodLabel(digest))}).</p>
+${sections.join('\n')}
+<hr>
+<p style="color:#666;font-size:12px">${escapeHtml(preferencesNote)}
+<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>
+</body>
+</html>
+`
+}
+
+// { subject, html, text } of the digest email
+const renderDigest = (digest, { unsubscribeUrl }) => {
+  const preferencesNote = `You get this ${digest.frequency} digest because you turned it on in Nilai.`
+  return {
+    subject: renderSubject(digest),
+    html: renderHtml(digest, { unsubscribeUrl, preferencesNote }),
+    text: renderText(digest, { unsubscribeUrl, preferencesNote })
+  }
+}
+
+module.exports = { escapeHtml, renderDigest }
@@ -0,0 +1,183 @@
+const crypto = require('crypto')
+const cron = require('node-cron')
+const { pool, EMOTION_MODEL, PUBLIC_API_URL } = require('../config')
+const { enqueueJob } = require('./jobQueue')
+const { getMailTransport } = require('./mail')
+const { renderDigest } = require('./digestTemplates')
+const { shiftDate } = require('../timezone')
+
+const DIGEST_FREQUENCIES = ['daily', 'weekly']
+// Digests go out from this hour of the user's local morning
+const DIGEST_HOUR = 8
+const DIGEST_TOP_EMOTIONS = 3
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  // Run every hour so each user's digest is sent in their local morning
+  cron.schedule('0 * * * *', async () => {
+    await queueDueDigests()
+  })
+}
+
+const createUnsubscribeToken = () => crypto.randomBytes(24).toString('base64url')
+
+const unsubscribeUrl = (token) => `${PUBLIC_API_URL}/api/digests/unsubscribe?token=${encodeURIComponent(token)}`
+
+// The days a digest sent on localDate covers: the day or the seven days before it
+const digestPeriod = (frequency, localDate) => ({
+  start: shiftDate(localDate, frequency === 'daily' ? -1 : -7),
+  end: shiftDate(localDate, -1)
+})
+
+// Claim the digests due at `now` and queue a job to send each one. Claiming
+// sets last_sent_on to the local date, so a digest goes out at most once a
+// day even when several processes run the scheduler.
+async function queueDueDigests(now = new Date()) {
+  try {
+    const due = await pool.query(`
+      WITH local_times AS (
+        SELECT p.user_id, $1::timestamptz AT TIME ZONE u.timezone AS local_now
+        FROM email_digest_preferences p
+        JOIN users u ON u.user_id = p.user_id
+        WHERE p.enabled
+      )
+      UPDATE email_digest_preferences p
+      SET last_sent_on = lt.local_now::date
+      FROM local_times lt
+      WHERE p.user_id = lt.user_id
+      AND EXTRACT(HOUR FROM lt.local_now) >= $2
+      AND (p.frequency = 'daily' OR EXTRACT(ISODOW FROM lt.local_now) = p.weekday)
+      AND (p.last_sent_on IS NULL OR p.last_sent_on < lt.local_now::date)
+      RETURNING p.user_id, p.last_sent_on::text AS local_date
+    `, [now, DIGEST_HOUR])
+
+    for (const digest of due.rows) {
+      await enqueueJob('send-email-digest', { userId: digest.user_id, localDate: digest.local_date }, {
+        userId: digest.user_id,
+        dedupeKey: `send-email-digest:${digest.user_id}:${digest.local_date}`
+      })
+    }
+
+    if (due.rows.length > 0) {
+      console.log(`Queued ${due.rows.length} email digests`)
+    }
+    return due.rows
+  } catch (error) {
+    console.error('Error queueing email digests:', error)
+    return []
+  }
+}
+
+// The latest summary, top emotions and quotes of the digest period, or null
+// when the user neither journaled nor got a summary or quote in it
+async function buildDigest({ userId, name, timezone, frequency }, localDate) {
+  const { start, end } = digestPeriod(frequency, localDate)
+
+  const entries = await pool.query(
+    `SELECT COUNT(*)::integer AS count FROM journal_entries
+     WHERE user_id = $1 AND deleted_at IS NULL
+     AND (created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date`,
+    [userId, timezone, start, end]
+  )
+
+  // Summaries are generated at local midnight for the days before summary_date
+  const summary = await pool.query(
+    `SELECT summary, key_themes, summary_date::text AS summary_date
+     FROM daily_summaries
+     WHERE user_id = $1 AND summary_date > $2::date AND summary_date <= $3::date
+     ORDER BY summary_date DESC
+     LIMIT 1`,
+    [userId, start, localDate]
+  )
+
+  const topEmotions = await pool.query(
+    `SELECT e ->> 'emotion' AS emotion, t.label, t.emoji, COUNT(*)::integer AS count
+     FROM journal_entries j
+     CROSS JOIN LATERAL jsonb_array_elements(j.emotions) AS e
+     LEFT JOIN emotion_taxonomy t ON t.model = $5 AND t.emotion = e ->> 'emotion'
+     WHERE j.user_id = $1 AND j.deleted_at IS NULL
+     AND (j.created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+     GROUP BY e ->> 'emotion', t.label, t.emoji
+     ORDER BY SUM(COALESCE((e ->> 'confidence')::float, 1)) DESC, count DESC, emotion
+     LIMIT $6`,
+    [userId, timezone, start, end, EMOTION_MODEL, DIGEST_TOP_EMOTIONS]
+  )
+
+  const quotes = await pool.query(
+    `SELECT quote_date::text AS quote_date, title, quote, author
+     FROM daily_quotes
+     WHERE user_id = $1 AND quote_date BETWEEN $2::date AND $3::date
+     ORDER BY quote_date`,
+    [userId, start, end]
+  )
+
+  const entryCount = entries.rows[0].count
+  if (entryCount === 0 && summary.rows.length === 0 && quotes.rows.length === 0) {
+    return null
+  }
+
+  return {
+    name,
+    frequency,
+    periodStart: start,
+    periodEnd: end,
+    entryCount,
+    summary: summary.rows[0] || null,
+    topEmotions: topEmotions.rows,
+    quotes: quotes.rows
+  }
+}
+
+// Email the digest for localDate unless the user turned digests off or has
+// nothing to read. Resolves to true when an email was sent.
+async function sendEmailDigest(userId, localDate) {
+  const recipient = await pool.query(
+    `SELECT u.name, u.email, u.timezone, p.frequency, p.unsubscribe_token
+     FROM email_digest_preferences p
+     JOIN users u ON u.user_id = p.user_id
+     WHERE p.user_id = $1 AND p.enabled`,
+    [userId]
+  )
+
+  if (recipient.rows.length === 0) {
+    console.log(`User ${userId} turned email digests off before the digest was sent`)
+    return false
+  }
+
+  const { name, email, timezone, frequency, unsubscribe_token: token } = recipient.rows[0]
+  const digest = await buildDigest({ userId, name, timezone, frequency }, localDate)
+
+  if (!digest) {
+    console.log(`Nothing to put in the email digest of user ${userId} on ${localDate}, skipping`)
+    return false
+  }
+
+  const url = unsubscribeUrl(token)
+  const { subject, html, text } = renderDigest(digest, { unsubscribeUrl: url })
+
+  // Delivery errors propagate so the job is retried
+  await getMailTransport().send({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: {
+      'List-Unsubscribe': `<${url}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  })
+
+  console.log(`Sent ${frequency} email digest to user ${userId}`)
+  return true
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  DIGEST_HOUR,
+  createUnsubscribeToken,
+  unsubscribeUrl,
+  digestPeriod,
+  queueDueDigests,
+  buildDigest,
+  sendEmailDigest
+}
@@ -1,9 +1,91 @@
+const cron = require('node-cron')
 const axios = require('./axios.js')
+const { pool, NLP_EMOTION_TIMEOUT_MS } = require('../config')
+const { decryptText } = require('../encryption')
+const { enqueueJob } = require('./jobQueue')
 const baseUrl = '/emotions'
 
+const PENDING_BATCH_SIZE = 100
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  // Requeue the analysis of entries left pending every 10 minutes
+  cron.schedule('*/10 * * * *', async () => {
+    await requeuePendingEmotions()
+  })
+}
+
+const enqueueEmotionAnalysis = (journalId, userId) =>
+  enqueueJob('analyze-emotions', { journalId }, { userId, dedupeKey: `analyze-emotions:${journalId}` })
+
 const getEmotion = async (content) => {
-  const response = await axios.post(baseUrl, { text: content })
+  const response = await axios.post(baseUrl, { text: content }, { timeout: NLP_EMOTION_TIMEOUT_MS })
   return response.data
 }
 
-module.exports = { getEmotion }
\ No newline at end of file
+// Analyse a saved entry. Throws when the service fails so the job is retried.
+async function analyzeJournalEmotions(journalId) {
+  const entry = await pool.query(
+    'SELECT content, client_encrypted FROM journal_entries WHERE journal_id = $1',
+    [journalId]
+  )
+
+  if (entry.rows.length === 0) {
+    console.log(`Journal entry ${journalId} was deleted before its emotions were analysed`)
+    return
+  }
+
+  // The entry was end-to-end encrypted after the job was queued; its client sends the emotions
+  if (entry.rows[0].client_encrypted) {
+    console.log(`Journal entry ${journalId} is end-to-end encrypted, skipping emotion analysis`)
+    return
+  }
+
+  const { content } = entry.rows[0]
+  const emotions = await getEmotion(await decryptText(content))
+
+  // Skip the update if the entry was edited in the meantime; the edit queued its own analysis.
+  // Edits that keep the content keep its encrypted value, so comparing stored values is enough.
+  await pool.query(
+    `UPDATE journal_entries
+     SET emotions = $1::jsonb, emotions_status = 'complete'
+     WHERE journal_id = $2 AND content = $3`,
+    [emotions ? JSON.stringify(emotions) : null, journalId, content]
+  )
+}
+
+// Queue the analysis of pending entries that have no queued or running job: their
+// job was dead-lettered, e.g. during an NLP outage, or queueing it failed after
+// the entry was saved
+async function requeuePendingEmotions() {
+  try {
+    const pending = await pool.query(
+      `SELECT journal_id, user_id
+       FROM journal_entries
+       WHERE emotions_status = 'pending' AND deleted_at IS NULL AND NOT client_encrypted
+       AND NOT EXISTS (
+         SELECT 1 FROM jobs
+         WHERE dedupe_key = 'analyze-emotions:' || journal_entries.journal_id
+         AND status IN ('queued', 'running')
+       )
+       ORDER BY created_at
+       LIMIT $1`,
+      [PENDING_BATCH_SIZE]
+    )
+
+    for (const entry of pending.rows) {
+      await enqueueEmotionAnalysis(entry.journal_id, entry.user_id)
+    }
+
+    if (pending.rows.length > 0) {
+      console.log(`Requeued emotion analysis of ${pending.rows.length} pending journal entries`)
+    }
+    return pending.rows.length
+  } catch (error) {
+    // Left pending for the next run
+    console.error('Error requeueing pending emotion analysis:', error)
+    return 0
+  }
+}
+
+module.exports = { getEmotion, analyzeJournalEmotions, enqueueEmotionAnalysis, requeuePendingEmotions }
@@ -0,0 +1,25 @@
+const { pool, EMOTION_MODEL } = require('../config')
+
+// Categories in display order and the labels of one emotion model with their
+// category, valence/arousal scores and display metadata
+async function getEmotionTaxonomy(model = EMOTION_MODEL) {
+  const categories = await pool.query(
+    `SELECT category, label, color, is_fallback
+     FROM emotion_categories
+     ORDER BY sort_order, category`
+  )
+
+  const emotions = await pool.query(
+    `SELECT et.emotion, et.category, et.valence, et.arousal, et.label, et.emoji,
+       COALESCE(et.color, ec.color) AS color
+     FROM emotion_taxonomy et
+     JOIN emotion_categories ec ON ec.category = et.category
+     WHERE et.model = $1
+     ORDER BY ec.sort_order, et.emotion`,
+    [model]
+  )
+
+  return { model, categories: categories.rows, emotions: emotions.rows }
+}
+
+module.exports = { getEmotionTaxonomy }
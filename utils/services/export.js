@@ -0,0 +1,253 @@
+const { once } = require('events')
+const { Readable } = require('stream')
+const archiver = require('archiver')
+const Cursor = require('pg-cursor')
+const { pool } = require('../config')
+const { ENTRY_TAGS_COLUMN } = require('../tags')
+const { decryptEntry } = require('../encryption')
+
+const EXPORT_FORMATS = ['json', 'markdown', 'csv']
+const BATCH_SIZE = 100
+
+// client_encrypted marks titles and content only the user's devices can decrypt
+const ENTRY_COLUMNS = [
+  'journal_id', 'title', 'content', 'emotions', 'favourite', 'client_encrypted',
+  'created_at', 'updated_at', 'deleted_at', 'tags'
+]
+const REVISION_COLUMNS = ['journal_id', 'revision_number', 'title', 'content', 'emotions', 'client_encrypted', 'saved_at', 'created_at']
+const DRAFT_COLUMNS = ['draft_id', 'title', 'content', 'tags', 'created_at', 'updated_at']
+const SUMMARY_COLUMNS = [
+  'summary_date', 'summary', 'key_themes', 'emotional_trends', 'entry_count',
+  'analysis_period_start', 'analysis_period_end'
+]
+const QUOTE_COLUMNS = ['quote_date', 'title', 'quote', 'author', 'citation', 'explanation', 'favourite']
+const REPORT_COLUMNS = [
+  'period', 'period_start', 'period_end', 'statistics', 'emotion_distribution',
+  'summary', 'key_themes', 'highlights'
+]
+
+const TABLE_QUERIES = {
+  journal_entries: `SELECT ${ENTRY_COLUMNS.map(column => column === 'tags' ? ENTRY_TAGS_COLUMN : column).join(', ')} FROM journal_entries WHERE user_id = $1 ORDER BY created_at, journal_id`,
+  journal_revisions: `SELECT ${REVISION_COLUMNS.map(column => `r.${column}`).join(', ')}
+    FROM journal_revisions r JOIN journal_entries j ON j.journal_id = r.journal_id
+    WHERE j.user_id = $1 ORDER BY r.journal_id, r.revision_number`,
+  journal_drafts: `SELECT ${DRAFT_COLUMNS.join(', ')} FROM journal_drafts WHERE user_id = $1 ORDER BY created_at, draft_id`,
+  daily_summaries: `SELECT ${SUMMARY_COLUMNS.join(', ')} FROM daily_summaries WHERE user_id = $1 ORDER BY summary_date`,
+  daily_quotes: `SELECT ${QUOTE_COLUMNS.join(', ')} FROM daily_quotes WHERE user_id = $1 ORDER BY quote_date`,
+  reflection_reports: `SELECT ${REPORT_COLUMNS.join(', ')} FROM reflection_reports WHERE user_id = $1 ORDER BY period, period_start`
+}
+
+// Stream rows through a server-side cursor so a large journal is never held in memory
+async function* readRows(client, text, values) {
+  const cursor = client.query(new Cursor(text, values))
+  try {
+    let rows = await cursor.read(BATCH_SIZE)
+    while (rows.length > 0) {
+      yield* rows
+      rows = await cursor.read(BATCH_SIZE)
+    }
+  } finally {
+    await cursor.close()
+  }
+}
+
+// Tables whose title and content are stored encrypted
+const ENCRYPTED_TABLES = ['journal_entries', 'journal_revisions', 'journal_drafts']
+
+// Rows of one exported table, decrypted where needed. Keys are looked up
+// through the pool since the export client is busy with the cursor.
+async function* tableRows(client, table, userId) {
+  const rows = readRows(client, TABLE_QUERIES[table], [userId])
+  if (!ENCRYPTED_TABLES.includes(table)) {
+    yield* rows
+    return
+  }
+  for await (const row of rows) {
+    yield await decryptEntry(row)
+  }
+}
+
+const formatDate = (value) => value instanceof Date ? value.toISOString().split('T')[0] : String(value)
+
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return ''
+  }
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsvLine = (values) => values.map(toCsvValue).join(',') + '\r\n'
+
+// JSON strings are valid YAML scalars, so front-matter values reuse JSON encoding
+const toFrontMatter = (fields) => [
+  '---',
+  ...Object.entries(fields).map(([key, value]) => `${key}: ${JSON.stringify(value ?? null)}`),
+  '---',
+  ''
+].join('\n')
+
+async function* jsonArray(rows) {
+  let first = true
+  yield '['
+  for await (const row of rows) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(row)
+    first = false
+  }
+  yield '\n]\n'
+}
+
+async function* csvTable(columns, rows) {
+  yield toCsvLine(columns)
+  for await (const row of rows) {
+    yield toCsvLine(columns.map(column => row[column]))
+  }
+}
+
+async function* summariesMarkdown(rows) {
+  yield '# Daily summaries\n'
+  for await (const row of rows) {
+    yield `\n## ${formatDate(row.summary_date)}\n\n${row.summary}\n`
+    if (Array.isArray(row.key_themes) && row.key_themes.length > 0) {
+      yield `\nKey themes: ${row.key_themes.join(', ')}\n`
+    }
+  }
+}
+
+async function* quotesMarkdown(rows) {
+  yield '# Daily quotes\n'
+  for await (const row of rows) {
+    yield `\n## ${formatDate(row.quote_date)}${row.title ? ` - ${row.title}` : ''}\n\n> ${row.quote}\n`
+    if (row.author) {
+      yield `>\n> - ${row.author}${row.citation ? `, ${row.citation}` : ''}\n`
+    }
+    if (row.explanation) {
+      yield `\n${row.explanation}\n`
+    }
+  }
+}
+
+async function* reportsMarkdown(rows) {
+  yield '# Reflection reports\n'
+  for await (const row of rows) {
+    yield `\n## ${row.period === 'week' ? 'Week' : 'Month'} of ${formatDate(row.period_start)}\n`
+    yield `\n${row.statistics.entry_count} entries on ${row.statistics.days_journaled} days\n`
+    if (row.summary) {
+      yield `\n${row.summary}\n`
+    }
+    if (Array.isArray(row.key_themes) && row.key_themes.length > 0) {
+      yield `\nKey themes: ${row.key_themes.join(', ')}\n`
+    }
+  }
+}
+
+const entryMarkdown = (entry) => toFrontMatter({
+  journal_id: entry.journal_id,
+  title: entry.title,
+  created_at: entry.created_at,
+  updated_at: entry.updated_at,
+  favourite: entry.favourite,
+  client_encrypted: entry.client_encrypted,
+  tags: entry.tags,
+  deleted_at: entry.deleted_at,
+  emotions: entry.emotions
+}) + `\n# ${entry.title}\n\n${entry.content}\n`
+
+const revisionMarkdown = (revision) => toFrontMatter({
+  journal_id: revision.journal_id,
+  revision_number: revision.revision_number,
+  title: revision.title,
+  saved_at: revision.saved_at,
+  replaced_at: revision.created_at,
+  client_encrypted: revision.client_encrypted,
+  emotions: revision.emotions
+}) + `\n# ${revision.title}\n\n${revision.content}\n`
+
+const draftMarkdown = (draft) => toFrontMatter({
+  draft_id: draft.draft_id,
+  title: draft.title,
+  created_at: draft.created_at,
+  updated_at: draft.updated_at,
+  tags: draft.tags
+}) + `\n# ${draft.title}\n\n${draft.content}\n`
+
+// Append one entry and wait until archiver has consumed it, so sources are
+// read one at a time and the archive queue never buffers the whole journal
+async function appendEntry(archive, source, name) {
+  const entryProcessed = once(archive, 'entry')
+  archive.append(typeof source === 'string' ? source : Readable.from(source), { name })
+  await entryProcessed
+}
+
+async function writeJsonExport(archive, client, userId, profile) {
+  await appendEntry(archive, JSON.stringify(profile, null, 2) + '\n', 'profile.json')
+  for (const table of Object.keys(TABLE_QUERIES)) {
+    await appendEntry(archive, jsonArray(tableRows(client, table, userId)), `${table}.json`)
+  }
+}
+
+async function writeCsvExport(archive, client, userId, profile) {
+  const profileCsv = toCsvLine(['field', 'value']) +
+    Object.entries(profile).map(([field, value]) => toCsvLine([field, value])).join('')
+  await appendEntry(archive, profileCsv, 'profile.csv')
+
+  await appendEntry(archive, csvTable(ENTRY_COLUMNS, tableRows(client, 'journal_entries', userId)), 'journal_entries.csv')
+  await appendEntry(archive, csvTable(REVISION_COLUMNS, tableRows(client, 'journal_revisions', userId)), 'journal_revisions.csv')
+  await appendEntry(archive, csvTable(DRAFT_COLUMNS, tableRows(client, 'journal_drafts', userId)), 'journal_drafts.csv')
+  await appendEntry(archive, csvTable(SUMMARY_COLUMNS, tableRows(client, 'daily_summaries', userId)), 'daily_summaries.csv')
+  await appendEntry(archive, csvTable(QUOTE_COLUMNS, tableRows(client, 'daily_quotes', userId)), 'daily_quotes.csv')
+  await appendEntry(archive, csvTable(REPORT_COLUMNS, tableRows(client, 'reflection_reports', userId)), 'reflection_reports.csv')
+}
+
+async function writeMarkdownExport(archive, client, userId, profile) {
+  await appendEntry(archive, toFrontMatter(profile) + `\n# ${profile.name}\n`, 'profile.md')
+
+  for await (const entry of tableRows(client, 'journal_entries', userId)) {
+    const name = `journal/${formatDate(entry.created_at)}-${entry.journal_id}.md`
+    await appendEntry(archive, entryMarkdown(entry), name)
+  }
+
+  for await (const revision of tableRows(client, 'journal_revisions', userId)) {
+    const name = `journal/revisions/${revision.journal_id}-${revision.revision_number}.md`
+    await appendEntry(archive, revisionMarkdown(revision), name)
+  }
+
+  for await (const draft of tableRows(client, 'journal_drafts', userId)) {
+    await appendEntry(archive, draftMarkdown(draft), `drafts/${draft.draft_id}.md`)
+  }
+
+  await appendEntry(archive, summariesMarkdown(tableRows(client, 'daily_summaries', userId)), 'daily_summaries.md')
+  await appendEntry(archive, quotesMarkdown(tableRows(client, 'daily_quotes', userId)), 'daily_quotes.md')
+  await appendEntry(archive, reportsMarkdown(tableRows(client, 'reflection_reports', userId)), 'reflection_reports.md')
+}
+
+const WRITERS = {
+  json: writeJsonExport,
+  markdown: writeMarkdownExport,
+  csv: writeCsvExport
+}
+
+// Stream a zip archive of everything stored for the user into `output`
+async function streamUserExport(userId, format, output) {
+  const client = await pool.connect()
+  const archive = archiver('zip', { zlib: { level: 6 } })
+
+  archive.pipe(output)
+
+  try {
+    const userResult = await client.query('SELECT * FROM users WHERE user_id = $1', [userId])
+    const { firebase_uid, ...profile } = userResult.rows[0]
+
+    await WRITERS[format](archive, client, userId, profile)
+    await archive.finalize()
+  } catch (error) {
+    archive.abort()
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+module.exports = { EXPORT_FORMATS, streamUserExport }
@@ -0,0 +1,139 @@
+// Parsers for journal exports from other apps. Each parser turns the uploaded
+// export into a list of { title, content, createdAt } candidates, or
+// { error } for items that cannot be mapped to a journal entry.
+
+const MAX_TITLE_LENGTH = 100
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+
+const toDate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const truncateTitle = (title) => title.length > MAX_TITLE_LENGTH
+  ? title.slice(0, MAX_TITLE_LENGTH - 3).trimEnd() + '...'
+  : title
+
+// Use a leading Markdown heading as the title, otherwise the first line
+const splitTitle = (text) => {
+  const trimmed = text.trim()
+  const [firstLine, ...rest] = trimmed.split(/\r?\n/)
+  const heading = firstLine.match(/^#{1,6}\s+(.*)$/)
+
+  if (heading) {
+    return { title: heading[1].trim(), content: rest.join('\n').trim() || heading[1].trim() }
+  }
+
+  return { title: firstLine.trim(), content: trimmed }
+}
+
+const toCandidate = (text, createdAt, fallbackTitle) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'Entry has no text' }
+  }
+  if (!createdAt) {
+    return { error: 'Entry has no valid date' }
+  }
+
+  const { title, content } = fallbackTitle
+    ? { title: fallbackTitle, content: text.trim() }
+    : splitTitle(text)
+
+  // Titles from headings, front matter and other apps can be of any length
+  return { title: truncateTitle(title) || createdAt.toISOString().split('T')[0], content, createdAt }
+}
+
+// Day One: the Journal.json file from a Day One JSON export
+const parseDayOne = (data) => {
+  if (!isPlainObject(data) || !Array.isArray(data.entries)) {
+    return { error: 'Day One imports must be the contents of Journal.json with an entries array' }
+  }
+
+  // Day One escapes Markdown punctuation in its text export
+  return {
+    candidates: data.entries.map(entry => isPlainObject(entry)
+      ? toCandidate(
+        typeof entry.text === 'string' ? entry.text.replace(/\\([\\`*_{}[\]()#+\-.!])/g, '$1') : entry.text,
+        toDate(entry.creationDate)
+      )
+      : { error: 'Entry must be an object' })
+  }
+}
+
+// Journey: the per-entry JSON files from a Journey export, as an array
+const parseJourney = (data) => {
+  if (!Array.isArray(data)) {
+    return { error: 'Journey imports must be an array of exported entry objects' }
+  }
+
+  return {
+    candidates: data.map(entry => isPlainObject(entry)
+      ? toCandidate(entry.text, toDate(entry.date_journal), typeof entry.title === 'string' ? entry.title.trim() : null)
+      : { error: 'Entry must be an object' })
+  }
+}
+
+const parseFrontMatter = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/)
+  if (!match) {
+    return { fields: {}, body: text }
+  }
+
+  const fields = {}
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/)
+    if (!field) {
+      continue
+    }
+    const raw = field[2].trim()
+    try {
+      fields[field[1]] = JSON.parse(raw)
+    } catch {
+      fields[field[1]] = raw.replace(/^'(.*)'$/, '$1')
+    }
+  }
+
+  return { fields, body: text.slice(match[0].length) }
+}
+
+// Plain Markdown: an array of { name, content } files, dated by front-matter
+// `date`/`created_at` or a YYYY-MM-DD prefix in the file name
+const parseMarkdown = (data) => {
+  if (!Array.isArray(data)) {
+    return { error: 'Markdown imports must be an array of { name, content } files' }
+  }
+
+  return {
+    candidates: data.map(file => {
+      if (!isPlainObject(file) || typeof file.content !== 'string') {
+        return { error: 'File must be an object with string content' }
+      }
+
+      const { fields, body } = parseFrontMatter(file.content)
+      const nameDate = typeof file.name === 'string' ? file.name.match(/(\d{4}-\d{2}-\d{2})/) : null
+      const createdAt = toDate(fields.created_at) || toDate(fields.date) || toDate(nameDate && nameDate[1])
+
+      if (typeof fields.title === 'string' && fields.title.trim() !== '') {
+        // Drop a leading heading that just repeats the front-matter title
+        const title = fields.title.trim()
+        const withoutHeading = body.trim().replace(new RegExp(`^#{1,6}\\s+${title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*(\\r?\\n|$)`), '')
+        return toCandidate(withoutHeading, createdAt, title)
+      }
+
+      return toCandidate(body, createdAt)
+    })
+  }
+}
+
+const IMPORT_PARSERS = {
+  dayone: parseDayOne,
+  journey: parseJourney,
+  markdown: parseMarkdown
+}
+
+module.exports = { IMPORT_PARSERS }
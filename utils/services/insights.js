@@ -1,44 +1,42 @@
 const cron = require('node-cron')
-const { pool } = require('../config')
+const { pool, NLP_GENERATION_TIMEOUT_MS } = require('../config')
 const axios = require('./axios.js')
+const { enqueueJob } = require('./jobQueue')
+const { DEFAULT_TIMEZONE, localDate, shiftDate } = require('../timezone')
+const { decryptEntries } = require('../encryption')
 
 // Only run cron job in production/development, not during tests
 if (process.env.NODE_ENV !== 'test') {
-  // Run every day at 12:00 AM
-  cron.schedule('0 0 * * *', async () => {
-    console.log('Running daily summary generation at 12:00 AM')
+  // Run every hour so each user's summary is generated at their local midnight
+  cron.schedule('0 * * * *', async () => {
+    console.log('Running daily summary generation for users at local midnight')
     await generateDailySummariesForAllUsers()
   })
 }
 
 async function generateDailySummariesForAllUsers() {
   try {
-    // Get all users who had journal entries yesterday
-    const yesterday = new Date()
-    yesterday.setDate(yesterday.getDate() - 1)
-    const yesterdayStr = yesterday.toISOString().split('T')[0]
-
-    const today = new Date().toISOString().split('T')[0]
-
-    // Find users with journal entries from yesterday
+    // Find users for whom it is now the midnight hour and who journaled during their local yesterday
     const usersWithYesterdayEntries = await pool.query(`
-      SELECT DISTINCT user_id 
-      FROM journal_entries 
-      WHERE DATE(created_at) = $1
-    `, [yesterdayStr])
+      SELECT DISTINCT u.user_id, u.timezone
+      FROM users u
+      JOIN journal_entries j ON j.user_id = u.user_id AND j.deleted_at IS NULL AND NOT j.client_encrypted
+      WHERE EXTRACT(HOUR FROM CURRENT_TIMESTAMP AT TIME ZONE u.timezone) = 0
+      AND (j.created_at AT TIME ZONE u.timezone)::date = (CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date - 1
+    `)
 
     console.log(`Found ${usersWithYesterdayEntries.rows.length} users with journal entries from yesterday`)
 
-    // Generate summary for each user
+    // Queue a summary job for each user so failures are retried independently
     for (const user of usersWithYesterdayEntries.rows) {
-      try {
-        await generateDailySummaryForUser(user.user_id, today)
-      } catch (error) {
-        console.error(`Failed to generate summary for user ${user.user_id}:`, error)
-      }
+      const today = localDate(user.timezone)
+      await enqueueJob('generate-daily-summary', { userId: user.user_id, summaryDate: today }, {
+        userId: user.user_id,
+        dedupeKey: `generate-daily-summary:${user.user_id}:${today}`
+      })
     }
 
-    console.log('Daily summary generation completed')
+    console.log('Daily summary jobs queued')
   } catch (error) {
     console.error('Error in daily summary generation:', error)
   }
@@ -56,77 +54,100 @@ async function generateDailySummaryForUser(userId, summaryDate) {
     return
   }
 
-  // Get past 7 days of entries
-  const sevenDaysAgo = new Date()
-  sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7)
-  const yesterday = new Date()
-  yesterday.setDate(yesterday.getDate() - 1)
+  const userResult = await pool.query('SELECT timezone FROM users WHERE user_id = $1', [userId])
+  const timeZone = userResult.rows.length > 0 ? userResult.rows[0].timezone : DEFAULT_TIMEZONE
+
+  // Get the entries of the 7 days before summaryDate and of summaryDate itself, from
+  // and to the user's local midnight, so a late or retried job reads the same days.
+  // End-to-end encrypted entries are left out since they cannot be sent to the NLP service.
+  const periodStart = shiftDate(summaryDate, -7)
+  const periodEnd = summaryDate
 
   const entries = await pool.query(`
     SELECT title, content, emotions, created_at 
     FROM journal_entries 
     WHERE user_id = $1 
-    AND created_at >= $2 
-    AND created_at < $3
+    AND deleted_at IS NULL
+    AND NOT client_encrypted
+    AND created_at >= ($2::date::timestamp AT TIME ZONE $3)
+    AND created_at < (($4::date + 1)::timestamp AT TIME ZONE $3)
     ORDER BY created_at DESC
-  `, [userId, sevenDaysAgo, new Date()])
+  `, [userId, periodStart, timeZone, periodEnd])
 
   if (entries.rows.length === 0) {
     console.log(`No entries found for user ${userId} in the past 7 days`)
     return
   }
 
-  // Generate summary via NLP service
-  try {
-    const response = await axios.post('/insights/daily-summary', {
-      entries: entries.rows
-    })
-
-    const summaryData = response.data
-
-    // Store the summary
-    await pool.query(`
-      INSERT INTO daily_summaries 
-      (user_id, summary, key_themes, emotional_trends, entry_count, analysis_period_start, analysis_period_end, summary_date)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-    `, [
-      userId,
-      summaryData.summary,
-      JSON.stringify(summaryData.key_themes),
-      JSON.stringify(summaryData.emotional_trends),
-      entries.rows.length,
-      sevenDaysAgo.toISOString().split('T')[0],
-      yesterday.toISOString().split('T')[0],
-      summaryDate
-    ])
-
-    console.log(`Generated daily summary for user ${userId}`)
-  } catch (error) {
-    console.error(`Error generating summary for user ${userId}:`, error)
-  }
+  // Generate summary via NLP service; errors propagate so the job is retried
+  const response = await axios.post('/insights/daily-summary', {
+    entries: await decryptEntries(entries.rows)
+  }, { timeout: NLP_GENERATION_TIMEOUT_MS })
+
+  const summaryData = response.data
+
+  // Store the summary
+  await pool.query(`
+    INSERT INTO daily_summaries 
+    (user_id, summary, key_themes, emotional_trends, entry_count, analysis_period_start, analysis_period_end, summary_date)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (user_id, summary_date) DO NOTHING
+  `, [
+    userId,
+    summaryData.summary,
+    JSON.stringify(summaryData.key_themes),
+    JSON.stringify(summaryData.emotional_trends),
+    entries.rows.length,
+    periodStart,
+    periodEnd,
+    summaryDate
+  ])
+
+  console.log(`Generated daily summary for user ${userId}`)
 }
 
-async function generateDailyQuote(userId) {
-  try {
-    // Get last 7 days of entries
-    const sevenDaysAgo = new Date()
-    sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7)
+// quoteDate is the user's local date, today unless given
+async function generateDailyQuote(userId, quoteDate) {
+  const userResult = await pool.query('SELECT timezone FROM users WHERE user_id = $1', [userId])
+  const timeZone = userResult.rows.length > 0 ? userResult.rows[0].timezone : DEFAULT_TIMEZONE
+
+  // Get last 7 days of entries the NLP service may read, from the user's local
+  // midnight and up to the end of the quote's day
+  const day = quoteDate ?? localDate(timeZone)
+  const entries = await pool.query(
+    `SELECT title, content, emotions, created_at FROM journal_entries
+     WHERE user_id = $1 AND deleted_at IS NULL AND NOT client_encrypted
+     AND created_at >= ($2::date::timestamp AT TIME ZONE $3)
+     AND created_at < (($4::date + 1)::timestamp AT TIME ZONE $3)
+     ORDER BY created_at DESC`,
+    [userId, shiftDate(day, -7), timeZone, day]
+  )
 
-    const entries = await pool.query(
-      'SELECT title, content, emotions, created_at FROM journal_entries WHERE user_id = $1 AND created_at >= $2 ORDER BY created_at DESC',
-      [userId, sevenDaysAgo]
-    )
+  // Call NLP service using axios
+  const response = await axios.post('/insights/quote', {
+    entries: await decryptEntries(entries.rows)
+  }, { timeout: NLP_GENERATION_TIMEOUT_MS })
 
-    // Call NLP service using axios
-    const response = await axios.post('/insights/quote', {
-      entries: entries.rows
-    })
+  return response.data
+}
 
-    return response.data
-  } catch (error) {
-    console.error('Error generating daily quote:', error)
-    return null
+// quoteDate is the user's local date the quote is for
+async function generateAndStoreDailyQuote(userId, quoteDate) {
+  const quote = await generateDailyQuote(userId, quoteDate)
+
+  if (!quote || !quote.quote) {
+    console.log(`No quote generated for user ${userId}`)
+    return
   }
+
+  await pool.query(
+    `INSERT INTO daily_quotes (user_id, title, quote, author, citation, explanation, quote_date)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     ON CONFLICT (user_id, quote_date) DO NOTHING`,
+    [userId, quote.title, quote.quote, quote.author, quote.citation, quote.explanation, quoteDate]
+  )
+
+  console.log(`Generated daily quote for user ${userId}`)
 }
 
-module.exports = { generateDailySummariesForAllUsers, generateDailySummaryForUser, generateDailyQuote }
\ No newline at end of file
+module.exports = { generateDailySummariesForAllUsers, generateDailySummaryForUser, generateDailyQuote, generateAndStoreDailyQuote }
\ No newline at end of file
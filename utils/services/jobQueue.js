@@ -0,0 +1,258 @@
+const { pool } = require('../config')
+
+// Postgres-backed job queue. Workers claim jobs with SELECT ... FOR UPDATE
+// SKIP LOCKED, so several processes can poll the same table without taking
+// the same job twice. Failed jobs are retried with exponential backoff and
+// moved to the 'dead' status once they run out of attempts. Jobs rejected by an
+// open circuit breaker are postponed without using up an attempt.
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const RETRY_BASE_DELAY_SECONDS = 30
+const RETRY_MAX_DELAY_SECONDS = 3600
+// Jobs left 'running' longer than this belonged to a worker that crashed
+const STALE_JOB_MINUTES = 10
+const POLL_INTERVAL_MS = 2000
+const STALE_CHECK_INTERVAL_MS = 60000
+
+const handlers = new Map()
+
+let running = false
+let idleTimer = null
+let currentLoop = null
+
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler)
+}
+
+// Add a job to the queue. A dedupeKey makes enqueueing idempotent while a job
+// with the same key is still queued; the queued job is returned instead.
+async function enqueueJob(type, payload = {}, { userId = null, runAt = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, dedupeKey = null } = {}) {
+  const inserted = await pool.query(
+    `INSERT INTO jobs (type, payload, user_id, run_at, max_attempts, dedupe_key)
+     VALUES ($1, $2::jsonb, $3, COALESCE($4, CURRENT_TIMESTAMP), $5, $6)
+     ON CONFLICT (dedupe_key) WHERE status = 'queued' DO NOTHING
+     RETURNING *`,
+    [type, JSON.stringify(payload), userId, runAt, maxAttempts, dedupeKey]
+  )
+
+  if (inserted.rows.length > 0) {
+    return inserted.rows[0]
+  }
+
+  const existing = await pool.query(
+    `SELECT * FROM jobs
+     WHERE dedupe_key = $1 AND status = 'queued'`,
+    [dedupeKey]
+  )
+  return existing.rows[0]
+}
+
+// Only claim job types this process has handlers for
+async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE job_id = (
+      SELECT job_id
+      FROM jobs
+      WHERE status = 'queued' AND run_at <= CURRENT_TIMESTAMP AND type = ANY($1)
+      ORDER BY run_at, job_id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `, [[...handlers.keys()]])
+  return result.rows[0] || null
+}
+
+async function completeJob(job) {
+  await pool.query(
+    `UPDATE jobs
+     SET status = 'completed', locked_at = NULL, last_error = NULL,
+         completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE job_id = $1`,
+    [job.job_id]
+  )
+}
+
+// Queue the running job again in delaySeconds, giving back its attempt when
+// refundAttempt is set. Jobs no longer running, e.g. already requeued as stale,
+// are left alone.
+async function requeueJob(job, message, delaySeconds, { refundAttempt = false } = {}) {
+  try {
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'queued', attempts = attempts - $4, locked_at = NULL, last_error = $2,
+           run_at = CURRENT_TIMESTAMP + make_interval(secs => $3), updated_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'running'`,
+      [job.job_id, message, delaySeconds, refundAttempt ? 1 : 0]
+    )
+  } catch (updateError) {
+    if (updateError.code !== '23505') { // Unique constraint violation
+      throw updateError
+    }
+    // The same work was enqueued again while this attempt ran, so the queued copy replaces the retry
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'completed', locked_at = NULL, last_error = $2,
+           completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'running'`,
+      [job.job_id, `Superseded by a queued duplicate after: ${message}`]
+    )
+  }
+}
+
+// Retry the running job later, or dead-letter it once it has used up its attempts
+async function failJob(job, error) {
+  const message = error && error.message ? error.message : String(error)
+
+  if (job.attempts >= job.max_attempts) {
+    console.error(`Job ${job.job_id} (${job.type}) moved to dead letter after ${job.attempts} attempts:`, message)
+    await pool.query(
+      `UPDATE jobs
+       SET status = 'dead', locked_at = NULL, last_error = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE job_id = $1 AND status = 'running'`,
+      [job.job_id, message]
+    )
+    return
+  }
+
+  const delaySeconds = Math.min(RETRY_BASE_DELAY_SECONDS * 2 ** (job.attempts - 1), RETRY_MAX_DELAY_SECONDS)
+  console.error(`Job ${job.job_id} (${job.type}) failed, retrying in ${delaySeconds}s:`, message)
+  await requeueJob(job, message, delaySeconds)
+}
+
+// The job's service is known to be down and the call was never made, so the
+// attempt is given back and the job waits until the circuit may close again
+async function postponeJob(job, error) {
+  const delaySeconds = Math.max(Math.ceil((error.retryAfterMs || 0) / 1000), RETRY_BASE_DELAY_SECONDS)
+  console.log(`Job ${job.job_id} (${job.type}) postponed ${delaySeconds}s while its service is unavailable`)
+  await requeueJob(job, error.message, delaySeconds, { refundAttempt: true })
+}
+
+// Claim and run a single job. Returns false when no job was ready.
+async function processNextJob() {
+  const job = await claimNextJob()
+  if (!job) {
+    return false
+  }
+
+  try {
+    await handlers.get(job.type)(job.payload, job)
+    await completeJob(job)
+  } catch (error) {
+    if (error && error.code === 'CIRCUIT_OPEN') {
+      await postponeJob(job, error)
+    } else {
+      await failJob(job, error)
+    }
+  }
+
+  return true
+}
+
+// Run jobs until none are ready
+async function processJobs() {
+  let processed = 0
+  while (await processNextJob()) {
+    processed++
+  }
+  return processed
+}
+
+// Fail the jobs of crashed workers one by one like any other failed attempt, so
+// jobs out of attempts are dead-lettered and a job whose work was enqueued
+// again in the meantime does not clash with the queued copy
+async function requeueStaleJobs() {
+  const result = await pool.query(
+    `SELECT * FROM jobs
+     WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+     ORDER BY job_id`,
+    [STALE_JOB_MINUTES]
+  )
+
+  for (const job of result.rows) {
+    await failJob(job, new Error('Worker stopped before the job finished'))
+  }
+
+  if (result.rows.length > 0) {
+    console.log(`Handled ${result.rows.length} stale jobs`)
+  }
+}
+
+// The queued or running job with dedupeKey, if any. enqueueJob only dedupes
+// queued jobs, so check this first when a running one should not be repeated.
+async function findActiveJob(dedupeKey) {
+  const result = await pool.query(
+    `SELECT * FROM jobs
+     WHERE dedupe_key = $1 AND status IN ('queued', 'running')
+     ORDER BY job_id DESC
+     LIMIT 1`,
+    [dedupeKey]
+  )
+  return result.rows[0] || null
+}
+
+async function getJob(jobId, userId) {
+  const result = await pool.query(
+    `SELECT job_id, type, status, attempts, max_attempts, last_error, run_at, created_at, completed_at
+     FROM jobs
+     WHERE job_id = $1 AND user_id = $2`,
+    [jobId, userId]
+  )
+  return result.rows[0] || null
+}
+
+function startWorker({ pollInterval = POLL_INTERVAL_MS } = {}) {
+  if (running) {
+    return
+  }
+  running = true
+  let lastStaleCheck = 0
+
+  const loop = async () => {
+    try {
+      if (Date.now() - lastStaleCheck >= STALE_CHECK_INTERVAL_MS) {
+        lastStaleCheck = Date.now()
+        await requeueStaleJobs()
+      }
+      while (running && await processNextJob()) {
+        // Keep draining ready jobs before going back to sleep
+      }
+    } catch (error) {
+      console.error('Job worker error:', error)
+    }
+
+    if (running) {
+      idleTimer = setTimeout(() => {
+        currentLoop = loop()
+      }, pollInterval)
+    }
+  }
+
+  currentLoop = loop()
+  console.log('Job worker started')
+}
+
+// Stop polling and wait for the job in progress to finish
+async function stopWorker() {
+  if (!running) {
+    return
+  }
+  running = false
+  clearTimeout(idleTimer)
+  await currentLoop
+  console.log('Job worker stopped')
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  processNextJob,
+  processJobs,
+  requeueStaleJobs,
+  findActiveJob,
+  getJob,
+  startWorker,
+  stopWorker
+}
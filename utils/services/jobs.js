@@ -0,0 +1,27 @@
+const { registerJobHandler, enqueueJob, startWorker } = require('./jobQueue')
+const { analyzeJournalEmotions, enqueueEmotionAnalysis } = require('./emotion')
+const { generateDailySummaryForUser, generateAndStoreDailyQuote } = require('./insights')
+const { generateReportForUser } = require('./reports')
+const { sendJournalReminder } = require('./reminders')
+const { sendEmailDigest } = require('./digests')
+const { deleteOrphanedFiles } = require('./attachments')
+
+// Job types handled by the background worker
+registerJobHandler('analyze-emotions', ({ journalId }) => analyzeJournalEmotions(journalId))
+registerJobHandler('generate-daily-summary', ({ userId, summaryDate }) => generateDailySummaryForUser(userId, summaryDate))
+registerJobHandler('generate-daily-quote', ({ userId, quoteDate }) => generateAndStoreDailyQuote(userId, quoteDate))
+registerJobHandler('generate-reflection-report', ({ userId, period, periodStart }) => generateReportForUser(userId, period, periodStart))
+registerJobHandler('send-journal-reminder', ({ reminderId, localDate }) => sendJournalReminder(reminderId, localDate))
+registerJobHandler('send-email-digest', ({ userId, localDate }) => sendEmailDigest(userId, localDate))
+registerJobHandler('delete-orphaned-files', () => deleteOrphanedFiles())
+
+// Call after deleting attachments or entries; one queued cleanup covers every user
+const enqueueOrphanedFileCleanup = () =>
+  enqueueJob('delete-orphaned-files', {}, { dedupeKey: 'delete-orphaned-files' })
+
+// Only run the worker in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  startWorker()
+}
+
+module.exports = { enqueueEmotionAnalysis, enqueueOrphanedFileCleanup }
@@ -0,0 +1,56 @@
+const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, MAIL_FROM } = require('../config')
+
+// Pluggable outgoing email transport. A transport implements:
+//   send({ to, subject, html, text, headers }) - deliver one message
+
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  // Loaded on demand so nodemailer is only required when email is sent
+  const nodemailer = require('nodemailer')
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  })
+
+  return {
+    async send(message) {
+      await transporter.sendMail({ from, ...message })
+    }
+  }
+}
+
+// Records messages instead of delivering them, for tests
+const createFakeTransport = () => {
+  const sent = []
+  return {
+    sent,
+    async send(message) {
+      sent.push(message)
+    }
+  }
+}
+
+let transport = null
+
+// SMTP with the configured server, created on first use
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createSmtpTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+      from: MAIL_FROM
+    })
+  }
+  return transport
+}
+
+// Replace the transport, e.g. with createFakeTransport() in tests
+const setMailTransport = (backend) => {
+  transport = backend
+}
+
+module.exports = { createSmtpTransport, createFakeTransport, getMailTransport, setMailTransport }
@@ -0,0 +1,55 @@
+// Pluggable push notification sender. A sender implements:
+//   send(tokens, { title, body, data }) - deliver a notification to device
+//     tokens and resolve to { sent, invalidTokens }, where invalidTokens are
+//     tokens the push service no longer accepts and should be forgotten
+
+// FCM errors meaning the app was uninstalled or the token was never valid
+const INVALID_TOKEN_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+]
+
+const createFcmSender = (messaging) => ({
+  async send(tokens, { title, body, data = {} }) {
+    const result = await messaging.sendEachForMulticast({ tokens, notification: { title, body }, data })
+    const invalidTokens = tokens.filter((token, index) => {
+      const { success, error } = result.responses[index]
+      return !success && INVALID_TOKEN_CODES.includes(error?.code)
+    })
+    return { sent: result.successCount, invalidTokens }
+  }
+})
+
+// Records notifications instead of delivering them, for tests and local development.
+// Tokens listed in `invalidTokens` are reported back as invalid.
+const createFakeSender = ({ invalidTokens = [] } = {}) => {
+  const sent = []
+  return {
+    sent,
+    async send(tokens, notification) {
+      const delivered = tokens.filter(token => !invalidTokens.includes(token))
+      if (delivered.length > 0) {
+        sent.push({ tokens: delivered, notification })
+      }
+      return { sent: delivered.length, invalidTokens: tokens.filter(token => invalidTokens.includes(token)) }
+    }
+  }
+}
+
+let sender = null
+
+// Firebase Cloud Messaging through firebase-admin, created on first use
+const getPushSender = () => {
+  if (!sender) {
+    const admin = require('../../firebaseAdmin')
+    sender = createFcmSender(admin.messaging())
+  }
+  return sender
+}
+
+// Replace the sender, e.g. with createFakeSender() in tests
+const setPushSender = (backend) => {
+  sender = backend
+}
+
+module.exports = { createFcmSender, createFakeSender, getPushSender, setPushSender }
@@ -0,0 +1,57 @@
+const cron = require('node-cron')
+const { pool, DAILY_QUOTE_GENERATIONS, DAILY_SUMMARY_GENERATIONS, DAILY_REPORT_GENERATIONS } = require('../config')
+
+// Quotes, summaries and reports each user may have generated on demand per local
+// day. The summaries and reports queued by cron do not count against them.
+const DAILY_GENERATION_QUOTAS = {
+  quote: DAILY_QUOTE_GENERATIONS,
+  summary: DAILY_SUMMARY_GENERATIONS,
+  report: DAILY_REPORT_GENERATIONS
+}
+
+// Days of usage kept before it is pruned
+const QUOTA_USAGE_RETENTION_DAYS = 7
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  cron.schedule('15 4 * * *', async () => {
+    await pruneQuotaUsage()
+  })
+}
+
+// Use one of the user's on-demand generations of `kind` ('quote', 'summary' or 'report')
+// for usageDate, their local date. Resolves to { allowed, limit, remaining };
+// nothing is used once the quota is spent.
+async function consumeGenerationQuota(userId, kind, usageDate) {
+  const limit = DAILY_GENERATION_QUOTAS[kind]
+
+  const { rows } = await pool.query(
+    `INSERT INTO generation_quota_usage AS q (user_id, kind, usage_date, used)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (user_id, kind, usage_date) DO UPDATE
+     SET used = q.used + 1
+     WHERE q.used < $4
+     RETURNING used`,
+    [userId, kind, usageDate, limit]
+  )
+
+  if (rows.length === 0) {
+    return { allowed: false, limit, remaining: 0 }
+  }
+  return { allowed: true, limit, remaining: limit - rows[0].used }
+}
+
+async function pruneQuotaUsage(retentionDays = QUOTA_USAGE_RETENTION_DAYS) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM generation_quota_usage WHERE usage_date < CURRENT_DATE - $1::integer',
+      [retentionDays]
+    )
+    return result.rowCount
+  } catch (error) {
+    console.error('Error pruning generation quota usage:', error)
+    return 0
+  }
+}
+
+module.exports = { DAILY_GENERATION_QUOTAS, consumeGenerationQuota, pruneQuotaUsage }
@@ -0,0 +1,116 @@
+const cron = require('node-cron')
+const { pool, RATE_LIMIT_STORE } = require('../config')
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test' && RATE_LIMIT_STORE === 'postgres') {
+  // Counters of ended windows are only reset on the next hit, so prune them regularly
+  cron.schedule('*/15 * * * *', async () => {
+    await pruneRateLimitCounters()
+  })
+}
+
+// Pluggable rate limit counter store. A store implements:
+//   hit(key, windowMs) - count a request against key in the current fixed
+//     window of windowMs and resolve to { hits, resetAt }, where hits includes
+//     this request and resetAt is when the window ends (ms since the epoch)
+
+// Windows are aligned to the epoch so every server agrees where one ends
+const currentWindow = (windowMs, now) => {
+  const start = Math.floor(now / windowMs) * windowMs
+  return { start, end: start + windowMs }
+}
+
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// Counters in this process only; fine for a single server and for tests
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const counters = new Map()
+  let nextSweep = 0
+
+  return {
+    async hit(key, windowMs) {
+      const time = now()
+
+      // Forget clients whose windows have ended so the map does not grow forever
+      if (time >= nextSweep) {
+        for (const [counterKey, counter] of counters) {
+          if (counter.end <= time) {
+            counters.delete(counterKey)
+          }
+        }
+        nextSweep = time + SWEEP_INTERVAL_MS
+      }
+
+      const { start, end } = currentWindow(windowMs, time)
+      const counter = counters.get(key)
+      if (!counter || counter.start !== start) {
+        counters.set(key, { start, end, hits: 1 })
+        return { hits: 1, resetAt: end }
+      }
+
+      counter.hits += 1
+      return { hits: counter.hits, resetAt: end }
+    }
+  }
+}
+
+// Counters in rate_limit_counters, shared by every server using the database
+const createPostgresStore = (db = pool) => ({
+  async hit(key, windowMs) {
+    const { start, end } = currentWindow(windowMs, Date.now())
+    const { rows } = await db.query(
+      `INSERT INTO rate_limit_counters AS c (key, window_start, hits, expires_at)
+       VALUES ($1, to_timestamp($2 / 1000.0), 1, to_timestamp($3 / 1000.0))
+       ON CONFLICT (key) DO UPDATE
+       SET hits = CASE WHEN c.window_start = EXCLUDED.window_start THEN c.hits + 1 ELSE 1 END,
+         window_start = EXCLUDED.window_start,
+         expires_at = EXCLUDED.expires_at
+       RETURNING hits`,
+      [key, start, end]
+    )
+    return { hits: rows[0].hits, resetAt: end }
+  }
+})
+
+const RATE_LIMIT_STORES = {
+  memory: () => createMemoryStore(),
+  postgres: () => createPostgresStore()
+}
+
+let store = null
+
+// The configured store, created on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    const create = RATE_LIMIT_STORES[RATE_LIMIT_STORE]
+    if (!create) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${RATE_LIMIT_STORE}`)
+    }
+    store = create()
+  }
+  return store
+}
+
+// Replace the store, e.g. with a fresh createMemoryStore() in tests
+const setRateLimitStore = (backend) => {
+  store = backend
+}
+
+// Delete the counters of windows that have ended
+async function pruneRateLimitCounters() {
+  try {
+    const result = await pool.query('DELETE FROM rate_limit_counters WHERE expires_at < CURRENT_TIMESTAMP')
+    return result.rowCount
+  } catch (error) {
+    console.error('Error pruning rate limit counters:', error)
+    return 0
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  pruneRateLimitCounters
+}
@@ -0,0 +1,113 @@
+const cron = require('node-cron')
+const { pool } = require('../config')
+const { enqueueJob } = require('./jobQueue')
+const { getPushSender } = require('./push')
+
+// Reminders missed by up to this long, e.g. during a restart, are still sent
+const REMINDER_GRACE_MINUTES = 30
+
+const REMINDER_NOTIFICATION = {
+  title: 'Time to journal',
+  body: 'Take a few minutes to write about your day.',
+  data: { type: 'journal-reminder' }
+}
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  // Check every minute for reminders due in their local time
+  cron.schedule('* * * * *', async () => {
+    await queueDueReminders()
+  })
+}
+
+// Claim the reminders due at `now` and queue a job to send each one. Claiming
+// sets last_run_on to the local date, so a reminder fires at most once a day
+// even when several processes run the scheduler.
+async function queueDueReminders(now = new Date()) {
+  try {
+    const due = await pool.query(`
+      WITH local_times AS (
+        SELECT r.reminder_id, r.time_of_day, r.weekdays,
+          $1::timestamptz AT TIME ZONE COALESCE(r.timezone, u.timezone) AS local_now
+        FROM reminder_schedules r
+        JOIN users u ON u.user_id = r.user_id
+        WHERE r.enabled
+      )
+      UPDATE reminder_schedules r
+      SET last_run_on = lt.local_now::date
+      FROM local_times lt
+      WHERE r.reminder_id = lt.reminder_id
+      AND EXTRACT(ISODOW FROM lt.local_now)::smallint = ANY(lt.weekdays)
+      AND lt.local_now::time - lt.time_of_day BETWEEN INTERVAL '0' AND make_interval(mins => $2)
+      AND (r.last_run_on IS NULL OR r.last_run_on < lt.local_now::date)
+      RETURNING r.reminder_id, r.user_id, r.last_run_on::text AS local_date
+    `, [now, REMINDER_GRACE_MINUTES])
+
+    for (const reminder of due.rows) {
+      await enqueueJob('send-journal-reminder', { reminderId: reminder.reminder_id, localDate: reminder.local_date }, {
+        userId: reminder.user_id,
+        dedupeKey: `send-journal-reminder:${reminder.reminder_id}:${reminder.local_date}`
+      })
+    }
+
+    if (due.rows.length > 0) {
+      console.log(`Queued ${due.rows.length} journaling reminders`)
+    }
+    return due.rows
+  } catch (error) {
+    console.error('Error queueing journaling reminders:', error)
+    return []
+  }
+}
+
+// Push the reminder to the user's devices unless they already journaled on
+// localDate. Resolves to true when a notification was sent.
+async function sendJournalReminder(reminderId, localDate) {
+  const reminderResult = await pool.query(
+    `SELECT r.user_id, COALESCE(r.timezone, u.timezone) AS timezone
+     FROM reminder_schedules r
+     JOIN users u ON u.user_id = r.user_id
+     WHERE r.reminder_id = $1 AND r.enabled`,
+    [reminderId]
+  )
+
+  if (reminderResult.rows.length === 0) {
+    console.log(`Reminder ${reminderId} was deleted or disabled before it was sent`)
+    return false
+  }
+
+  const { user_id: userId, timezone } = reminderResult.rows[0]
+
+  const journaled = await pool.query(
+    `SELECT 1 FROM journal_entries
+     WHERE user_id = $1 AND deleted_at IS NULL
+     AND (created_at AT TIME ZONE $2)::date = $3::date
+     LIMIT 1`,
+    [userId, timezone, localDate]
+  )
+
+  if (journaled.rows.length > 0) {
+    console.log(`User ${userId} already journaled on ${localDate}, skipping reminder`)
+    return false
+  }
+
+  const devices = await pool.query('SELECT token FROM device_tokens WHERE user_id = $1', [userId])
+  const tokens = devices.rows.map(device => device.token)
+
+  if (tokens.length === 0) {
+    console.log(`User ${userId} has no registered devices, skipping reminder`)
+    return false
+  }
+
+  // Delivery errors propagate so the job is retried
+  const { sent, invalidTokens } = await getPushSender().send(tokens, REMINDER_NOTIFICATION)
+
+  if (invalidTokens.length > 0) {
+    await pool.query('DELETE FROM device_tokens WHERE token = ANY($1)', [invalidTokens])
+  }
+
+  console.log(`Sent journaling reminder to ${sent} devices of user ${userId}`)
+  return sent > 0
+}
+
+module.exports = { REMINDER_GRACE_MINUTES, queueDueReminders, sendJournalReminder }
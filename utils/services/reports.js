@@ -0,0 +1,312 @@
+const cron = require('node-cron')
+const { pool, NLP_GENERATION_TIMEOUT_MS } = require('../config')
+const axios = require('./axios.js')
+const { enqueueJob } = require('./jobQueue')
+const { getEmotionTaxonomy } = require('./emotionTaxonomy')
+const { DEFAULT_TIMEZONE, localDate, shiftDate } = require('../timezone')
+const { periodStart } = require('../insightsQuery')
+const { decryptEntries } = require('../encryption')
+
+// Weekly (Monday to Sunday) and monthly reflection reports on the user's
+// local calendar, generated once the period has ended
+const REPORT_PERIODS = ['week', 'month']
+const MAX_FAVOURITE_HIGHLIGHTS = 3
+const TOP_EMOTION_SHIFTS = 5
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  // Run every hour so reports are queued at each user's local midnight
+  cron.schedule('0 * * * *', async () => {
+    console.log('Queueing reflection reports for users whose week or month just ended')
+    for (const period of REPORT_PERIODS) {
+      await queueReportsForAllUsers(period)
+    }
+  })
+}
+
+// First and last day of the week or month containing `date`
+const reportPeriodBounds = (period, date) => {
+  const start = periodStart(date, period)
+  return {
+    start: start.format('YYYY-MM-DD'),
+    end: start.add(1, period).subtract(1, 'day').format('YYYY-MM-DD')
+  }
+}
+
+// The most recent week or month that has ended by `today`
+const lastCompletedPeriod = (period, today) =>
+  reportPeriodBounds(period, shiftDate(reportPeriodBounds(period, today).start, -1))
+
+const reportJobKey = (userId, period, start) => `generate-reflection-report:${userId}:${period}:${start}`
+
+const enqueueReportGeneration = (userId, period, start) =>
+  enqueueJob('generate-reflection-report', { userId, period, periodStart: start }, {
+    userId,
+    dedupeKey: reportJobKey(userId, period, start)
+  })
+
+async function queueReportsForAllUsers(period) {
+  try {
+    // Users for whom a new week or month started this hour and who journaled in the one that ended
+    const users = await pool.query(`
+      SELECT DISTINCT u.user_id, u.timezone
+      FROM users u
+      JOIN journal_entries j ON j.user_id = u.user_id AND j.deleted_at IS NULL
+      WHERE EXTRACT(HOUR FROM CURRENT_TIMESTAMP AT TIME ZONE u.timezone) = 0
+      AND (CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date = date_trunc($1, CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date
+      AND (j.created_at AT TIME ZONE u.timezone)::date
+        BETWEEN (date_trunc($1, CURRENT_TIMESTAMP AT TIME ZONE u.timezone) - ('1 ' || $1)::interval)::date
+        AND (CURRENT_TIMESTAMP AT TIME ZONE u.timezone)::date - 1
+    `, [period])
+
+    for (const user of users.rows) {
+      const { start } = lastCompletedPeriod(period, localDate(user.timezone))
+      await enqueueReportGeneration(user.user_id, period, start)
+    }
+
+    console.log(`Queued ${users.rows.length} ${period}ly reflection reports`)
+  } catch (error) {
+    console.error(`Error queueing ${period}ly reflection reports:`, error)
+  }
+}
+
+const round = (value) => Math.round(value * 10) / 10
+
+// Confidence-weighted score per emotion label over the entries, e.g. Map { 'joy' => 1.7 }
+const emotionScores = (entries) => {
+  const scores = new Map()
+  for (const entry of entries) {
+    for (const { emotion, confidence } of entry.emotions || []) {
+      scores.set(emotion, (scores.get(emotion) || 0) + (confidence ?? 1))
+    }
+  }
+  return scores
+}
+
+// Percentage of the total score held by each key
+const shares = (scores) => {
+  const total = [...scores.values()].reduce((sum, score) => sum + score, 0)
+  return new Map([...scores].map(([key, score]) => [key, total > 0 ? round((100 * score) / total) : 0]))
+}
+
+const categoryScores = (scores, taxonomy) => {
+  const categoryOf = new Map(taxonomy.emotions.map(({ emotion, category }) => [emotion, category]))
+  const fallback = taxonomy.categories.find(category => category.is_fallback)
+  const totals = new Map(taxonomy.categories.map(({ category }) => [category, 0]))
+
+  for (const [emotion, score] of scores) {
+    const category = categoryOf.get(emotion) || (fallback && fallback.category)
+    if (category) {
+      totals.set(category, totals.get(category) + score)
+    }
+  }
+  return totals
+}
+
+const compareShares = (field, names, current, previous) =>
+  names.map(name => {
+    const share = current.get(name) || 0
+    const previousShare = previous.get(name) || 0
+    return { [field]: name, share, previous_share: previousShare, shift: round(share - previousShare) }
+  })
+
+// Category and top emotion shares of the period next to the previous period's
+const emotionDistribution = (entries, previousEntries, taxonomy) => {
+  const current = emotionScores(entries)
+  const previous = emotionScores(previousEntries)
+
+  const currentEmotions = shares(current)
+  const topEmotions = [...currentEmotions]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_EMOTION_SHIFTS)
+    .map(([emotion]) => emotion)
+
+  return {
+    categories: compareShares(
+      'category',
+      taxonomy.categories.map(({ category }) => category),
+      shares(categoryScores(current, taxonomy)),
+      shares(categoryScores(previous, taxonomy))
+    ),
+    emotions: compareShares('emotion', topEmotions, currentEmotions, shares(previous))
+  }
+}
+
+// Confidence-weighted mean valence of an entry's emotions, or null
+const entryValence = (entry, valenceOf) => {
+  let weighted = 0
+  let weight = 0
+  for (const { emotion, confidence } of entry.emotions || []) {
+    if (valenceOf.has(emotion)) {
+      weighted += (confidence ?? 1) * valenceOf.get(emotion)
+      weight += confidence ?? 1
+    }
+  }
+  return weight > 0 ? Math.round((weighted / weight) * 1000) / 1000 : null
+}
+
+// Favourited entries, the most positive and most negative entry and the longest one.
+// Titles are not stored with the report, see withHighlightTitles.
+const periodHighlights = (entries, taxonomy, timeZone) => {
+  const valenceOf = new Map(taxonomy.emotions.map(({ emotion, valence }) => [emotion, valence]))
+  const highlight = (type, entry, extra = {}) => ({
+    type,
+    journal_id: entry.journal_id,
+    date: localDate(timeZone, entry.created_at),
+    ...extra
+  })
+
+  const highlights = entries
+    .filter(entry => entry.favourite)
+    .slice(0, MAX_FAVOURITE_HIGHLIGHTS)
+    .map(entry => highlight('favourite', entry))
+
+  const scored = entries
+    .map(entry => ({ entry, valence: entryValence(entry, valenceOf) }))
+    .filter(({ valence }) => valence !== null)
+    .sort((a, b) => b.valence - a.valence)
+
+  if (scored.length > 0 && scored[0].valence > 0) {
+    highlights.push(highlight('most_positive', scored[0].entry, { valence: scored[0].valence }))
+  }
+  const lowest = scored[scored.length - 1]
+  if (lowest && lowest.valence < 0) {
+    highlights.push(highlight('most_negative', lowest.entry, { valence: lowest.valence }))
+  }
+
+  const longest = entries.reduce((best, entry) =>
+    !best || entry.word_count > best.word_count ? entry : best, null)
+  if (longest) {
+    highlights.push(highlight('longest', longest, { words: longest.word_count }))
+  }
+
+  return highlights
+}
+
+const periodStatistics = (entries, previousEntries, timeZone) => {
+  const totalWords = entries.reduce((sum, entry) => sum + entry.word_count, 0)
+  return {
+    entry_count: entries.length,
+    previous_entry_count: previousEntries.length,
+    days_journaled: new Set(entries.map(entry => localDate(timeZone, entry.created_at))).size,
+    total_words: totalWords,
+    average_words: entries.length > 0 ? round(totalWords / entries.length) : 0,
+    favourite_count: entries.filter(entry => entry.favourite).length
+  }
+}
+
+// Copies of the reports with the current title of each highlighted entry, read
+// from the encrypted entries so reports never hold titles in plain text. The
+// title is null once the entry has been deleted for good.
+async function withHighlightTitles(userId, reports) {
+  const journalIds = [...new Set(reports.flatMap(report => report.highlights.map(highlight => highlight.journal_id)))]
+  if (journalIds.length === 0) {
+    return reports
+  }
+
+  const result = await pool.query(
+    'SELECT journal_id, title, client_encrypted FROM journal_entries WHERE user_id = $1 AND journal_id = ANY($2)',
+    [userId, journalIds]
+  )
+  const entries = new Map((await decryptEntries(result.rows)).map(entry => [entry.journal_id, entry]))
+
+  return reports.map(report => ({
+    ...report,
+    highlights: report.highlights.map(highlight => {
+      const entry = entries.get(highlight.journal_id)
+      return {
+        ...highlight,
+        title: entry ? entry.title : null,
+        // Only the user's devices can decrypt the title of an end-to-end encrypted entry
+        ...(entry && entry.client_encrypted && { client_encrypted: true })
+      }
+    })
+  }))
+}
+
+const ENTRIES_IN_PERIOD = `
+  SELECT journal_id, title, content, word_count, emotions, favourite, client_encrypted, created_at
+  FROM journal_entries
+  WHERE user_id = $1
+  AND deleted_at IS NULL
+  AND (created_at AT TIME ZONE $2)::date BETWEEN $3::date AND $4::date
+  ORDER BY created_at
+`
+
+// Build and store the report for the week or month starting on `start`
+async function generateReportForUser(userId, period, start) {
+  const bounds = reportPeriodBounds(period, start)
+
+  const existingReport = await pool.query(
+    'SELECT report_id FROM reflection_reports WHERE user_id = $1 AND period = $2 AND period_start = $3',
+    [userId, period, bounds.start]
+  )
+
+  if (existingReport.rows.length > 0) {
+    console.log(`Report already exists for user ${userId} for the ${period} of ${bounds.start}`)
+    return
+  }
+
+  const userResult = await pool.query('SELECT timezone FROM users WHERE user_id = $1', [userId])
+  const timeZone = userResult.rows.length > 0 ? userResult.rows[0].timezone : DEFAULT_TIMEZONE
+
+  const entriesResult = await pool.query(ENTRIES_IN_PERIOD, [userId, timeZone, bounds.start, bounds.end])
+  const entries = await decryptEntries(entriesResult.rows)
+
+  if (entries.length === 0) {
+    console.log(`No entries found for user ${userId} in the ${period} of ${bounds.start}`)
+    return
+  }
+
+  const previousBounds = reportPeriodBounds(period, shiftDate(bounds.start, -1))
+  const previousResult = await pool.query(ENTRIES_IN_PERIOD, [userId, timeZone, previousBounds.start, previousBounds.end])
+  const previousEntries = await decryptEntries(previousResult.rows)
+  const taxonomy = await getEmotionTaxonomy()
+
+  // Key themes and the written summary come from the NLP service; errors propagate so the job is retried.
+  // End-to-end encrypted entries still count in the statistics but are never sent to it.
+  const readableEntries = entries.filter(entry => !entry.client_encrypted)
+  let summaryData = { summary: null, key_themes: [] }
+  if (readableEntries.length > 0) {
+    const response = await axios.post('/insights/daily-summary', {
+      entries: readableEntries.map(({ title, content, emotions, created_at }) => ({ title, content, emotions, created_at }))
+    }, { timeout: NLP_GENERATION_TIMEOUT_MS })
+    summaryData = response.data
+  }
+
+  await pool.query(`
+    INSERT INTO reflection_reports
+    (user_id, period, period_start, period_end, statistics, emotion_distribution, summary, key_themes, highlights)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (user_id, period, period_start) DO NOTHING
+  `, [
+    userId,
+    period,
+    bounds.start,
+    bounds.end,
+    JSON.stringify(periodStatistics(entries, previousEntries, timeZone)),
+    JSON.stringify({
+      previous_period: previousBounds,
+      ...emotionDistribution(entries, previousEntries, taxonomy)
+    }),
+    summaryData.summary,
+    JSON.stringify(summaryData.key_themes || []),
+    JSON.stringify(periodHighlights(entries, taxonomy, timeZone))
+  ])
+
+  console.log(`Generated ${period}ly reflection report for user ${userId}`)
+}
+
+module.exports = {
+  REPORT_PERIODS,
+  reportPeriodBounds,
+  lastCompletedPeriod,
+  reportJobKey,
+  enqueueReportGeneration,
+  queueReportsForAllUsers,
+  emotionDistribution,
+  periodHighlights,
+  periodStatistics,
+  withHighlightTitles,
+  generateReportForUser
+}
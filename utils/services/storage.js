@@ -0,0 +1,121 @@
+const fs = require('fs/promises')
+const { createReadStream } = require('fs')
+const path = require('path')
+const {
+  STORAGE_DRIVER,
+  STORAGE_LOCAL_DIR,
+  S3_BUCKET,
+  S3_REGION,
+  S3_ENDPOINT,
+  S3_FORCE_PATH_STYLE
+} = require('../config')
+
+// Pluggable file storage for attachments. A backend stores files under
+// opaque keys and implements:
+//   put(key, body, contentType) - store a Buffer
+//   get(key)                    - a readable stream, or null if the key is missing
+//   remove(key)                 - delete the file; missing keys are not an error
+
+const createLocalStorage = ({ root }) => {
+  const base = path.resolve(root)
+
+  // Keys come from the database, but never let one escape the storage directory
+  const resolve = (key) => {
+    const file = path.resolve(base, key)
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`)
+    }
+    return file
+  }
+
+  return {
+    async put(key, body) {
+      const file = resolve(key)
+      await fs.mkdir(path.dirname(file), { recursive: true })
+      await fs.writeFile(file, body)
+    },
+
+    async get(key) {
+      const file = resolve(key)
+      try {
+        await fs.access(file)
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null
+        }
+        throw error
+      }
+      return createReadStream(file)
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true })
+    }
+  }
+}
+
+// Works with AWS S3 and S3-compatible services (MinIO, R2, Spaces) through
+// `endpoint`. Credentials come from the standard AWS environment variables.
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle }) => {
+  // Loaded on demand so the SDK is only required when S3 is configured
+  const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3')
+  const client = new S3Client({ region, endpoint, forcePathStyle })
+
+  return {
+    async put(key, body, contentType) {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }))
+    },
+
+    async get(key) {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+        return result.Body
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          return null
+        }
+        throw error
+      }
+    },
+
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    }
+  }
+}
+
+const STORAGE_DRIVERS = {
+  local: () => createLocalStorage({ root: STORAGE_LOCAL_DIR }),
+  s3: () => {
+    if (!S3_BUCKET) {
+      throw new Error('S3_BUCKET must be set when STORAGE_DRIVER is s3')
+    }
+    return createS3Storage({
+      bucket: S3_BUCKET,
+      region: S3_REGION,
+      endpoint: S3_ENDPOINT,
+      forcePathStyle: S3_FORCE_PATH_STYLE
+    })
+  }
+}
+
+let storage = null
+
+// The configured backend, created on first use
+const getStorage = () => {
+  if (!storage) {
+    const create = STORAGE_DRIVERS[STORAGE_DRIVER]
+    if (!create) {
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`)
+    }
+    storage = create()
+  }
+  return storage
+}
+
+// Replace the backend, e.g. with a custom implementation or in tests
+const setStorage = (backend) => {
+  storage = backend
+}
+
+module.exports = { createLocalStorage, createS3Storage, getStorage, setStorage }
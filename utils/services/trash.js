@@ -0,0 +1,35 @@
+const cron = require('node-cron')
+const { pool, TRASH_RETENTION_DAYS } = require('../config')
+const { enqueueOrphanedFileCleanup } = require('./jobs')
+
+// Only run cron job in production/development, not during tests
+if (process.env.NODE_ENV !== 'test') {
+  // Purge expired trash once a day
+  cron.schedule('30 3 * * *', async () => {
+    console.log('Purging journal entries past the trash retention period')
+    await purgeExpiredTrash()
+  })
+}
+
+// Permanently delete entries that have been in the trash longer than the retention period
+async function purgeExpiredTrash(retentionDays = TRASH_RETENTION_DAYS) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM journal_entries
+       WHERE deleted_at IS NOT NULL
+       AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+      [retentionDays]
+    )
+
+    console.log(`Purged ${result.rowCount} journal entries from the trash`)
+    if (result.rowCount > 0) {
+      await enqueueOrphanedFileCleanup()
+    }
+    return result.rowCount
+  } catch (error) {
+    console.error('Error purging expired trash:', error)
+    return 0
+  }
+}
+
+module.exports = { purgeExpiredTrash }
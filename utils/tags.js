@@ -0,0 +1,76 @@
+// Helpers for user-defined journal tags
+
+const MAX_TAG_LENGTH = 50
+const MAX_TAGS_PER_ENTRY = 20
+const TAG_PATTERN = /^[\p{L}\p{N}_-]+$/u
+
+// Sorted tag names of the journal_entries row in the enclosing query
+const ENTRY_TAGS_COLUMN = `ARRAY(
+  SELECT t.name
+  FROM journal_entry_tags jt
+  JOIN tags t ON t.tag_id = jt.tag_id
+  WHERE jt.journal_id = journal_entries.journal_id
+  ORDER BY t.name
+) AS tags`
+
+// Tags are case-insensitive and may be written with a leading '#'
+const normalizeTagName = (name) => {
+  if (typeof name !== 'string') {
+    return null
+  }
+  const normalized = name.trim().replace(/^#/, '').toLowerCase()
+  return normalized.length > 0 && normalized.length <= MAX_TAG_LENGTH && TAG_PATTERN.test(normalized)
+    ? normalized
+    : null
+}
+
+// Validate the tags field of a journal create/update body.
+// Returns { tags } with unique normalized names, or { error } for a 400.
+const parseEntryTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { error: 'Invalid field: tags must be an array of tag names' }
+  }
+  if (tags.length > MAX_TAGS_PER_ENTRY) {
+    return { error: `Invalid field: an entry can have at most ${MAX_TAGS_PER_ENTRY} tags` }
+  }
+
+  const names = tags.map(normalizeTagName)
+  if (names.includes(null)) {
+    return { error: `Invalid field: tags must be up to ${MAX_TAG_LENGTH} letters, numbers, - or _` }
+  }
+
+  return { tags: [...new Set(names)] }
+}
+
+// Replace an entry's tags, creating any the user does not have yet.
+// `db` is the pool or a client inside the caller's transaction.
+async function setEntryTags(db, userId, journalId, names) {
+  await db.query('DELETE FROM journal_entry_tags WHERE journal_id = $1', [journalId])
+
+  if (names.length === 0) {
+    return []
+  }
+
+  await db.query(
+    `INSERT INTO tags (user_id, name)
+     SELECT $1, unnest($2::text[])
+     ON CONFLICT (user_id, name) DO NOTHING`,
+    [userId, names]
+  )
+
+  await db.query(
+    `INSERT INTO journal_entry_tags (journal_id, tag_id)
+     SELECT $1, tag_id FROM tags WHERE user_id = $2 AND name = ANY($3)`,
+    [journalId, userId, names]
+  )
+
+  return [...names].sort()
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  ENTRY_TAGS_COLUMN,
+  normalizeTagName,
+  parseEntryTags,
+  setEntryTags
+}
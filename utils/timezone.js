@@ -0,0 +1,35 @@
+const dayjs = require('dayjs')
+const utc = require('dayjs/plugin/utc')
+const timezone = require('dayjs/plugin/timezone')
+
+dayjs.extend(utc)
+dayjs.extend(timezone)
+
+// Users without a stored timezone get UTC days
+const DEFAULT_TIMEZONE = 'UTC'
+
+// True for IANA names such as 'Asia/Manila' that the runtime can resolve
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// The calendar date (YYYY-MM-DD) of `date` in the given timezone
+const localDate = (timeZone, date = new Date()) =>
+  dayjs(date).tz(timeZone || DEFAULT_TIMEZONE).format('YYYY-MM-DD')
+
+// Add days to a YYYY-MM-DD date string
+const shiftDate = (date, days) => dayjs.utc(date).add(days, 'day').format('YYYY-MM-DD')
+
+// pg returns DATE columns as Date objects at server-local midnight, so format
+// them in server time rather than with toISOString(), which can shift the day
+const formatDate = (date) => dayjs(date).format('YYYY-MM-DD')
+
+module.exports = { DEFAULT_TIMEZONE, isValidTimeZone, localDate, shiftDate, formatDate }